@@ -0,0 +1,50 @@
+// Responses the mock SDP can give a payment request. Codes match the ones the
+// dry-run simulator uses so logs and reports read the same either way.
+const OUTCOMES = {
+  success: { status: 200, statusCode: 'SC0000', description: 'Payment request accepted' },
+  insufficient_funds: { status: 400, statusCode: 'SVC0270', description: 'Insufficient balance' },
+  // The live SDP reports most business rejections with HTTP 200
+  insufficient_funds_200: { status: 200, statusCode: 'SVC0270', description: 'Insufficient balance' },
+  // Accepted with a code no SDP_*_CODES list names
+  unlisted_200: { status: 200, statusCode: 'SVC0999', description: 'Request queued' },
+  inactive: { status: 400, statusCode: 'SVC0007', description: 'Subscriber not active' },
+  server_error: { status: 500, statusCode: 'SVC0001', description: 'Service error' },
+  unavailable: { status: 503, statusCode: 'SVC0003', description: 'Service temporarily unavailable' },
+  // Never answered before the client gives up
+  timeout: { status: 504, statusCode: 'SVC0004', description: 'Gateway timeout' },
+  // Rejects the presented token as if it had expired early
+  token_expired: { status: 401, statusCode: 'SVC0401', description: 'Token expired' }
+};
+
+const weighted = (weights) => () => {
+  let roll = Math.random();
+  for (const [outcome, weight] of weights) {
+    if (roll < weight) return outcome;
+    roll -= weight;
+  }
+  return weights[weights.length - 1][0];
+};
+
+// Each scenario picks the outcome of the nth payment request (1-based)
+const SCENARIOS = {
+  happy: () => 'success',
+  'insufficient-funds': () => 'insufficient_funds',
+  'server-errors': ({ count }) => (count % 2 === 0 ? 'unavailable' : 'server_error'),
+  timeouts: () => 'timeout',
+  // Every fifth request finds its token expired; the next login fixes it
+  'token-expiry': ({ count }) => (count % 5 === 0 ? 'token_expired' : 'success'),
+  flaky: weighted([
+    ['success', 0.7],
+    ['insufficient_funds', 0.05],
+    ['insufficient_funds_200', 0.05],
+    ['unavailable', 0.08],
+    ['server_error', 0.04],
+    ['timeout', 0.04],
+    ['token_expired', 0.04]
+  ])
+};
+
+module.exports = {
+  OUTCOMES,
+  SCENARIOS
+};
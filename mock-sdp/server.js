@@ -0,0 +1,348 @@
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { signPayload } = require('../src/middleware/webhook-auth.middleware');
+const logger = require('../src/utils/logger');
+const { OUTCOMES, SCENARIOS } = require('./scenarios');
+
+const RECENT_REQUEST_LIMIT = 100;
+
+// Stand-in for the Safaricom SDP and header-enrichment endpoints so the app can
+// run offline: point SDP_BASE_URL, SDP_FALLBACK_BASE_URL, SAFARICOM_CONFIG_URL
+// and SAFARICOM_MSISDN_URL at it. Successful charges and SMS sends are
+// confirmed with signed callbacks to the app's /api/safaricom/webhook.
+class MockSdpServer {
+  constructor(options = {}) {
+    this.options = {
+      port: 4010,
+      scenario: 'happy',
+      webhookUrl: 'http://localhost:3000/api/safaricom/webhook',
+      webhookSecret: null,
+      callbackDelayMs: 1000,
+      timeoutMs: 30000,
+      tokenTtlMs: 60 * 60 * 1000,
+      msisdn: '254700000001',
+      ...options
+    };
+
+    this.server = null;
+    this.timers = new Set();
+    this.reset();
+    this.setScenario(this.options.scenario);
+    this.app = this.createApp();
+  }
+
+  reset() {
+    this.tokens = new Map();
+    this.paymentCount = 0;
+    this.outcomeCounts = {};
+    this.recentRequests = [];
+    this.callbacksSent = 0;
+    this.sequence = null;
+    this.overrides = new Map();
+  }
+
+  setScenario(name) {
+    if (!SCENARIOS[name]) {
+      throw new Error(`Unknown scenario "${name}" - use one of: ${Object.keys(SCENARIOS).join(', ')}`);
+    }
+    this.scenario = name;
+    this.sequence = null;
+  }
+
+  // A scripted list of outcomes, replayed in order and then repeated
+  setSequence(outcomes) {
+    const unknown = outcomes.find(outcome => !OUTCOMES[outcome]);
+    if (unknown) {
+      throw new Error(`Unknown outcome "${unknown}" - use one of: ${Object.keys(OUTCOMES).join(', ')}`);
+    }
+    this.sequence = outcomes;
+  }
+
+  nextOutcome(msisdn) {
+    this.paymentCount++;
+
+    if (this.overrides.has(msisdn)) return this.overrides.get(msisdn);
+    if (this.sequence && this.sequence.length > 0) {
+      return this.sequence[(this.paymentCount - 1) % this.sequence.length];
+    }
+    return SCENARIOS[this.scenario]({ count: this.paymentCount, msisdn });
+  }
+
+  later(fn, ms) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      fn();
+    }, ms);
+    this.timers.add(timer);
+  }
+
+  readParams(body) {
+    const params = {};
+    for (const item of body?.requestParam?.data || []) {
+      params[item.name] = item.value;
+    }
+    return params;
+  }
+
+  bearerToken(req) {
+    const header = req.headers['x-authorization'] || req.headers.authorization || '';
+    return header.replace(/^Bearer\s+/i, '');
+  }
+
+  isAuthorized(req) {
+    const expiresAt = this.tokens.get(this.bearerToken(req));
+    return Boolean(expiresAt && expiresAt > Date.now());
+  }
+
+  remember(entry) {
+    this.recentRequests.unshift({ at: new Date().toISOString(), ...entry });
+    this.recentRequests.length = Math.min(this.recentRequests.length, RECENT_REQUEST_LIMIT);
+  }
+
+  sdpResponse(res, requestId, outcome) {
+    const { status, statusCode, description } = OUTCOMES[outcome];
+    this.outcomeCounts[outcome] = (this.outcomeCounts[outcome] || 0) + 1;
+
+    res.status(status).json({
+      requestId,
+      responseParam: {
+        status: outcome === 'success' ? '0' : '1',
+        statusCode,
+        description
+      }
+    });
+  }
+
+  // Delivers a callback the way the forwarder does: wrapped and HMAC-signed
+  async emitCallback(operation, requestId, data) {
+    const delivery = {
+      method: 'POST',
+      source: 'mock-sdp',
+      timestamp: Date.now(),
+      data: {
+        body: {
+          operation,
+          requestId,
+          requestParam: {
+            data: Object.entries(data).map(([name, value]) => ({ name, value }))
+          }
+        }
+      }
+    };
+
+    const rawBody = JSON.stringify(delivery);
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (this.options.webhookSecret) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const nonce = crypto.randomBytes(12).toString('hex');
+      headers['X-Webhook-Timestamp'] = timestamp;
+      headers['X-Webhook-Nonce'] = nonce;
+      headers['X-Webhook-Signature'] = signPayload(this.options.webhookSecret, timestamp, nonce, Buffer.from(rawBody));
+    }
+
+    try {
+      await axios.post(this.options.webhookUrl, rawBody, { headers, timeout: 5000 });
+      this.callbacksSent++;
+      logger.info(`Mock SDP: ${operation} callback for ${data.Msisdn} delivered`);
+    } catch (error) {
+      logger.warn(`Mock SDP: ${operation} callback for ${data.Msisdn} failed: ${error.message}`);
+    }
+  }
+
+  createApp() {
+    const app = express();
+    app.use(express.json());
+
+    app.post('/api/auth/login', (req, res) => {
+      const { username, password } = req.body || {};
+      if (!username || !password) {
+        return res.status(401).json({ message: 'Invalid credentials' });
+      }
+
+      const token = uuidv4();
+      this.tokens.set(token, Date.now() + this.options.tokenTtlMs);
+      this.remember({ type: 'login', username });
+      res.json({ token, expiresIn: Math.floor(this.options.tokenTtlMs / 1000) });
+    });
+
+    app.post('/api/public/SDP/paymentRequest', (req, res) => {
+      const requestId = req.body?.requestId;
+      const params = this.readParams(req.body);
+
+      if (!this.isAuthorized(req)) {
+        this.remember({ type: 'payment', requestId, msisdn: params.Msisdn, outcome: 'unauthorized' });
+        return this.sdpResponse(res, requestId, 'token_expired');
+      }
+
+      const outcome = this.nextOutcome(params.Msisdn);
+      this.remember({ type: 'payment', requestId, msisdn: params.Msisdn, outcome });
+
+      if (outcome === 'token_expired') {
+        this.tokens.delete(this.bearerToken(req));
+      }
+
+      if (outcome === 'timeout') {
+        this.later(() => {
+          if (!res.writableEnded) this.sdpResponse(res, requestId, 'timeout');
+        }, this.options.timeoutMs);
+        return;
+      }
+
+      this.sdpResponse(res, requestId, outcome);
+
+      if (outcome === 'success') {
+        this.later(() => this.emitCallback('CP_NOTIFICATION', requestId, {
+          Msisdn: params.Msisdn,
+          OfferCode: params.OfferCode,
+          Command: 'PaymentSuccess',
+          TransactionId: requestId
+        }), this.options.callbackDelayMs);
+      }
+    });
+
+    app.post('/api/public/SDP/sendSMSRequest', (req, res) => {
+      const requestId = req.body?.requestId;
+      const params = this.readParams(req.body);
+
+      if (!this.isAuthorized(req)) {
+        return this.sdpResponse(res, requestId, 'token_expired');
+      }
+
+      this.remember({ type: 'sms', requestId, msisdn: params.Msisdn });
+      this.sdpResponse(res, requestId, 'success');
+
+      this.later(() => this.emitCallback('SendSMS', requestId, {
+        Msisdn: params.Msisdn,
+        MessageId: requestId,
+        DeliveryStatus: 'DeliveredToTerminal'
+      }), this.options.callbackDelayMs);
+    });
+
+    // Header enrichment: config hands out a short-lived token that the
+    // identity endpoint exchanges for the subscriber's MSISDN
+    app.get('/api/config/', (req, res) => {
+      const token = uuidv4();
+      this.tokens.set(token, Date.now() + this.options.tokenTtlMs);
+      res.json({ t: token });
+    });
+
+    app.get('/partner/api/v2/fetchMaskedMsisdn', (req, res) => {
+      if (!this.isAuthorized(req) || !this.options.msisdn) {
+        return res.json({ header: { responseCode: 403, customerMessage: 'MSISDN not found' } });
+      }
+      res.json({ header: { responseCode: 200 }, body: { msisdn: this.options.msisdn } });
+    });
+
+    // Control endpoints for tests and demos
+    app.get('/mock/state', (req, res) => {
+      res.json({
+        scenario: this.scenario,
+        sequence: this.sequence,
+        overrides: Object.fromEntries(this.overrides),
+        msisdn: this.options.msisdn,
+        paymentCount: this.paymentCount,
+        outcomes: this.outcomeCounts,
+        callbacksSent: this.callbacksSent,
+        recentRequests: this.recentRequests
+      });
+    });
+
+    app.post('/mock/scenario', (req, res) => {
+      const { scenario, sequence, overrides, msisdn } = req.body || {};
+
+      try {
+        if (scenario) this.setScenario(scenario);
+        if (sequence !== undefined) {
+          if (sequence) this.setSequence(sequence);
+          else this.sequence = null;
+        }
+        if (overrides) {
+          for (const [number, outcome] of Object.entries(overrides)) {
+            if (outcome === null) {
+              this.overrides.delete(number);
+            } else if (OUTCOMES[outcome]) {
+              this.overrides.set(number, outcome);
+            } else {
+              throw new Error(`Unknown outcome "${outcome}"`);
+            }
+          }
+        }
+        if (msisdn !== undefined) this.options.msisdn = msisdn;
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      logger.info(`Mock SDP: scenario ${this.scenario}${this.sequence ? ` (sequence ${this.sequence.join(', ')})` : ''}`);
+      res.json({ scenario: this.scenario, sequence: this.sequence, overrides: Object.fromEntries(this.overrides) });
+    });
+
+    app.post('/mock/callbacks', async (req, res) => {
+      const { operation, msisdn, requestId = uuidv4(), ...data } = req.body || {};
+      if (!operation || !msisdn) {
+        return res.status(400).json({ error: 'operation and msisdn are required' });
+      }
+
+      await this.emitCallback(operation, requestId, { Msisdn: msisdn, ...data });
+      res.json({ sent: true, requestId });
+    });
+
+    app.post('/mock/reset', (req, res) => {
+      this.reset();
+      res.json({ reset: true, scenario: this.scenario });
+    });
+
+    return app;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(this.options.port, () => {
+        this.options.port = this.server.address().port;
+        logger.success(`Mock SDP listening on http://localhost:${this.options.port} (scenario: ${this.scenario})`);
+        resolve(this);
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  stop() {
+    for (const timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+
+    if (!this.server) return Promise.resolve();
+
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      if (this.server.closeAllConnections) this.server.closeAllConnections();
+      this.server = null;
+    });
+  }
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+
+  const mock = new MockSdpServer({
+    port: parseInt(process.env.MOCK_SDP_PORT) || 4010,
+    scenario: process.env.MOCK_SDP_SCENARIO || 'happy',
+    webhookUrl: process.env.MOCK_SDP_WEBHOOK_URL ||
+      `http://localhost:${process.env.PORT || 3000}/api/safaricom/webhook`,
+    webhookSecret: process.env.WEBHOOK_SECRET,
+    callbackDelayMs: parseInt(process.env.MOCK_SDP_CALLBACK_DELAY_MS) || 1000,
+    timeoutMs: parseInt(process.env.MOCK_SDP_TIMEOUT_MS) || 30000
+  });
+
+  mock.start().catch(error => {
+    logger.error('Mock SDP failed to start:', error.message);
+    process.exit(1);
+  });
+
+  const shutdown = () => mock.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+module.exports = MockSdpServer;
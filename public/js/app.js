@@ -9,6 +9,9 @@ class PaymentProcessorClient {
         this.socketAuthenticated = false;
         this.initialized = false;
         this.schedulerEnabled = false;
+        this.schedules = [];
+        this.dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        this.manualDefaultsLoaded = false;
         this.lastStatusUpdate = 0;
         
         this.basePath = window.BASE_PATH || '';
@@ -125,35 +128,30 @@ class PaymentProcessorClient {
         });
 
         this.socket.on('schedulerStarted', (data) => {
-            this.log(`Scheduler started - Every ${data.intervalHours} hours`, 'success');
-            this.schedulerEnabled = true;
-            this.updateSchedulerEnabled(true);
-            this.updateNextRun(data.nextRun);
-            this.updateUpcomingSchedules(data.upcomingSchedules);
-            this.updateButtonStates();
+            this.log(`Schedule "${data.name}" started - ${data.cronExpression}`, 'success');
+            this.loadSchedulerStatus();
         });
 
-        this.socket.on('schedulerStopped', () => {
-            this.log('Scheduler stopped', 'warn');
-            this.schedulerEnabled = false;
-            this.updateSchedulerEnabled(false);
-            this.updateNextRun(null);
-            this.updateUpcomingSchedules([]);
-            this.updateButtonStates();
+        this.socket.on('schedulerStopped', (data) => {
+            this.log(`Schedule "${data.name}" stopped`, 'warn');
+            this.loadSchedulerStatus();
+        });
+
+        this.socket.on('schedulesUpdated', (schedules) => {
+            this.updateScheduleList(schedules);
         });
 
         this.socket.on('allJobsStopped', () => {
             this.log('All jobs stopped', 'warn');
             this.hideJobProgress();
             this.currentJob = null;
-            this.schedulerEnabled = false;
-            this.updateSchedulerEnabled(false);
-            this.updateButtonStates();
+            this.loadSchedulerStatus();
             this.loadJobHistory();
         });
 
         this.socket.on('jobStarted', (data) => {
-            this.log(`${data.isScheduled ? 'Scheduled' : 'Manual'} job started: ${data.jobId.substring(0, 8)} (${data.totalClients} clients)`, 'info');
+            const jobLabel = data.isScheduled ? `Scheduled (${data.scheduleName})` : (data.simulated ? 'Dry-run' : 'Manual');
+            this.log(`${jobLabel} job started: ${data.jobId.substring(0, 8)} (${data.totalClients} clients)`, 'info');
             this.currentJob = data;
             this.showJobProgress(data);
         });
@@ -171,7 +169,7 @@ class PaymentProcessorClient {
         });
 
         this.socket.on('jobCompleted', (data) => {
-            const jobType = data.isScheduled ? 'Scheduled' : 'Manual';
+            const jobType = data.isScheduled ? 'Scheduled' : (data.simulated ? 'Dry-run' : 'Manual');
             this.log(`${jobType} job completed: ${data.jobId.substring(0, 8)} - Success: ${data.stats.successful}, Failed: ${data.stats.failed}`, 'success');
             
             setTimeout(() => {
@@ -182,15 +180,50 @@ class PaymentProcessorClient {
         });
 
         this.socket.on('jobFailed', (data) => {
-            const jobType = data.isScheduled ? 'Scheduled' : 'Manual';
+            const jobType = data.isScheduled ? 'Scheduled' : (data.simulated ? 'Dry-run' : 'Manual');
             this.log(`${jobType} job failed: ${data.error}`, 'error');
             this.hideJobProgress();
             this.currentJob = null;
             this.loadJobHistory();
         });
 
+        this.socket.on('jobPaused', (data) => {
+            this.log(`Job ${data.jobId.substring(0, 8)} pausing after its current batch`, 'warn');
+            if (this.currentJob && this.currentJob.jobId === data.jobId) {
+                this.currentJob.status = 'paused';
+                this.updateJobControls();
+            }
+        });
+
+        this.socket.on('jobResumed', (data) => {
+            this.log(`Job ${data.jobId.substring(0, 8)} resumed`, 'info');
+            if (this.currentJob && this.currentJob.jobId === data.jobId) {
+                this.currentJob.status = 'running';
+                this.updateJobControls();
+            }
+        });
+
+        this.socket.on('jobCancelled', (data) => {
+            const summary = data.stats ? ` - Success: ${data.stats.successful}, Failed: ${data.stats.failed}` : '';
+            this.log(`Job cancelled: ${data.jobId.substring(0, 8)}${summary}`, 'warn');
+            if (this.currentJob && this.currentJob.jobId === data.jobId) {
+                this.hideJobProgress();
+                this.currentJob = null;
+            }
+            this.loadJobHistory();
+        });
+
+        this.socket.on('serverHealth', (data) => {
+            this.updateServerHealth(data.servers);
+            
+            if (data.change) {
+                const level = data.change.state === 'open' ? 'error' : (data.change.state === 'closed' ? 'success' : 'warn');
+                this.log(`${data.change.server} SDP server circuit ${data.change.state.replace('_', '-')}: ${data.change.reason}`, level);
+            }
+        });
+
         this.socket.on('jobSkipped', (data) => {
-            this.log(`Scheduled job skipped: ${data.reason}`, 'warn');
+            this.log(`Scheduled job "${data.scheduleName}" skipped: ${data.reason}`, 'warn');
         });
 
         this.socket.on('settingsUpdated', (settings) => {
@@ -224,8 +257,12 @@ class PaymentProcessorClient {
     updatePermissionBasedUI() {
         const hasStaffPermission = this.user.isStaff || this.user.isSuperuser;
         const permissionWarning = document.getElementById('permissionWarning');
-        const controlButtons = ['startScheduler', 'stopScheduler', 'runManual', 'stopAllJobs'];
-        const formInputs = ['intervalHours', 'batchSize', 'includeInactive'];
+        const controlButtons = ['saveSchedule', 'resetScheduleForm', 'runManual', 'stopAllJobs', 'pauseJob', 'resumeJob', 'cancelJob'];
+        const formInputs = [
+            'scheduleName', 'intervalHours', 'startTime', 'cronExpression', 'blackoutWindows',
+            'allowedDays', 'batchSize', 'offerCodes', 'lapsedHours', 'statusFilter', 'scheduleEnabled',
+            'manualBatchSize', 'includeInactive', 'dryRun', 'manualOfferCodes', 'manualLapsedHours', 'manualCampaignIds', 'manualMsisdns'
+        ];
 
         if (!hasStaffPermission) {
             permissionWarning.style.display = 'block';
@@ -250,22 +287,53 @@ class PaymentProcessorClient {
     }
 
     setupEventHandlers() {
-        document.getElementById('startScheduler').addEventListener('click', () => {
-            this.startScheduler();
+        document.getElementById('scheduleForm').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveSchedule();
+        });
+
+        document.getElementById('resetScheduleForm').addEventListener('click', () => {
+            this.resetScheduleForm();
         });
 
-        document.getElementById('stopScheduler').addEventListener('click', () => {
-            this.stopScheduler();
+        document.getElementById('scheduleList').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            
+            const scheduleId = parseInt(button.dataset.id);
+            if (button.dataset.action === 'edit') {
+                this.editSchedule(scheduleId);
+            } else if (button.dataset.action === 'toggle') {
+                this.toggleSchedule(scheduleId);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteSchedule(scheduleId);
+            }
         });
 
         document.getElementById('runManual').addEventListener('click', () => {
             this.runManualJob();
         });
 
+        document.getElementById('countClients').addEventListener('click', () => {
+            this.countClients();
+        });
+
         document.getElementById('stopAllJobs').addEventListener('click', () => {
             this.stopAllJobs();
         });
 
+        document.getElementById('pauseJob').addEventListener('click', () => {
+            this.controlJob('pause');
+        });
+
+        document.getElementById('resumeJob').addEventListener('click', () => {
+            this.controlJob('resume');
+        });
+
+        document.getElementById('cancelJob').addEventListener('click', () => {
+            this.controlJob('cancel');
+        });
+
         document.getElementById('logoutBtn').addEventListener('click', () => {
             this.logout();
         });
@@ -362,20 +430,64 @@ class PaymentProcessorClient {
         }
     }
 
-    async startScheduler() {
-        if (!this.user.isStaff && !this.user.isSuperuser) {
-            this.log('Insufficient permissions to start scheduler', 'error');
+    hasStaffPermission() {
+        return this.user && (this.user.isStaff || this.user.isSuperuser);
+    }
+
+    getScheduleFormData() {
+        const cronExpression = document.getElementById('cronExpression').value.trim();
+        const data = {
+            name: document.getElementById('scheduleName').value.trim(),
+            batchSize: parseInt(document.getElementById('batchSize').value),
+            offerCodes: document.getElementById('offerCodes').value
+                .split(',')
+                .map(code => code.trim())
+                .filter(code => code.length > 0),
+            statusFilter: document.getElementById('statusFilter').value,
+            lastPaymentOlderThanHours: document.getElementById('lapsedHours').value === '' ?
+                null :
+                parseFloat(document.getElementById('lapsedHours').value),
+            blackoutWindows: document.getElementById('blackoutWindows').value
+                .split(',')
+                .map(window => window.trim())
+                .filter(window => window.length > 0),
+            allowedDays: document.getElementById('allowedDays').value
+                .split(',')
+                .map(day => day.trim())
+                .filter(day => day.length > 0),
+            enabled: document.getElementById('scheduleEnabled').checked
+        };
+        
+        if (cronExpression) {
+            data.cronExpression = cronExpression;
+        } else {
+            data.intervalHours = parseInt(document.getElementById('intervalHours').value);
+            data.startOffset = document.getElementById('startTime').value || '00:00';
+        }
+        
+        return data;
+    }
+
+    async saveSchedule() {
+        if (!this.hasStaffPermission()) {
+            this.log('Insufficient permissions to manage schedules', 'error');
             return;
         }
 
-        const settings = this.getFormSettings();
+        const scheduleId = document.getElementById('scheduleId').value;
+        const data = this.getScheduleFormData();
+        
+        if (!data.name) {
+            this.log('Schedule name is required', 'error');
+            return;
+        }
         
-        if (settings.intervalHours < 1 || settings.intervalHours > 12) {
+        if (data.intervalHours !== undefined && (data.intervalHours < 1 || data.intervalHours > 12)) {
             this.log('Interval hours must be between 1 and 12', 'error');
             return;
         }
         
-        if (settings.batchSize < 5 || settings.batchSize > 100) {
+        if (data.batchSize < 5 || data.batchSize > 100) {
             this.log('Batch size must be between 5 and 100', 'error');
             return;
         }
@@ -383,63 +495,113 @@ class PaymentProcessorClient {
         this.setButtonsLoading(true);
         
         try {
-            const response = await this.makeAuthenticatedRequest('/api/scheduler/start', {
-                method: 'POST',
+            const url = scheduleId ? `/api/scheduler/schedules/${scheduleId}` : '/api/scheduler/schedules';
+            const response = await this.makeAuthenticatedRequest(url, {
+                method: scheduleId ? 'PUT' : 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(settings)
+                body: JSON.stringify(data)
             });
             
             if (!response) return;
-            const data = await response.json();
+            const result = await response.json();
             
-            if (data.success) {
-                this.log('Scheduler started successfully', 'success');
-                this.schedulerEnabled = true;
-                this.updateSchedulerEnabled(true);
-                this.updateNextRun(data.nextRun);
-                this.updateUpcomingSchedules(data.upcomingSchedules);
-                this.updateButtonStates();
+            if (result.success) {
+                this.log(`Schedule "${result.schedule.name}" saved`, 'success');
+                this.resetScheduleForm();
+                await this.loadSchedulerStatus();
             } else {
-                this.log(`Failed to start scheduler: ${data.error}`, 'error');
+                this.log(`Failed to save schedule: ${result.error}`, 'error');
             }
         } catch (error) {
-            this.log('Failed to start scheduler: ' + error.message, 'error');
+            this.log('Failed to save schedule: ' + error.message, 'error');
         } finally {
             this.setButtonsLoading(false);
         }
     }
 
-    async stopScheduler() {
-        if (!this.user.isStaff && !this.user.isSuperuser) {
-            this.log('Insufficient permissions to stop scheduler', 'error');
-            return;
+    editSchedule(scheduleId) {
+        const schedule = this.schedules.find(item => item.id === scheduleId);
+        if (!schedule) return;
+        
+        document.getElementById('scheduleId').value = schedule.id;
+        document.getElementById('scheduleName').value = schedule.name;
+        document.getElementById('intervalHours').value = schedule.intervalHours || 4;
+        document.getElementById('startTime').value = this.formatMinutes(schedule.startOffsetMinutes || 0);
+        document.getElementById('cronExpression').value = schedule.intervalHours ? '' : schedule.cronExpression;
+        document.getElementById('blackoutWindows').value = (schedule.blackoutWindows || [])
+            .map(window => `${window.start}-${window.end}`)
+            .join(', ');
+        document.getElementById('allowedDays').value = (schedule.allowedDays || [])
+            .map(day => this.dayNames[day])
+            .join(', ');
+        document.getElementById('batchSize').value = schedule.batchSize;
+        document.getElementById('offerCodes').value = (schedule.offerCodes || []).join(', ');
+        document.getElementById('statusFilter').value = schedule.statusFilter;
+        document.getElementById('lapsedHours').value = schedule.filter && schedule.filter.lastPaymentOlderThanHours !== null ?
+            schedule.filter.lastPaymentOlderThanHours :
+            '';
+        document.getElementById('scheduleEnabled').checked = schedule.enabled;
+        document.getElementById('saveSchedule').textContent = 'Update Schedule';
+    }
+
+    resetScheduleForm() {
+        document.getElementById('scheduleForm').reset();
+        document.getElementById('scheduleId').value = '';
+        document.getElementById('saveSchedule').textContent = 'Save Schedule';
+    }
+
+    async toggleSchedule(scheduleId) {
+        const schedule = this.schedules.find(item => item.id === scheduleId);
+        if (!schedule || !this.hasStaffPermission()) return;
+        
+        try {
+            const response = await this.makeAuthenticatedRequest(`/api/scheduler/schedules/${scheduleId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ enabled: !schedule.enabled })
+            });
+            
+            if (!response) return;
+            const result = await response.json();
+            
+            if (result.success) {
+                this.log(`Schedule "${schedule.name}" ${result.schedule.enabled ? 'enabled' : 'disabled'}`, 'success');
+                await this.loadSchedulerStatus();
+            } else {
+                this.log(`Failed to update schedule: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            this.log('Failed to update schedule: ' + error.message, 'error');
         }
+    }
 
-        this.setButtonsLoading(true);
+    async deleteSchedule(scheduleId) {
+        const schedule = this.schedules.find(item => item.id === scheduleId);
+        if (!schedule || !this.hasStaffPermission()) return;
+        
+        if (!confirm(`Delete schedule "${schedule.name}"?`)) {
+            return;
+        }
         
         try {
-            const response = await this.makeAuthenticatedRequest('/api/scheduler/stop', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' }
+            const response = await this.makeAuthenticatedRequest(`/api/scheduler/schedules/${scheduleId}`, {
+                method: 'DELETE'
             });
             
             if (!response) return;
-            const data = await response.json();
+            const result = await response.json();
             
-            if (data.success) {
-                this.log('Scheduler stopped successfully', 'success');
-                this.schedulerEnabled = false;
-                this.updateSchedulerEnabled(false);
-                this.updateNextRun(null);
-                this.updateUpcomingSchedules([]);
-                this.updateButtonStates();
+            if (result.success) {
+                this.log(`Schedule "${schedule.name}" deleted`, 'success');
+                if (document.getElementById('scheduleId').value === String(scheduleId)) {
+                    this.resetScheduleForm();
+                }
+                await this.loadSchedulerStatus();
             } else {
-                this.log(`Failed to stop scheduler: ${data.error}`, 'error');
+                this.log(`Failed to delete schedule: ${result.error}`, 'error');
             }
         } catch (error) {
-            this.log('Failed to stop scheduler: ' + error.message, 'error');
-        } finally {
-            this.setButtonsLoading(false);
+            this.log('Failed to delete schedule: ' + error.message, 'error');
         }
     }
 
@@ -449,7 +611,7 @@ class PaymentProcessorClient {
             return;
         }
 
-        if (!confirm('Are you sure you want to stop all running jobs and the scheduler?')) {
+        if (!confirm('Are you sure you want to stop all running jobs and disable every schedule?')) {
             return;
         }
         
@@ -466,13 +628,9 @@ class PaymentProcessorClient {
             
             if (data.success) {
                 this.log('All jobs stopped successfully', 'success');
-                this.schedulerEnabled = false;
-                this.updateSchedulerEnabled(false);
-                this.updateNextRun(null);
-                this.updateUpcomingSchedules([]);
                 this.hideJobProgress();
                 this.currentJob = null;
-                this.updateButtonStates();
+                await this.loadSchedulerStatus();
             } else {
                 this.log(`Failed to stop all jobs: ${data.error}`, 'error');
             }
@@ -483,6 +641,34 @@ class PaymentProcessorClient {
         }
     }
 
+    // Pause, resume or cancel the job shown in the progress card
+    async controlJob(action) {
+        if (!this.currentJob || !this.hasStaffPermission()) return;
+        
+        const jobId = this.currentJob.jobId;
+        if (action === 'cancel' && !confirm(`Cancel job ${jobId.substring(0, 8)}? Clients not charged yet are left for the next run.`)) {
+            return;
+        }
+        
+        try {
+            const response = await this.makeAuthenticatedRequest(`/api/jobs/${jobId}/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' }
+            });
+            
+            if (!response) return;
+            const result = await response.json();
+            
+            if (result.success) {
+                this.log(result.message, 'info');
+            } else {
+                this.log(`Failed to ${action} job: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            this.log(`Failed to ${action} job: ` + error.message, 'error');
+        }
+    }
+
     async runManualJob() {
         if (!this.user.isStaff && !this.user.isSuperuser) {
             this.log('Insufficient permissions to run manual job', 'error');
@@ -509,7 +695,7 @@ class PaymentProcessorClient {
             const data = await response.json();
             
             if (data.success) {
-                this.log('Manual job started successfully', 'success');
+                this.log(data.message, 'success');
             } else {
                 this.log(`Failed to start manual job: ${data.error}`, 'error');
             }
@@ -520,49 +706,61 @@ class PaymentProcessorClient {
         }
     }
 
+    splitList(value) {
+        return value
+            .split(/[\s,]+/)
+            .map(item => item.trim())
+            .filter(item => item.length > 0);
+    }
+
     getFormSettings() {
+        const lapsedHours = document.getElementById('manualLapsedHours').value;
         return {
-            intervalHours: parseInt(document.getElementById('intervalHours').value),
-            batchSize: parseInt(document.getElementById('batchSize').value),
-            includeInactive: document.getElementById('includeInactive').checked
+            batchSize: parseInt(document.getElementById('manualBatchSize').value),
+            includeInactive: document.getElementById('includeInactive').checked,
+            offerCodes: this.splitList(document.getElementById('manualOfferCodes').value),
+            lastPaymentOlderThanHours: lapsedHours === '' ? null : parseFloat(lapsedHours),
+            campaignIds: this.splitList(document.getElementById('manualCampaignIds').value),
+            msisdns: this.splitList(document.getElementById('manualMsisdns').value),
+            dryRun: document.getElementById('dryRun').checked
         };
     }
 
-    updateFormValues(settings) {
-        document.getElementById('intervalHours').value = settings.intervalHours;
-        document.getElementById('batchSize').value = settings.batchSize;
-        document.getElementById('includeInactive').checked = settings.includeInactive;
-    }
-
-    updateButtonStates() {
-        const hasPermission = this.user && (this.user.isStaff || this.user.isSuperuser);
+    async countClients() {
+        const element = document.getElementById('clientCount');
         
-        if (!hasPermission) {
-            return;
+        try {
+            const response = await this.makeAuthenticatedRequest('/api/clients/count', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.getFormSettings())
+            });
+            
+            if (!response) return;
+            const data = await response.json();
+            
+            if (data.success) {
+                const excluded = Object.entries(data.excluded)
+                    .map(([reason, count]) => `${reason}: ${count}`)
+                    .join(', ');
+                element.textContent = `${data.eligible} of ${data.matched} matching clients would be charged` +
+                    (excluded ? ` (excluded - ${excluded})` : '');
+                element.style.display = 'block';
+            } else {
+                this.log(`Failed to count clients: ${data.error}`, 'error');
+            }
+        } catch (error) {
+            this.log('Failed to count clients: ' + error.message, 'error');
         }
+    }
 
-        const startBtn = document.getElementById('startScheduler');
-        const stopBtn = document.getElementById('stopScheduler');
-        
-        if (this.schedulerEnabled) {
-            startBtn.disabled = true;
-            startBtn.style.opacity = '0.6';
-            startBtn.style.cursor = 'not-allowed';
-            stopBtn.disabled = false;
-            stopBtn.style.opacity = '1';
-            stopBtn.style.cursor = 'pointer';
-        } else {
-            startBtn.disabled = false;
-            startBtn.style.opacity = '1';
-            startBtn.style.cursor = 'pointer';
-            stopBtn.disabled = true;
-            stopBtn.style.opacity = '0.6';
-            stopBtn.style.cursor = 'not-allowed';
-        }
+    updateFormValues(settings) {
+        document.getElementById('manualBatchSize').value = settings.batchSize;
+        document.getElementById('includeInactive').checked = settings.includeInactive;
     }
 
     setButtonsLoading(loading) {
-        const buttons = ['startScheduler', 'stopScheduler', 'runManual', 'stopAllJobs'];
+        const buttons = ['saveSchedule', 'resetScheduleForm', 'runManual', 'stopAllJobs'];
         buttons.forEach(id => {
             const button = document.getElementById(id);
             if (button && !button.disabled) {
@@ -581,17 +779,19 @@ class PaymentProcessorClient {
     }
 
     updateSchedulerStatus(status) {
-        this.schedulerEnabled = status.enabled;
+        this.updateScheduleList(status.schedules || []);
         this.updateSchedulerEnabled(status.enabled);
         this.updateNextRun(status.nextRun);
-        this.updateUpcomingSchedules(status.upcomingSchedules);
-        this.updateButtonStates();
+        this.updateLeaseHolder(status.lease);
+        this.updateBillingWindows(status);
+        this.updateUpcomingSchedules(status.upcomingRuns || []);
         
-        if (status.settings) {
+        if (status.settings && !this.manualDefaultsLoaded) {
             this.updateFormValues(status.settings);
+            this.manualDefaultsLoaded = true;
         }
         
-        if (status.currentJob && status.currentJob.status === 'running') {
+        if (status.currentJob && ['running', 'paused'].includes(status.currentJob.status)) {
             this.currentJob = status.currentJob;
             this.showJobProgress(status.currentJob);
         } else if (!this.currentJob) {
@@ -601,11 +801,90 @@ class PaymentProcessorClient {
 
     updateSchedulerEnabled(enabled) {
         const statusElement = document.getElementById('schedulerEnabled');
-        statusElement.textContent = enabled ? 'Running' : 'Stopped';
+        const enabledCount = this.schedules.filter(schedule => schedule.enabled).length;
+        statusElement.textContent = enabled ? `Running (${enabledCount} schedule${enabledCount === 1 ? '' : 's'})` : 'Stopped';
         statusElement.style.color = enabled ? '#28a745' : '#dc3545';
         
         this.schedulerEnabled = enabled;
-        this.updateButtonStates();
+    }
+
+    formatMinutes(minutes) {
+        const hours = Math.floor(minutes / 60);
+        return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    updateBillingWindows(status) {
+        const windows = status.globalBlackoutWindows || [];
+        document.getElementById('schedulerTimezone').textContent = status.timezone || '-';
+        document.getElementById('globalBlackout').textContent = windows.length > 0 ?
+            windows.map(window => `${window.start}-${window.end}`).join(', ') :
+            'none';
+        
+        const restriction = document.getElementById('billingRestriction');
+        if (status.billingRestriction) {
+            restriction.textContent = `⚠️ Billing paused: ${status.billingRestriction}`;
+            restriction.style.display = 'block';
+        } else {
+            restriction.style.display = 'none';
+        }
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value === null || value === undefined ? '' : String(value);
+        return div.innerHTML;
+    }
+
+    updateScheduleList(schedules) {
+        this.schedules = schedules;
+        const container = document.getElementById('scheduleList');
+        
+        if (!schedules || schedules.length === 0) {
+            container.innerHTML = '<div class="no-schedules">No schedules configured</div>';
+            return;
+        }
+        
+        const statusLabels = { active: 'Active', inactive: 'Inactive', all: 'All' };
+        const canEdit = this.hasStaffPermission();
+        
+        container.innerHTML = schedules.map(schedule => {
+            const cadence = schedule.intervalHours ? 
+                `Every ${schedule.intervalHours}h from ${this.formatMinutes(schedule.startOffsetMinutes || 0)}` : 
+                `Cron ${this.escapeHtml(schedule.cronExpression)}`;
+            const blackouts = (schedule.blackoutWindows || []).length > 0 ?
+                this.escapeHtml(schedule.blackoutWindows.map(window => `${window.start}-${window.end}`).join(', ')) :
+                'none';
+            const days = (schedule.allowedDays || []).length > 0 ?
+                schedule.allowedDays.map(day => this.dayNames[day]).join(', ') :
+                'Every day';
+            const offers = schedule.offerCodes && schedule.offerCodes.length > 0 ? 
+                this.escapeHtml(schedule.offerCodes.join(', ')) : 
+                'All offers';
+            const nextRun = schedule.nextRun ? new Date(schedule.nextRun).toLocaleString() : '-';
+            const lapsed = schedule.filter && schedule.filter.lastPaymentOlderThanHours !== null ?
+                ` | Last paid over ${schedule.filter.lastPaymentOlderThanHours}h ago` :
+                '';
+            
+            return `
+                <div class="schedule-entry ${schedule.enabled ? 'enabled' : ''}">
+                    <div class="schedule-entry-header">
+                        <span class="schedule-entry-name">${this.escapeHtml(schedule.name)}</span>
+                        <span class="job-status ${schedule.enabled ? 'running' : 'pending'}">${schedule.enabled ? 'enabled' : 'disabled'}</span>
+                    </div>
+                    <div class="schedule-entry-details">
+                        ${cadence} | Batch ${schedule.batchSize} | ${offers} | ${statusLabels[schedule.statusFilter] || schedule.statusFilter} subscribers${lapsed}
+                    </div>
+                    <div class="schedule-entry-details">${days} | Blackouts: ${blackouts}</div>
+                    <div class="schedule-entry-details">Next run: ${nextRun}</div>
+                    ${canEdit ? `
+                    <div class="schedule-entry-actions">
+                        <button type="button" class="btn btn-secondary" data-action="edit" data-id="${schedule.id}">Edit</button>
+                        <button type="button" class="btn btn-primary" data-action="toggle" data-id="${schedule.id}">${schedule.enabled ? 'Disable' : 'Enable'}</button>
+                        <button type="button" class="btn btn-danger" data-action="delete" data-id="${schedule.id}">Delete</button>
+                    </div>` : ''}
+                </div>
+            `;
+        }).join('');
     }
 
     updateNextRun(nextRun) {
@@ -618,16 +897,29 @@ class PaymentProcessorClient {
         }
     }
 
-    updateUpcomingSchedules(schedules) {
+    updateLeaseHolder(lease) {
+        const element = document.getElementById('leaseHolder');
+        if (!lease || !lease.holder) {
+            element.textContent = 'None - no instance runs schedules';
+            element.style.color = '#dc3545';
+            return;
+        }
+        
+        const self = lease.holder.nodeId === lease.nodeId ? ' (this instance)' : '';
+        element.textContent = `${lease.holder.nodeId}${self}, token ${lease.holder.fencingToken}`;
+        element.style.color = '';
+    }
+
+    updateUpcomingSchedules(runs) {
         const container = document.getElementById('upcomingSchedules');
         
-        if (!schedules || schedules.length === 0) {
+        if (!runs || runs.length === 0) {
             container.innerHTML = '<div class="no-schedules">No scheduled runs</div>';
             return;
         }
         
-        const schedulesHtml = schedules.map((schedule, index) => {
-            const date = new Date(schedule);
+        const schedulesHtml = runs.map((run, index) => {
+            const date = new Date(run.runAt);
             const now = new Date();
             const isNext = index === 0;
             const isPast = date < now;
@@ -656,7 +948,7 @@ class PaymentProcessorClient {
                         <div class="schedule-clock">${date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</div>
                     </div>
                     <div class="schedule-info">
-                        <div class="schedule-label">${isNext ? 'Next Run' : `Run #${index + 1}`}</div>
+                        <div class="schedule-label">${isNext ? 'Next Run' : `Run #${index + 1}`} - ${this.escapeHtml(run.scheduleName)}</div>
                         <div class="schedule-countdown">${timeRemainingText}</div>
                     </div>
                 </div>
@@ -672,6 +964,22 @@ class PaymentProcessorClient {
         document.getElementById('inactiveClients').textContent = stats.inactive.toLocaleString();
     }
 
+    updateServerHealth(servers) {
+        const container = document.getElementById('serverHealth');
+        const badges = { closed: 'completed', half_open: 'pending', open: 'failed' };
+        
+        container.innerHTML = servers.map(server => `
+            <div class="stat-item">
+                <span class="stat-label">${server.server}</span>
+                <span class="job-status ${badges[server.state]}">${server.state.replace('_', '-')}</span>
+                <span class="stat-label">Success: ${server.successRate === null ? '-' : `${server.successRate}%`}</span>
+                <span class="stat-label">Latency: ${server.avgLatencyMs === null ? '-' : `${server.avgLatencyMs}ms`}</span>
+                <span class="stat-label">Traffic: ${server.trafficShare}%</span>
+                ${server.retryAt ? `<span class="stat-label">Probe at ${new Date(server.retryAt).toLocaleTimeString()}</span>` : ''}
+            </div>
+        `).join('');
+    }
+
     showJobProgress(job) {
         document.getElementById('noActiveJob').style.display = 'none';
         document.getElementById('jobDetails').style.display = 'block';
@@ -680,9 +988,16 @@ class PaymentProcessorClient {
         document.getElementById('jobType').textContent = job.isScheduled ? 'Scheduled' : 'Manual';
         
         this.resetProgress();
+        this.updateJobControls();
         this.log(`Job progress displayed for ${job.jobId.substring(0, 8)}`, 'info');
     }
 
+    updateJobControls() {
+        const paused = Boolean(this.currentJob && this.currentJob.status === 'paused');
+        document.getElementById('pauseJob').style.display = paused ? 'none' : '';
+        document.getElementById('resumeJob').style.display = paused ? '' : 'none';
+    }
+
     hideJobProgress() {
         document.getElementById('noActiveJob').style.display = 'block';
         document.getElementById('jobDetails').style.display = 'none';
@@ -713,6 +1028,11 @@ class PaymentProcessorClient {
             document.getElementById('successCount').textContent = currentSuccess;
             document.getElementById('failedCount').textContent = currentFailed;
         }
+        
+        if (data.liveTps !== undefined) {
+            document.getElementById('requestRate').textContent = data.liveTps;
+            document.getElementById('concurrencyLimit').textContent = data.concurrencyLimit;
+        }
     }
 
     resetProgress() {
@@ -723,6 +1043,7 @@ class PaymentProcessorClient {
         document.getElementById('successCount').textContent = '0';
         document.getElementById('failedCount').textContent = '0';
         document.getElementById('requestRate').textContent = '0';
+        document.getElementById('concurrencyLimit').textContent = '-';
     }
 
     updateJobHistory(jobs) {
@@ -743,9 +1064,9 @@ class PaymentProcessorClient {
                 Math.round((job.successful_requests / job.total_clients) * 100) : 0;
             
             return `
-                <div class="job-item">
+                <div class="job-item ${job.simulated ? 'simulated' : ''}">
                     <div class="job-info">
-                        <div class="job-id">${job.job_id.substring(0, 8)}</div>
+                        <div class="job-id">${job.job_id.substring(0, 8)}${job.simulated ? ' <span class="job-simulated">SIMULATED</span>' : ''}</div>
                         <div class="job-stats">
                             ${job.total_clients} clients | 
                             Success: ${job.successful_requests} (${successRate}%) | 
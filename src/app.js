@@ -15,13 +15,18 @@ const gamesApiRoutes = require('./routes/games-api');
 const gamesWebRoutes = require('./routes/games-web');
 const schedulerService = require('./services/scheduler');
 const paymentService = require('./services/payment');
+const serverHealth = require('./services/server-health');
+const leaderLease = require('./services/leader-lease');
 const reportsService = require('./services/reports.service');
 const authService = require('./services/auth.service');
 const gamesService = require('./services/games.service');
 const thumbnailService = require('./services/thumbnail.service');
+const webhookInboxService = require('./services/webhook-inbox.service');
+const smsService = require('./services/sms');
 const progressTracker = require('./utils/progress');
 const logger = require('./utils/logger');
 const { addUserInfo } = require('./middleware/auth.middleware');
+const { captureRawBody } = require('./middleware/webhook-auth.middleware');
 
 class Application {
   constructor() {
@@ -75,7 +80,7 @@ class Application {
       
     this.app.use(cors());
     this.app.use(cookieParser());
-    this.app.use(express.json());
+    this.app.use(express.json({ verify: captureRawBody }));
     this.app.use(express.urlencoded({ extended: true }));
     
     // Payment Processor static files
@@ -166,8 +171,11 @@ class Application {
               socket.emit('authenticated', { success: true });
               logger.success(`Socket authenticated for user: ${user.username}`);
               
-              socket.emit('schedulerStatus', schedulerService.getStatus());
+              schedulerService.getStatus()
+                .then(status => socket.emit('schedulerStatus', status))
+                .catch(error => logger.error('Failed to send scheduler status:', error.message));
               socket.emit('activeJobs', progressTracker.getAllActiveJobs());
+              socket.emit('serverHealth', { servers: serverHealth.getStatus() });
             } else {
               socket.emit('authenticated', { success: false, error: 'Invalid session' });
             }
@@ -198,8 +206,11 @@ class Application {
       socket.authenticated = true;
       logger.success(`Authenticated socket connection for user: ${user.username} (${socket.id})`);
       
-      socket.emit('schedulerStatus', schedulerService.getStatus());
+      schedulerService.getStatus()
+        .then(status => socket.emit('schedulerStatus', status))
+        .catch(error => logger.error('Failed to send scheduler status:', error.message));
       socket.emit('activeJobs', progressTracker.getAllActiveJobs());
+      socket.emit('serverHealth', { servers: serverHealth.getStatus() });
       
       socket.on('disconnect', () => {
         logger.info(`Authenticated client disconnected: ${user.username} (${socket.id})`);
@@ -209,7 +220,7 @@ class Application {
 
   setupEventListeners() {
     schedulerService.on('schedulerStarted', (data) => {
-      logger.success(`Scheduler started - Every ${data.intervalHours} hours`);
+      logger.success(`Schedule "${data.name}" started - ${data.cronExpression}`);
       this.io.sockets.sockets.forEach(socket => {
         if (socket.authenticated) {
           socket.emit('schedulerStarted', data);
@@ -217,11 +228,19 @@ class Application {
       });
     });
 
-    schedulerService.on('schedulerStopped', () => {
-      logger.info('Scheduler stopped');
+    schedulerService.on('schedulerStopped', (data) => {
+      logger.info(`Schedule "${data.name}" stopped`);
       this.io.sockets.sockets.forEach(socket => {
         if (socket.authenticated) {
-          socket.emit('schedulerStopped');
+          socket.emit('schedulerStopped', data);
+        }
+      });
+    });
+
+    schedulerService.on('schedulesUpdated', (schedules) => {
+      this.io.sockets.sockets.forEach(socket => {
+        if (socket.authenticated) {
+          socket.emit('schedulesUpdated', schedules);
         }
       });
     });
@@ -242,10 +261,11 @@ class Application {
       progressTracker.updateBatchProgress(data.jobId, data.batchIndex, data.batchSize);
       
       const successfulInBatch = data.results.filter(r => r.success).length;
-      const failedInBatch = data.results.filter(r => !r.success).length;
+      const failedInBatch = data.results.filter(r => !r.success && !r.skipped).length;
       
       logger.success(`Batch ${data.batchIndex}/${data.totalBatches} completed - Success: ${successfulInBatch}, Failed: ${failedInBatch}`);
       
+      const servers = serverHealth.getStatus();
       this.io.sockets.sockets.forEach(socket => {
         if (socket.authenticated) {
           socket.emit('batchCompleted', {
@@ -253,6 +273,7 @@ class Application {
             successfulInBatch,
             failedInBatch
           });
+          socket.emit('serverHealth', { servers });
         }
       });
 
@@ -294,6 +315,34 @@ class Application {
       });
     });
 
+    schedulerService.on('jobCancelled', (data) => {
+      logger.warn(`Job cancelled: ${data.jobId}`);
+      progressTracker.completeJob(data.jobId);
+      reportsService.clearCache();
+      
+      this.io.sockets.sockets.forEach(socket => {
+        if (socket.authenticated) {
+          socket.emit('jobCancelled', data);
+        }
+      });
+    });
+
+    schedulerService.on('jobPaused', (data) => {
+      this.io.sockets.sockets.forEach(socket => {
+        if (socket.authenticated) {
+          socket.emit('jobPaused', data);
+        }
+      });
+    });
+
+    schedulerService.on('jobResumed', (data) => {
+      this.io.sockets.sockets.forEach(socket => {
+        if (socket.authenticated) {
+          socket.emit('jobResumed', data);
+        }
+      });
+    });
+
     schedulerService.on('jobSkipped', (data) => {
       logger.warn(`Job skipped: ${data.reason}`);
       this.io.sockets.sockets.forEach(socket => {
@@ -312,6 +361,15 @@ class Application {
       });
     });
 
+    serverHealth.on('breakerStateChanged', (change) => {
+      const servers = serverHealth.getStatus();
+      this.io.sockets.sockets.forEach(socket => {
+        if (socket.authenticated) {
+          socket.emit('serverHealth', { servers, change });
+        }
+      });
+    });
+
     paymentService.on('batchStarted', (data) => {
       this.io.sockets.sockets.forEach(socket => {
         if (socket.authenticated) {
@@ -353,6 +411,20 @@ class Application {
       logger.error('Failed to initialize scheduler:', error.message);
     }
 
+    try {
+      await webhookInboxService.initialize();
+      logger.success('Webhook inbox initialized');
+    } catch (error) {
+      logger.error('Failed to initialize webhook inbox:', error.message);
+    }
+
+    try {
+      await smsService.initialize();
+      logger.success('SMS service initialized');
+    } catch (error) {
+      logger.error('Failed to initialize SMS service:', error.message);
+    }
+
     try {
       await reportsService.initialize();
       logger.success('Reports service initialized with database optimization');
@@ -383,18 +455,24 @@ class Application {
       logger.info(`Games Portal: https://easysms.co.ke${this.gamesPath}/`);
       logger.info(`Games API: https://easysms.co.ke${this.gamesPath}/api`);
       
-      const status = schedulerService.getStatus();
-      if (status.enabled) {
-        logger.info(`Scheduler is ACTIVE - Next run: ${status.nextRun ? status.nextRun.toLocaleString() : 'Unknown'}`);
-      } else {
-        logger.info('Scheduler is INACTIVE - Use web interface to start');
-      }
+      schedulerService.getStatus().then(status => {
+        if (status.enabled) {
+          logger.info(`Scheduler is ACTIVE - Next run: ${status.nextRun ? status.nextRun.toLocaleString() : 'Unknown'}`);
+        } else {
+          logger.info('Scheduler is INACTIVE - Use web interface to start');
+        }
+      }).catch(error => {
+        logger.error('Failed to read scheduler status:', error.message);
+      });
     });
 
     const gracefulShutdown = async (signal) => {
       logger.info(`Received ${signal}, shutting down gracefully...`);
       
-      schedulerService.stopScheduler();
+      schedulerService.stopAllScheduleTasks();
+      await leaderLease.stop();
+      webhookInboxService.stop();
+      smsService.stop();
       await thumbnailService.close();
       
       this.server.close(() => {
@@ -1,5 +1,11 @@
 require('dotenv').config();
 
+const os = require('os');
+
+// Point these at the bundled mock SDP (npm run mock-sdp) to run offline
+const sdpBaseUrl = process.env.SDP_BASE_URL || 'https://dsvc.safaricom.com:9480';
+const sdpFallbackBaseUrl = process.env.SDP_FALLBACK_BASE_URL || 'https://dsvc2.safaricom.com:9480';
+
 const config = {
   server: {
     port: process.env.PORT || 3000,
@@ -17,9 +23,12 @@ const config = {
   },
   
   safaricom: {
-    authUrl: "https://dsvc.safaricom.com:9480/api/auth/login",
-    primaryServer: "https://dsvc.safaricom.com:9480/api/public/SDP/paymentRequest",
-    fallbackServer: "https://dsvc2.safaricom.com:9480/api/public/SDP/paymentRequest",
+    configUrl: process.env.SAFARICOM_CONFIG_URL || 'https://easysms.co.ke/api/config/',
+    msisdnUrl: process.env.SAFARICOM_MSISDN_URL || 'https://identity.safaricom.com/partner/api/v2/fetchMaskedMsisdn',
+    authUrl: `${sdpBaseUrl}/api/auth/login`,
+    primaryServer: `${sdpBaseUrl}/api/public/SDP/paymentRequest`,
+    fallbackServer: `${sdpFallbackBaseUrl}/api/public/SDP/paymentRequest`,
+    smsUrl: `${sdpBaseUrl}/api/public/SDP/sendSMSRequest`,
     username: process.env.SMS_API_USERNAME,
     password: process.env.SMS_API_PASSWORD,
     cpId: process.env.CPID,
@@ -34,9 +43,104 @@ const config = {
     concurrentRequests: parseInt(process.env.CONCURRENT_REQUESTS) || 5,
     requestTimeout: parseInt(process.env.REQUEST_TIMEOUT) || 10000,
     tokenRefreshInterval: parseInt(process.env.TOKEN_REFRESH_INTERVAL) || 1500000,
+    // Throttling toward the SDP: a TPS cap per server and an adaptive limit on
+    // requests in flight that starts at concurrentRequests
+    maxTpsPerServer: parseInt(process.env.SDP_MAX_TPS_PER_SERVER) || 20,
+    minConcurrentRequests: parseInt(process.env.MIN_CONCURRENT_REQUESTS) || 1,
+    maxConcurrentRequests: parseInt(process.env.MAX_CONCURRENT_REQUESTS) || 50,
+    latencyTargetMs: parseInt(process.env.SDP_LATENCY_TARGET_MS) || 2000,
     serverDistribution: 0.5,
     batchDelay: 100,
-    maxRequestsPerDay: 6
+    maxRequestsPerDay: parseInt(process.env.MAX_REQUESTS_PER_DAY) || 6,
+    billingWindowHours: parseInt(process.env.BILLING_WINDOW_HOURS) || 24,
+    reconcileGraceMs: parseInt(process.env.PAYMENT_RECONCILE_GRACE_MS) || 120000,
+    timezone: 'Africa/Nairobi',
+    blackoutWindows: process.env.BILLING_BLACKOUT_WINDOWS !== undefined ?
+      process.env.BILLING_BLACKOUT_WINDOWS : '22:00-06:00'
+  },
+  
+  // Per-server circuit breakers for the SDP: a breaker opens after
+  // consecutiveFailures failures in a row, or when failureRateThreshold of the
+  // last windowSize requests (at least minRequests) failed, and probes again
+  // after openMs
+  circuitBreaker: {
+    windowSize: parseInt(process.env.CIRCUIT_WINDOW_SIZE) || 50,
+    minRequests: parseInt(process.env.CIRCUIT_MIN_REQUESTS) || 10,
+    failureRateThreshold: parseFloat(process.env.CIRCUIT_FAILURE_RATE) || 0.5,
+    consecutiveFailures: parseInt(process.env.CIRCUIT_CONSECUTIVE_FAILURES) || 5,
+    openMs: parseInt(process.env.CIRCUIT_OPEN_MS) || 30000
+  },
+  
+  // SDP responseParam.statusCode values (comma-separated) for each charge
+  // outcome. Codes in none of the lists are retried and reported as unknown.
+  sdpStatusCodes: {
+    success: process.env.SDP_SUCCESS_CODES || 'SC0000',
+    retryable: process.env.SDP_RETRYABLE_CODES || 'SVC0001,SVC0003,SVC0004,SVC0401',
+    insufficientFunds: process.env.SDP_INSUFFICIENT_FUNDS_CODES || 'SVC0270',
+    unsubscribe: process.env.SDP_UNSUBSCRIBE_CODES || 'SVC0007',
+    blacklist: process.env.SDP_BLACKLIST_CODES || ''
+  },
+  
+  // Charges a job gave up on are retried by later scheduled jobs. Policies per
+  // error class are "baseHours,maxHours,maxAttempts": the nth retry waits
+  // baseHours * 2^(n-1), capped at maxHours. Nothing is retried after maxAgeHours.
+  retryLedger: {
+    maxAgeHours: parseFloat(process.env.RETRY_MAX_AGE_HOURS) || 72,
+    policies: {
+      insufficient_funds: process.env.RETRY_POLICY_INSUFFICIENT_FUNDS || '4,24,6',
+      timeout: process.env.RETRY_POLICY_TIMEOUT || '1,8,4',
+      server: process.env.RETRY_POLICY_SERVER || '1,8,4',
+      auth: process.env.RETRY_POLICY_AUTH || '0.5,2,3',
+      unknown: process.env.RETRY_POLICY_UNKNOWN || '2,12,3'
+    }
+  },
+  
+  // Only the instance holding the scheduler lease fires scheduled runs; a
+  // lease not renewed within ttlSeconds may be taken over by another one
+  schedulerLease: {
+    nodeId: process.env.SCHEDULER_NODE_ID || `${os.hostname()}-${process.pid}`,
+    ttlSeconds: parseInt(process.env.SCHEDULER_LEASE_TTL_SECONDS) || 30
+  },
+  
+  // Runs due while no instance held the scheduler lease are recorded as
+  // missed, looking back at most lookbackHours. catchUp 'latest' runs the most
+  // recent missed run of each schedule if it is at most catchUpWindowHours old.
+  scheduleRuns: {
+    lookbackHours: parseFloat(process.env.SCHEDULE_MISSED_LOOKBACK_HOURS) || 48,
+    catchUp: process.env.SCHEDULE_CATCH_UP || 'none',
+    catchUpWindowHours: parseFloat(process.env.SCHEDULE_CATCH_UP_WINDOW_HOURS) || 6
+  },
+  
+  // Dry-run jobs answer payment requests locally with this behaviour
+  simulation: {
+    successRate: process.env.SIMULATION_SUCCESS_RATE !== undefined ?
+      parseFloat(process.env.SIMULATION_SUCCESS_RATE) : 0.85,
+    timeoutRate: process.env.SIMULATION_TIMEOUT_RATE !== undefined ?
+      parseFloat(process.env.SIMULATION_TIMEOUT_RATE) : 0.02,
+    minLatencyMs: parseInt(process.env.SIMULATION_MIN_LATENCY_MS) || 150,
+    maxLatencyMs: parseInt(process.env.SIMULATION_MAX_LATENCY_MS) || 1200
+  },
+  
+  postback: {
+    timeout: parseInt(process.env.POSTBACK_TIMEOUT) || 10000,
+    maxAttempts: parseInt(process.env.POSTBACK_MAX_ATTEMPTS) || 4,
+    retryBaseDelay: parseInt(process.env.POSTBACK_RETRY_BASE_DELAY) || 2000
+  },
+  
+  sms: {
+    enabled: process.env.SMS_ENABLED === 'true',
+    batchSize: parseInt(process.env.SMS_BATCH_SIZE) || 20,
+    ratePerSecond: parseInt(process.env.SMS_RATE_PER_SECOND) || 10,
+    maxAttempts: parseInt(process.env.SMS_MAX_ATTEMPTS) || 3,
+    retryBaseDelay: parseInt(process.env.SMS_RETRY_BASE_DELAY) || 60000,
+    pollInterval: parseInt(process.env.SMS_POLL_INTERVAL) || 15000
+  },
+  
+  webhook: {
+    secret: process.env.WEBHOOK_SECRET,
+    toleranceSeconds: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    retryBaseDelay: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY) || 30000
   },
   
   security: {
@@ -1,7 +1,58 @@
 const schedulerService = require('../services/scheduler');
 const databaseService = require('../services/database');
+const sdpSimulator = require('../services/sdp-simulator');
+const serverHealth = require('../services/server-health');
+const retryLedger = require('../services/retry-ledger');
+const clientFilter = require('../utils/client-filter');
 const logger = require('../utils/logger');
 
+const RETRY_STATUSES = ['scheduled', 'succeeded', 'expired', 'cancelled'];
+
+// Pause, resume and cancel: the job must exist, the scheduler decides
+// whether its current state allows the action
+const controlJob = async (req, res, verb, action) => {
+  try {
+    const { jobId } = req.params;
+    
+    if (!jobId || jobId.length !== 36) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid job ID format'
+      });
+    }
+    
+    const job = await databaseService.getProcessingJob(jobId);
+    
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+    
+    const result = await action(job);
+    
+    if (!result.success) {
+      return res.status(409).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    logger.info(`Job ${jobId}: ${verb} requested by ${req.user.username}`);
+    res.json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    logger.error(`Failed to ${verb} job:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
 class PaymentController {
   async startScheduler(req, res) {
     try {
@@ -36,9 +87,10 @@ class PaymentController {
         });
       }
 
-      // Check if scheduler is already running
+      // Check if the default schedule is already running
       const currentStatus = await schedulerService.getStatus();
-      if (currentStatus.enabled) {
+      const defaultSchedule = currentStatus.schedules.find(schedule => schedule.name === 'default');
+      if (defaultSchedule && defaultSchedule.enabled) {
         return res.status(400).json({
           success: false,
           error: 'Scheduler is already running'
@@ -71,7 +123,7 @@ class PaymentController {
 
   async stopScheduler(req, res) {
     try {
-      const result = schedulerService.stopScheduler();
+      await schedulerService.stopScheduler();
       logger.success('Scheduler stopped successfully');
       
       res.json({
@@ -114,6 +166,18 @@ class PaymentController {
     }
   }
 
+  async pauseJob(req, res) {
+    await controlJob(req, res, 'pause', job => schedulerService.pauseJob(job));
+  }
+
+  async resumeJob(req, res) {
+    await controlJob(req, res, 'resume', job => schedulerService.resumePausedJob(job));
+  }
+
+  async cancelJob(req, res) {
+    await controlJob(req, res, 'cancel', job => schedulerService.cancelJob(job));
+  }
+
   async runManualJob(req, res) {
     try {
       const dbConnected = await databaseService.testConnection();
@@ -124,10 +188,7 @@ class PaymentController {
         });
       }
 
-      const {
-        batchSize = 10,
-        includeInactive = false
-      } = req.body;
+      const { batchSize = 10, dryRun = false, simulation = {} } = req.body;
 
       const size = parseInt(batchSize);
       if (size < 5 || size > 100) {
@@ -137,11 +198,41 @@ class PaymentController {
         });
       }
 
-      logger.info('Starting manual payment job');
+      const { filter, error } = clientFilter.normalize(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      let simulationSettings = null;
+      if (dryRun === true || dryRun === 'true') {
+        const resolved = sdpSimulator.resolveSettings(simulation || {});
+        if (resolved.error) {
+          return res.status(400).json({
+            success: false,
+            error: resolved.error
+          });
+        }
+        simulationSettings = resolved.settings;
+      }
+
+      // A dry run charges no one, so blackout windows do not apply to it
+      const restriction = simulationSettings ? null : schedulerService.getBillingRestriction();
+      if (restriction) {
+        return res.status(400).json({
+          success: false,
+          error: `Billing not allowed now: ${restriction}`
+        });
+      }
+
+      logger.info(`Starting ${simulationSettings ? 'dry-run' : 'manual'} payment job`);
       
       schedulerService.executeManualJob({
         batchSize: size,
-        includeInactive: Boolean(includeInactive)
+        filter,
+        simulation: simulationSettings
       }).then(result => {
         if (result.success) {
           logger.success(`Manual job completed successfully: ${result.jobId}`);
@@ -154,7 +245,10 @@ class PaymentController {
 
       res.json({
         success: true,
-        message: 'Manual job started successfully',
+        message: simulationSettings ? 'Dry-run job started - no subscriber will be charged' : 'Manual job started successfully',
+        dryRun: Boolean(simulationSettings),
+        simulation: simulationSettings,
+        filter: clientFilter.describe(filter),
         note: 'Job is running in background, monitor progress in real-time'
       });
     } catch (error) {
@@ -178,10 +272,15 @@ class PaymentController {
           enabled: Boolean(status.enabled),
           isRunning: Boolean(status.isRunning),
           settings: status.settings,
+          schedules: status.schedules || [],
           currentJob: status.currentJob,
           runningJobs: status.runningJobs || [],
           nextRun: status.nextRun,
           upcomingSchedules: status.upcomingSchedules || [],
+          upcomingRuns: status.upcomingRuns || [],
+          timezone: status.timezone,
+          globalBlackoutWindows: status.globalBlackoutWindows || [],
+          billingRestriction: status.billingRestriction || null,
           isScheduled: Boolean(status.isScheduled),
           cronActive: status.cronActive || 'stopped'
         },
@@ -202,10 +301,12 @@ class PaymentController {
           enabled: false,
           isRunning: false,
           settings: schedulerService.getSettings(),
+          schedules: [],
           currentJob: null,
           runningJobs: [],
           nextRun: null,
           upcomingSchedules: [],
+          upcomingRuns: [],
           isScheduled: false,
           cronActive: 'stopped'
         },
@@ -214,6 +315,33 @@ class PaymentController {
     }
   }
 
+  // Dry run of a client filter: nothing is charged or recorded
+  async countClients(req, res) {
+    try {
+      const { filter, error } = clientFilter.normalize(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      const counts = await databaseService.countClients(filter);
+      
+      res.json({
+        success: true,
+        filter: clientFilter.describe(filter),
+        ...counts
+      });
+    } catch (error) {
+      logger.error('Failed to count clients:', error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   async updateSettings(req, res) {
     try {
       const {
@@ -250,7 +378,7 @@ class PaymentController {
         settings.includeInactive = Boolean(includeInactive);
       }
 
-      schedulerService.updateSettings(settings);
+      await schedulerService.updateSettings(settings);
       
       logger.success('Settings updated successfully');
       
@@ -333,6 +461,40 @@ class PaymentController {
     }
   }
 
+  async getChargeRetries(req, res) {
+    try {
+      const { status, limit = 50 } = req.query;
+      const limitInt = parseInt(limit);
+      
+      if (status && !RETRY_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Status must be one of: ${RETRY_STATUSES.join(', ')}`
+        });
+      }
+      
+      if (!limitInt || limitInt < 1 || limitInt > 500) {
+        return res.status(400).json({
+          success: false,
+          error: 'Limit must be between 1 and 500'
+        });
+      }
+      
+      const retries = await retryLedger.list({ status, limit: limitInt });
+      
+      res.json({
+        success: true,
+        retries
+      });
+    } catch (error) {
+      logger.error('Failed to list charge retries:', error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   async getSystemStatus(req, res) {
     try {
       const schedulerStatus = await schedulerService.getStatus();
@@ -349,7 +511,8 @@ class PaymentController {
           version: require('../../package.json').version
         },
         scheduler: schedulerStatus,
-        clients: clientStats
+        clients: clientStats,
+        sdpServers: serverHealth.getStatus()
       });
     } catch (error) {
       logger.error('Failed to get system status:', error.message);
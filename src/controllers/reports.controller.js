@@ -116,6 +116,26 @@ class ReportsController {
     }
   }
 
+  async getSmsDeliveryRates(req, res) {
+    try {
+      const { timeRange = 'daily' } = req.query;
+      
+      const data = await reportsService.getSmsDeliveryRates(timeRange);
+      
+      res.json({
+        success: true,
+        data,
+        timeRange
+      });
+    } catch (error) {
+      logger.error('SMS delivery rates error:', error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   async exportSuccessfulPayments(req, res) {
     try {
       const { timeRange = 'daily' } = req.query;
@@ -0,0 +1,298 @@
+const schedulerService = require('../services/scheduler');
+const scheduleCalendar = require('../utils/schedule-calendar');
+const clientFilter = require('../utils/client-filter');
+const databaseService = require('../services/database');
+const logger = require('../utils/logger');
+
+const RUN_STATUSES = ['fired', 'executed', 'skipped', 'failed', 'missed', 'caught_up'];
+
+// Accepts minutes after midnight or "HH:MM"
+function parseStartOffset(value) {
+  if (typeof value === 'string' && value.includes(':')) {
+    return scheduleCalendar.parseTime(value);
+  }
+  const minutes = parseInt(value);
+  return minutes >= 0 && minutes < 24 * 60 ? minutes : null;
+}
+
+// Validates a create (existing = null) or update body and returns either
+// { error } or { schedule } with only the fields that change
+function parseScheduleInput(body, existing) {
+  const partial = Boolean(existing);
+  const schedule = {};
+  const {
+    name, cronExpression, intervalHours, startOffset, batchSize,
+    blackoutWindows, allowedDays, enabled
+  } = body;
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+      return { error: 'Name is required and must be at most 100 characters' };
+    }
+    schedule.name = name.trim();
+  }
+
+  if (cronExpression !== undefined && cronExpression !== null && cronExpression !== '') {
+    const cronError = scheduleCalendar.validateExpression(String(cronExpression));
+    if (cronError) {
+      return { error: cronError };
+    }
+    schedule.cronExpression = String(cronExpression).trim().replace(/\s+/g, ' ');
+    schedule.intervalHours = null;
+    schedule.startOffsetMinutes = 0;
+  } else if (intervalHours !== undefined || startOffset !== undefined) {
+    const hours = parseInt(intervalHours !== undefined ? intervalHours : existing && existing.intervalHours);
+    if (!(hours >= 1 && hours <= 12)) {
+      return { error: 'Interval hours must be between 1 and 12' };
+    }
+
+    const offset = startOffset !== undefined ?
+      parseStartOffset(startOffset) :
+      (existing ? existing.startOffsetMinutes : 0);
+    if (offset === null) {
+      return { error: 'Start offset must be HH:MM or minutes after midnight (0-1439)' };
+    }
+
+    schedule.intervalHours = hours;
+    schedule.startOffsetMinutes = offset;
+    schedule.cronExpression = schedulerService.generateCronExpression(hours, offset);
+  } else if (!partial) {
+    return { error: 'Either cronExpression or intervalHours is required' };
+  }
+
+  if (batchSize !== undefined || !partial) {
+    const size = parseInt(batchSize === undefined ? 10 : batchSize);
+    if (!(size >= 5 && size <= 100)) {
+      return { error: 'Batch size must be between 5 and 100' };
+    }
+    schedule.batchSize = size;
+  }
+
+  if (clientFilter.hasFields(body) || !partial) {
+    const { filter, error } = clientFilter.merge(existing ? existing.filter : {}, body);
+    if (error) return { error };
+    schedule.filter = filter;
+    schedule.offerCodes = filter.offerCodes;
+    schedule.statusFilter = filter.statusFilter;
+  }
+
+  if (blackoutWindows !== undefined || !partial) {
+    const { windows, error } = scheduleCalendar.normalizeWindows(blackoutWindows);
+    if (error) return { error };
+    schedule.blackoutWindows = windows;
+  }
+
+  if (allowedDays !== undefined || !partial) {
+    const { days, error } = scheduleCalendar.normalizeDays(allowedDays);
+    if (error) return { error };
+    schedule.allowedDays = days;
+  }
+
+  if (enabled !== undefined || !partial) {
+    schedule.enabled = Boolean(enabled);
+  }
+
+  // A schedule whose every run falls in a blackout would silently never bill
+  const merged = { ...(existing || {}), ...schedule };
+  if (schedulerService.getAllowedRuns(merged, 1).length === 0) {
+    return { error: 'Schedule never runs outside its blackout windows and allowed days' };
+  }
+
+  return { schedule };
+}
+
+class SchedulesController {
+  async listSchedules(req, res) {
+    try {
+      await schedulerService.syncSchedules();
+      
+      res.json({
+        success: true,
+        schedules: schedulerService.getSchedules()
+      });
+    } catch (error) {
+      logger.error('Failed to list schedules:', error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async getSchedule(req, res) {
+    try {
+      const schedule = await schedulerService.getSchedule(req.params.id);
+      
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Schedule not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        schedule
+      });
+    } catch (error) {
+      logger.error('Failed to get schedule:', error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async createSchedule(req, res) {
+    try {
+      const { error, schedule } = parseScheduleInput(req.body, null);
+      
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+      
+      const created = await schedulerService.createSchedule(schedule);
+      
+      res.status(201).json({
+        success: true,
+        message: 'Schedule created successfully',
+        schedule: created
+      });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({
+          success: false,
+          error: 'A schedule with this name already exists'
+        });
+      }
+      
+      logger.error('Failed to create schedule:', error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async updateSchedule(req, res) {
+    try {
+      const existing = await schedulerService.getSchedule(req.params.id);
+      
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Schedule not found'
+        });
+      }
+      
+      const { error, schedule } = parseScheduleInput(req.body, existing);
+      
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+      
+      const updated = await schedulerService.updateSchedule(parseInt(req.params.id), schedule);
+      
+      if (!updated) {
+        return res.status(404).json({
+          success: false,
+          error: 'Schedule not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Schedule updated successfully',
+        schedule: updated
+      });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({
+          success: false,
+          error: 'A schedule with this name already exists'
+        });
+      }
+      
+      logger.error('Failed to update schedule:', error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async deleteSchedule(req, res) {
+    try {
+      const deleted = await schedulerService.deleteSchedule(parseInt(req.params.id));
+      
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Schedule not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Schedule deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete schedule:', error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async listRuns(req, res) {
+    try {
+      const { scheduleId, status, limit } = req.query;
+      
+      if (scheduleId !== undefined && !(parseInt(scheduleId) > 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'scheduleId must be a positive integer'
+        });
+      }
+      if (status !== undefined && !RUN_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${RUN_STATUSES.join(', ')}`
+        });
+      }
+      const size = limit === undefined ? 50 : parseInt(limit);
+      if (!(size >= 1 && size <= 500)) {
+        return res.status(400).json({
+          success: false,
+          error: 'limit must be between 1 and 500'
+        });
+      }
+      
+      const runs = await databaseService.listScheduleRuns({
+        scheduleId: scheduleId !== undefined ? parseInt(scheduleId) : null,
+        status,
+        limit: size
+      });
+      
+      res.json({
+        success: true,
+        runs
+      });
+    } catch (error) {
+      logger.error('Failed to list schedule runs:', error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new SchedulesController();
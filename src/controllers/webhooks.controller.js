@@ -0,0 +1,94 @@
+const webhookInboxService = require('../services/webhook-inbox.service');
+const logger = require('../utils/logger');
+
+const INBOX_STATUSES = ['received', 'processing', 'processed', 'failed', 'dead'];
+
+class WebhooksController {
+  async listInbox(req, res) {
+    try {
+      const { status, limit = 50 } = req.query;
+      const limitInt = parseInt(limit);
+      
+      if (status && !INBOX_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Status must be one of: ${INBOX_STATUSES.join(', ')}`
+        });
+      }
+      
+      if (!limitInt || limitInt < 1 || limitInt > 500) {
+        return res.status(400).json({
+          success: false,
+          error: 'Limit must be between 1 and 500'
+        });
+      }
+      
+      const entries = await webhookInboxService.list({ status, limit: limitInt });
+      
+      res.json({
+        success: true,
+        entries
+      });
+    } catch (error) {
+      logger.error('Failed to list webhook inbox:', error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async getInboxEntry(req, res) {
+    try {
+      const entry = await webhookInboxService.get(parseInt(req.params.id));
+      
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        entry
+      });
+    } catch (error) {
+      logger.error('Failed to get webhook inbox entry:', error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async replayInboxEntry(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const outcome = await webhookInboxService.replay(id);
+      
+      if (!outcome) {
+        return res.status(409).json({
+          success: false,
+          error: 'Webhook not found, already processed or currently being processed'
+        });
+      }
+      
+      logger.info(`Webhook ${id} replayed by ${req.user.username}: ${outcome}`);
+      
+      res.json({
+        success: outcome === 'processed',
+        status: outcome,
+        entry: await webhookInboxService.get(id)
+      });
+    } catch (error) {
+      logger.error('Failed to replay webhook:', error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new WebhooksController();
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const config = require('../config');
+const webhookInboxService = require('../services/webhook-inbox.service');
+const logger = require('../utils/logger');
+
+const MAX_NONCE_LENGTH = 128;
+
+const reject = (req, res, reason) => {
+  logger.warn(`Rejected webhook delivery from ${req.ip}: ${reason}`);
+  return res.status(401).json({
+    status: 'rejected',
+    error: 'Invalid webhook signature'
+  });
+};
+
+// Signature: hex HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>" with the
+// shared secret, sent with the unix timestamp (seconds) and a unique nonce
+const signPayload = (secret, timestamp, nonce, rawBody) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(rawBody)
+    .digest('hex');
+};
+
+const verifyWebhookSignature = async (req, res, next) => {
+  const { secret, toleranceSeconds } = config.webhook;
+
+  if (!secret) {
+    logger.error('WEBHOOK_SECRET is not configured - rejecting all webhook deliveries');
+    return reject(req, res, 'webhook secret not configured');
+  }
+
+  const signatureHeader = req.headers['x-webhook-signature'];
+  const timestamp = req.headers['x-webhook-timestamp'];
+  const nonce = req.headers['x-webhook-nonce'];
+
+  if (!signatureHeader || !timestamp || !nonce) {
+    return reject(req, res, 'missing signature headers');
+  }
+
+  if (nonce.length > MAX_NONCE_LENGTH) {
+    return reject(req, res, `nonce longer than ${MAX_NONCE_LENGTH} characters`);
+  }
+
+  const timestampSeconds = parseInt(timestamp);
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  if (!timestampSeconds || Math.abs(nowSeconds - timestampSeconds) > toleranceSeconds) {
+    return reject(req, res, `timestamp ${timestamp} outside ${toleranceSeconds}s tolerance`);
+  }
+
+  const rawBody = req.rawBody || Buffer.from('');
+  const expected = Buffer.from(signPayload(secret, timestamp, nonce, rawBody), 'hex');
+  const provided = Buffer.from(signatureHeader.replace(/^sha256=/, ''), 'hex');
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return reject(req, res, 'signature mismatch');
+  }
+
+  // Nonces are kept until the timestamp check would reject the delivery anyway
+  let fresh;
+  try {
+    fresh = await webhookInboxService.recordNonce(nonce, new Date(Date.now() + toleranceSeconds * 2 * 1000));
+  } catch (error) {
+    // Not stored, so the forwarder may redeliver it with the same nonce
+    logger.error('Failed to record webhook nonce:', error.message);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Webhook could not be verified'
+    });
+  }
+
+  if (!fresh) {
+    return reject(req, res, `replayed nonce ${nonce}`);
+  }
+
+  next();
+};
+
+// express.json verify hook: keeps the exact bytes the signature was computed over
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+module.exports = {
+  verifyWebhookSignature,
+  captureRawBody,
+  signPayload
+};
@@ -3,6 +3,8 @@ const router = express.Router();
 const paymentController = require('../controllers/payment.controller');
 const authController = require('../controllers/auth.controller');
 const reportsController = require('../controllers/reports.controller');
+const webhooksController = require('../controllers/webhooks.controller');
+const schedulesController = require('../controllers/schedules.controller');
 const { requireAuth } = require('../middleware/auth.middleware');
 
 // Authentication endpoints (no auth required)
@@ -20,15 +22,31 @@ router.get('/auth/session-info', authController.getSessionInfo);
 router.post('/scheduler/start', requireAuth('staff'), paymentController.startScheduler);
 router.post('/scheduler/stop', requireAuth('staff'), paymentController.stopScheduler);
 router.post('/scheduler/settings', requireAuth('staff'), paymentController.updateSettings);
+router.post('/scheduler/schedules', requireAuth('staff'), schedulesController.createSchedule);
+router.put('/scheduler/schedules/:id', requireAuth('staff'), schedulesController.updateSchedule);
+router.delete('/scheduler/schedules/:id', requireAuth('staff'), schedulesController.deleteSchedule);
 
 // Job management endpoints (require staff permissions)
 router.post('/jobs/manual', requireAuth('staff'), paymentController.runManualJob);
 router.post('/jobs/stop-all', requireAuth('staff'), paymentController.stopAllJobs);
+router.get('/jobs/retries', requireAuth('staff'), paymentController.getChargeRetries);
+router.post('/jobs/:jobId/pause', requireAuth('staff'), paymentController.pauseJob);
+router.post('/jobs/:jobId/resume', requireAuth('staff'), paymentController.resumeJob);
+router.post('/jobs/:jobId/cancel', requireAuth('staff'), paymentController.cancelJob);
+
+// Webhook inbox - staff only (payloads contain subscriber numbers)
+router.get('/webhooks/inbox', requireAuth('staff'), webhooksController.listInbox);
+router.get('/webhooks/inbox/:id', requireAuth('staff'), webhooksController.getInboxEntry);
+router.post('/webhooks/inbox/:id/replay', requireAuth('staff'), webhooksController.replayInboxEntry);
 
 // Read-only endpoints (all authenticated users can access)
 router.get('/scheduler/status', paymentController.getSchedulerStatus);
+router.get('/scheduler/schedules', schedulesController.listSchedules);
+router.get('/scheduler/schedules/:id', schedulesController.getSchedule);
+router.get('/scheduler/runs', schedulesController.listRuns);
 router.get('/jobs/history', paymentController.getJobHistory);
 router.get('/jobs/:jobId', paymentController.getJobDetails);
+router.post('/clients/count', paymentController.countClients);
 router.get('/system/status', paymentController.getSystemStatus);
 
 // Reports endpoints - all authenticated users can access
@@ -39,6 +57,7 @@ router.get('/reports/payment-analytics', reportsController.getPaymentAnalytics);
 router.get('/reports/today', reportsController.getTodayMetrics);
 router.get('/reports/revenue-comparison', reportsController.getRevenueComparison);
 router.get('/reports/export-successful', reportsController.exportSuccessfulPayments);
+router.get('/reports/sms-delivery', reportsController.getSmsDeliveryRates);
 
 // Cache management - staff only
 router.post('/reports/cache/clear', requireAuth('staff'), reportsController.clearCache);
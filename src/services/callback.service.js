@@ -0,0 +1,181 @@
+const databaseService = require('./database');
+const subscriptionService = require('./subscription.service');
+const postbackService = require('./postback.service');
+const smsDeliveryService = require('./sms-delivery.service');
+const smsService = require('./sms');
+const logger = require('../utils/logger');
+
+// The provider's id for the transaction a callback reports, or the inbox id
+// standing in for it
+function transactionIdOf(params) {
+  return params.TransactionId || params.transaction_id || params.requestId || null;
+}
+
+class CallbackService {
+  parseCallback(callbackData, method) {
+    let msisdn = null;
+    let operation = null;
+    let status = null;
+    let params = {};
+
+    if (method === 'POST' && callbackData.body) {
+      const body = typeof callbackData.body === 'string'
+        ? JSON.parse(callbackData.body)
+        : callbackData.body;
+
+      callbackData.body = body;
+      operation = body.operation;
+
+      if (body.requestParam && body.requestParam.data) {
+        for (const item of body.requestParam.data) {
+          params[item.name] = item.value;
+        }
+        msisdn = params.Msisdn || null;
+      }
+
+      if (body.responseParam) {
+        status = body.responseParam.statusCode;
+      }
+
+      params.requestId = body.requestId;
+    }
+
+    if (method === 'GET' && callbackData.query_params) {
+      params = { ...callbackData.query_params };
+      msisdn = callbackData.query_params.msisdn;
+      operation = callbackData.query_params.operation;
+      status = callbackData.query_params.status;
+    }
+
+    return { msisdn, operation, status, params };
+  }
+
+  // Errors propagate to the caller so the inbox can retry the delivery.
+  // inboxId gives callbacks without a transaction id a stable one for dedupe;
+  // delivery receipts are keyed by message id, so they never get one.
+  async processForwardedCallback(callbackData, method, inboxId = null) {
+    const { msisdn, operation, status, params } = this.parseCallback(callbackData, method);
+
+    if (operation !== 'SendSMS' && !params.TransactionId && !params.transaction_id && !params.requestId && inboxId) {
+      params.requestId = `inbox-${inboxId}`;
+    }
+
+    logger.info(`Callback - MSISDN: ${msisdn}, Operation: ${operation}, Status: ${status}`);
+
+    switch (operation) {
+      case 'CP_NOTIFICATION':
+        await this.handleCpNotification(callbackData, msisdn, params);
+        break;
+
+      case 'ACTIVATE':
+      case 'SUBSCRIPTION':
+        await this.handleSubscription(callbackData, msisdn, status, operation, params);
+        break;
+
+      case 'DEACTIVATE':
+      case 'UNSUBSCRIPTION':
+        await this.handleDeactivation(callbackData, msisdn, operation, params);
+        break;
+
+      case 'SendSMS':
+        await this.handleSmsDelivery(callbackData, msisdn, status, params);
+        break;
+
+      default:
+        await this.handleGenericCallback(callbackData, msisdn);
+    }
+
+    return { msisdn, operation, status };
+  }
+
+  async handleCpNotification(callbackData, msisdn, params) {
+    if (params.Command === 'PaymentSuccess') {
+      logger.success(`Payment success notification for ${msisdn}`);
+      await this.reconcilePendingPayment(msisdn, transactionIdOf(params));
+      // Before the payout: a failing postback fails the callback for a retry,
+      // and the subscriber's SMS should not wait on the marketer
+      await smsService.sendChargeConfirmation(msisdn, {}, transactionIdOf(params));
+      await this.triggerMarketerPayout(msisdn);
+    }
+  }
+
+  async handleSubscription(callbackData, msisdn, status, operation, params) {
+    logger.info(`Processing subscription for ${msisdn}, status: ${status}`);
+
+    if (!msisdn) {
+      logger.warn(`${operation} callback without MSISDN - ignored`);
+      return;
+    }
+
+    const result = await subscriptionService.handleActivation({
+      msisdn,
+      offerCode: params.OfferCode || params.offer_code || params.offerCode,
+      transactionId: transactionIdOf(params),
+      clickId: params.ClickId || params.click_id || params.clickId,
+      operation,
+      rawData: callbackData
+    });
+
+    if (result.renewed) {
+      await smsService.sendRenewalNotice(msisdn, {}, transactionIdOf(params));
+    }
+  }
+
+  async handleDeactivation(callbackData, msisdn, operation, params) {
+    logger.info(`Processing deactivation for ${msisdn}`);
+
+    if (!msisdn) {
+      logger.warn(`${operation} callback without MSISDN - ignored`);
+      return;
+    }
+
+    await subscriptionService.handleDeactivation({
+      msisdn,
+      offerCode: params.OfferCode || params.offer_code || params.offerCode,
+      transactionId: transactionIdOf(params),
+      reason: params.Reason || params.DeactivationReason || params.reason,
+      operation,
+      rawData: callbackData
+    });
+  }
+
+  async handleSmsDelivery(callbackData, msisdn, status, params) {
+    logger.info(`Processing SMS delivery for ${msisdn}, status: ${status}`);
+
+    const messageId = params.MessageId || params.messageId || params.message_id ||
+      params.CorrelatorId || params.correlator || params.requestId;
+    const rawStatus = params.DeliveryStatus || params.Status || params.status || status;
+
+    if (!msisdn || !messageId) {
+      logger.warn(`SendSMS callback without MSISDN or message id - ignored`);
+      return;
+    }
+
+    await smsDeliveryService.recordReceipt({
+      messageId: String(messageId).substring(0, 100),
+      msisdn,
+      status: smsDeliveryService.normalizeStatus(rawStatus),
+      statusDetail: rawStatus ? String(rawStatus).substring(0, 100) : null,
+      rawData: callbackData
+    });
+  }
+
+  async handleGenericCallback(callbackData, msisdn) {
+    logger.info(`Processing generic callback for ${msisdn}`);
+  }
+
+  // The SDP reports our payment requestId as the notification's transaction id
+  async reconcilePendingPayment(msisdn, requestId) {
+    const confirmed = await databaseService.confirmPendingPayment(msisdn, requestId, 'Confirmed by PaymentSuccess callback');
+    if (confirmed) {
+      logger.success(`Pending payment for ${msisdn} confirmed by callback`);
+    }
+  }
+
+  async triggerMarketerPayout(msisdn) {
+    logger.info(`Triggering marketer payout for ${msisdn}`);
+    await postbackService.triggerPayout(msisdn);
+  }
+}
+
+module.exports = new CallbackService();
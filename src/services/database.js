@@ -1,5 +1,10 @@
 const mysql = require('mysql2/promise');
 const config = require('../config');
+const logger = require('../utils/logger');
+const clientFilter = require('../utils/client-filter');
+const scheduleCalendar = require('../utils/schedule-calendar');
+
+const PROCESSING_JOB_STATUS = "ENUM('pending', 'running', 'paused', 'completed', 'failed', 'cancelled') DEFAULT 'pending'";
 
 class DatabaseService {
   constructor() {
@@ -14,31 +19,430 @@ class DatabaseService {
       connectionLimit: 10,
       queueLimit: 0
     });
+    this.processingJobColumnsChecked = false;
+  }
+
+  // Clients matching a filter (see utils/client-filter) before billing-window checks
+  async queryClients(filter = {}) {
+    const { conditions, params } = clientFilter.toSql({ ...clientFilter.defaults(), ...filter });
+    
+    const query = `
+      SELECT msisdn, offer_code, subscription_status, last_payment_date
+      FROM clients 
+      WHERE ${conditions.join('\n        AND ')}
+      AND msisdn REGEXP '^[0-9]{9,15}$'
+      AND msisdn NOT LIKE '%None%'
+      AND msisdn != ''
+      AND msisdn IS NOT NULL
+      AND offer_code != ''
+      AND offer_code IS NOT NULL
+      ORDER BY RAND()
+    `;
+    
+    const [rows] = await this.pool.execute(query, params);
+    return rows;
   }
 
-  async getClients(includeInactive = false) {
+  async getClients(filter = {}, { record = true } = {}) {
     try {
-      const statusCondition = includeInactive ? 
-        "subscription_status IN ('A', 'I')" : 
-        "subscription_status = 'A'";
+      const rows = await this.queryClients(filter);
       
-      const query = `
-        SELECT msisdn, offer_code, subscription_status, last_payment_date
-        FROM clients 
-        WHERE ${statusCondition}
-        AND msisdn REGEXP '^[0-9]{9,15}$'
-        AND msisdn NOT LIKE '%None%'
-        AND msisdn != ''
-        AND msisdn IS NOT NULL
-        AND offer_code != ''
-        AND offer_code IS NOT NULL
-        ORDER BY RAND()
+      const { eligible } = await this.filterChargeableClients(rows, null, { record });
+      return eligible;
+    } catch (error) {
+      console.error('Error fetching clients:', error);
+      throw error;
+    }
+  }
+
+  // Dry run of getClients: how many clients a filter matches and how many of
+  // those the billing-window rules would let through, without recording exclusions
+  async countClients(filter = {}) {
+    try {
+      const rows = await this.queryClients(filter);
+      const { eligible, excluded } = await this.filterChargeableClients(rows, null, { record: false });
+      
+      const offers = {};
+      eligible.forEach(client => {
+        offers[client.offer_code] = (offers[client.offer_code] || 0) + 1;
+      });
+      
+      return {
+        matched: rows.length,
+        eligible: eligible.length,
+        excluded: excluded.reduce((counts, item) => {
+          counts[item.reason] = (counts[item.reason] || 0) + 1;
+          return counts;
+        }, {}),
+        eligibleByOffer: offers
+      };
+    } catch (error) {
+      console.error('Error counting clients:', error);
+      throw error;
+    }
+  }
+
+  async getRecentChargeActivity(msisdns = null) {
+    // The daily cap follows the billing day, not the server's timezone
+    const dayStart = scheduleCalendar.startOfDay(new Date(), config.processing.timezone);
+    
+    const windowStart = new Date(Date.now() - config.processing.billingWindowHours * 60 * 60 * 1000);
+    const since = windowStart < dayStart ? windowStart : dayStart;
+    
+    let query = `
+      SELECT 
+        msisdn,
+        SUM(CASE WHEN timestamp >= ? THEN 1 ELSE 0 END) as attemptsToday,
+        MAX(CASE WHEN status = 'SUCCESS' THEN timestamp END) as lastSuccess
+      FROM payments
+      WHERE timestamp >= ?
+    `;
+    const params = [dayStart, since];
+    
+    if (msisdns) {
+      if (msisdns.length === 0) return new Map();
+      query += ` AND msisdn IN (${msisdns.map(() => '?').join(', ')})`;
+      params.push(...msisdns);
+    }
+    
+    query += ' GROUP BY msisdn';
+    
+    const [rows] = await this.pool.query(query, params);
+    
+    const activity = new Map();
+    rows.forEach(row => {
+      activity.set(row.msisdn, {
+        attemptsToday: parseInt(row.attemptsToday) || 0,
+        lastSuccess: row.lastSuccess ? new Date(row.lastSuccess) : null
+      });
+    });
+    return activity;
+  }
+
+  // Applies the per-subscriber daily cap and billing window. Excluded clients
+  // are written to charge_exclusions so every skipped charge can be audited.
+  async filterChargeableClients(clients, jobId = null, { record = true } = {}) {
+    const msisdns = clients.length > 1000 ? null : clients.map(client => client.msisdn);
+    const activity = await this.getRecentChargeActivity(msisdns);
+    const backoff = await this.getRetryBackoff(msisdns);
+    const windowStart = new Date(Date.now() - config.processing.billingWindowHours * 60 * 60 * 1000);
+    
+    const eligible = [];
+    const excluded = [];
+    
+    for (const client of clients) {
+      const recent = activity.get(client.msisdn);
+      const lastPaymentDate = client.last_payment_date ? new Date(client.last_payment_date) : null;
+      let exclusion = null;
+      
+      if (recent && recent.attemptsToday >= config.processing.maxRequestsPerDay) {
+        exclusion = {
+          reason: 'daily_cap_reached',
+          detail: `${recent.attemptsToday} charge attempts today (max ${config.processing.maxRequestsPerDay})`
+        };
+      } else if (recent && recent.lastSuccess && recent.lastSuccess >= windowStart) {
+        exclusion = {
+          reason: 'recent_success',
+          detail: `Successful payment at ${recent.lastSuccess.toISOString()} within ${config.processing.billingWindowHours}h billing window`
+        };
+      } else if (lastPaymentDate && lastPaymentDate >= windowStart) {
+        exclusion = {
+          reason: 'recent_last_payment_date',
+          detail: `last_payment_date ${lastPaymentDate.toISOString()} within ${config.processing.billingWindowHours}h billing window`
+        };
+      } else if (backoff.has(client.msisdn)) {
+        const retry = backoff.get(client.msisdn);
+        exclusion = {
+          reason: 'retry_backoff',
+          detail: `${retry.errorClass} retry ${retry.attempts} not due until ${retry.nextRetryAt.toISOString()}`
+        };
+      }
+      
+      if (exclusion) {
+        excluded.push({ msisdn: client.msisdn, offerCode: client.offer_code, ...exclusion });
+      } else {
+        eligible.push(client);
+      }
+    }
+    
+    if (excluded.length > 0 && record) {
+      const byReason = excluded.reduce((counts, item) => {
+        counts[item.reason] = (counts[item.reason] || 0) + 1;
+        return counts;
+      }, {});
+      const breakdown = Object.entries(byReason).map(([reason, count]) => `${reason}: ${count}`).join(', ');
+      logger.warn(`Excluded ${excluded.length} of ${clients.length} clients from charging (${breakdown})`);
+      
+      try {
+        await this.recordChargeExclusions(excluded, jobId);
+      } catch (error) {
+        logger.error('Failed to record charge exclusions:', error.message);
+      }
+    }
+    
+    return { eligible, excluded };
+  }
+
+  async createChargeExclusionsTable() {
+    try {
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS charge_exclusions (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          msisdn VARCHAR(20) NOT NULL,
+          offer_code VARCHAR(50) NULL,
+          job_id VARCHAR(36) NULL,
+          reason VARCHAR(50) NOT NULL,
+          detail VARCHAR(255) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_exclusions_msisdn (msisdn),
+          INDEX idx_exclusions_reason_created (reason, created_at),
+          INDEX idx_exclusions_job_id (job_id)
+        )
       `;
       
-      const [rows] = await this.pool.execute(query);
+      await this.pool.execute(createTableQuery);
+    } catch (error) {
+      console.error('Error creating charge_exclusions table:', error);
+      throw error;
+    }
+  }
+
+  async recordChargeExclusions(exclusions, jobId = null) {
+    await this.createChargeExclusionsTable();
+    
+    const chunkSize = 1000;
+    for (let i = 0; i < exclusions.length; i += chunkSize) {
+      const rows = exclusions.slice(i, i + chunkSize).map(item => [
+        item.msisdn,
+        item.offerCode || null,
+        jobId,
+        item.reason,
+        item.detail.substring(0, 255)
+      ]);
+      
+      await this.pool.query(
+        'INSERT INTO charge_exclusions (msisdn, offer_code, job_id, reason, detail) VALUES ?',
+        [rows]
+      );
+    }
+  }
+
+  async createChargeRetriesTable() {
+    try {
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS charge_retries (
+          msisdn VARCHAR(20) PRIMARY KEY,
+          offer_code VARCHAR(50) NULL,
+          error_class VARCHAR(30) NOT NULL,
+          attempts INT NOT NULL DEFAULT 1,
+          status ENUM('scheduled', 'succeeded', 'expired', 'cancelled') DEFAULT 'scheduled',
+          first_failed_at DATETIME NOT NULL,
+          last_failed_at DATETIME NOT NULL,
+          next_retry_at DATETIME NULL,
+          last_status_code VARCHAR(10) NULL,
+          last_error VARCHAR(255) NULL,
+          last_job_id VARCHAR(36) NULL,
+          resolved_at DATETIME NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_retries_status_next (status, next_retry_at)
+        )
+      `;
+      
+      await this.pool.execute(createTableQuery);
+    } catch (error) {
+      console.error('Error creating charge_retries table:', error);
+      throw error;
+    }
+  }
+
+  // Scheduled retries that are not due yet, keyed by MSISDN: such clients are
+  // held back until their backoff has passed
+  async getRetryBackoff(msisdns = null) {
+    await this.createChargeRetriesTable();
+    
+    let query = `
+      SELECT msisdn, error_class, attempts, next_retry_at
+      FROM charge_retries
+      WHERE status = 'scheduled' AND next_retry_at > ?
+    `;
+    const params = [new Date()];
+    
+    if (msisdns) {
+      if (msisdns.length === 0) return new Map();
+      query += ` AND msisdn IN (${msisdns.map(() => '?').join(', ')})`;
+      params.push(...msisdns);
+    }
+    
+    const [rows] = await this.pool.query(query, params);
+    
+    const backoff = new Map();
+    rows.forEach(row => {
+      backoff.set(row.msisdn, {
+        errorClass: row.error_class,
+        attempts: row.attempts,
+        nextRetryAt: new Date(row.next_retry_at)
+      });
+    });
+    return backoff;
+  }
+
+  async getChargeRetry(msisdn) {
+    try {
+      await this.createChargeRetriesTable();
+      
+      const [rows] = await this.pool.execute('SELECT * FROM charge_retries WHERE msisdn = ?', [msisdn]);
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error fetching charge retry:', error);
+      throw error;
+    }
+  }
+
+  // One row per subscriber: a new failure cycle overwrites a resolved one
+  async saveChargeRetry(retry) {
+    try {
+      await this.createChargeRetriesTable();
+      
+      await this.pool.execute(`
+        INSERT INTO charge_retries (
+          msisdn, offer_code, error_class, attempts, status, first_failed_at, last_failed_at,
+          next_retry_at, last_status_code, last_error, last_job_id, resolved_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          offer_code = VALUES(offer_code),
+          error_class = VALUES(error_class),
+          attempts = VALUES(attempts),
+          status = VALUES(status),
+          first_failed_at = VALUES(first_failed_at),
+          last_failed_at = VALUES(last_failed_at),
+          next_retry_at = VALUES(next_retry_at),
+          last_status_code = VALUES(last_status_code),
+          last_error = VALUES(last_error),
+          last_job_id = VALUES(last_job_id),
+          resolved_at = VALUES(resolved_at)
+      `, [
+        retry.msisdn,
+        retry.offerCode || null,
+        retry.errorClass,
+        retry.attempts,
+        retry.status,
+        retry.firstFailedAt,
+        retry.lastFailedAt,
+        retry.nextRetryAt,
+        retry.lastStatusCode ? String(retry.lastStatusCode).substring(0, 10) : null,
+        retry.lastError ? String(retry.lastError).substring(0, 255) : null,
+        retry.jobId || null,
+        retry.status === 'scheduled' ? null : new Date()
+      ]);
+    } catch (error) {
+      console.error('Error saving charge retry:', error);
+      throw error;
+    }
+  }
+
+  async resolveChargeRetry(msisdn, status) {
+    try {
+      await this.createChargeRetriesTable();
+      
+      const [result] = await this.pool.execute(`
+        UPDATE charge_retries SET status = ?, next_retry_at = NULL, resolved_at = ?
+        WHERE msisdn = ? AND status = 'scheduled'
+      `, [status, new Date(), msisdn]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error resolving charge retry:', error);
+      throw error;
+    }
+  }
+
+  // Closes scheduled retries that no longer apply: the subscriber was charged
+  // since the first failure (e.g. a late callback), left the service, or the
+  // retry is older than the maximum retry age
+  async sweepChargeRetries(oldestFirstFailure) {
+    try {
+      await this.createChargeRetriesTable();
+      const now = new Date();
+      
+      const [succeeded] = await this.pool.execute(`
+        UPDATE charge_retries r
+        SET r.status = 'succeeded', r.next_retry_at = NULL, r.resolved_at = ?
+        WHERE r.status = 'scheduled' AND EXISTS (
+          SELECT 1 FROM payments p
+          WHERE p.msisdn = r.msisdn AND p.status = 'SUCCESS' AND p.timestamp >= r.first_failed_at
+        )
+      `, [now]);
+      
+      const [cancelled] = await this.pool.execute(`
+        UPDATE charge_retries r
+        JOIN clients c ON c.msisdn = r.msisdn
+        SET r.status = 'cancelled', r.next_retry_at = NULL, r.resolved_at = ?
+        WHERE r.status = 'scheduled' AND c.subscription_status != 'A'
+      `, [now]);
+      
+      const [expired] = await this.pool.execute(`
+        UPDATE charge_retries SET status = 'expired', next_retry_at = NULL, resolved_at = ?
+        WHERE status = 'scheduled' AND first_failed_at < ?
+      `, [now, oldestFirstFailure]);
+      
+      return {
+        succeeded: succeeded.affectedRows,
+        cancelled: cancelled.affectedRows,
+        expired: expired.affectedRows
+      };
+    } catch (error) {
+      console.error('Error sweeping charge retries:', error);
+      throw error;
+    }
+  }
+
+  // Active clients whose retry is due, oldest first
+  async getDueRetryClients({ offerCodes = [], limit = 10000 } = {}) {
+    try {
+      await this.createChargeRetriesTable();
+      
+      let query = `
+        SELECT c.msisdn, c.offer_code, c.subscription_status, c.last_payment_date,
+          r.attempts AS retry_attempts, r.error_class AS retry_error_class
+        FROM charge_retries r
+        JOIN clients c ON c.msisdn = r.msisdn
+        WHERE r.status = 'scheduled' AND r.next_retry_at <= ? AND c.subscription_status = 'A'
+      `;
+      const params = [new Date()];
+      
+      if (offerCodes.length > 0) {
+        query += ` AND c.offer_code IN (${offerCodes.map(() => '?').join(', ')})`;
+        params.push(...offerCodes);
+      }
+      
+      query += ' ORDER BY r.next_retry_at ASC LIMIT ' + (parseInt(limit) || 10000);
+      
+      const [rows] = await this.pool.execute(query, params);
       return rows;
     } catch (error) {
-      console.error('Error fetching clients:', error);
+      console.error('Error fetching due charge retries:', error);
+      throw error;
+    }
+  }
+
+  async listChargeRetries({ status, limit = 50 } = {}) {
+    try {
+      await this.createChargeRetriesTable();
+      
+      const params = [];
+      let query = 'SELECT * FROM charge_retries';
+      
+      if (status) {
+        query += ' WHERE status = ?';
+        params.push(status);
+      }
+      
+      query += ' ORDER BY updated_at DESC LIMIT ' + (parseInt(limit) || 50);
+      
+      const [rows] = await this.pool.execute(query, params);
+      return rows;
+    } catch (error) {
+      console.error('Error listing charge retries:', error);
       throw error;
     }
   }
@@ -74,19 +478,49 @@ class DatabaseService {
     }
   }
 
+  // CREATE TABLE IF NOT EXISTS leaves tables from older releases as they
+  // were, so columns added since then are created here
+  async ensureColumn(table, column, definition) {
+    const [rows] = await this.pool.execute(`
+      SELECT 1 FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+    `, [table, column]);
+    
+    if (rows.length === 0) {
+      await this.pool.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      logger.info(`Added column ${table}.${column}`);
+    }
+  }
+
+  // An ENUM column from an older release is widened to the values it lacks
+  async ensureEnumValues(table, column, definition) {
+    const [rows] = await this.pool.execute(`
+      SELECT COLUMN_TYPE FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+    `, [table, column]);
+    
+    const values = definition.match(/'[^']*'/g);
+    if (rows.length > 0 && values.some(value => !rows[0].COLUMN_TYPE.includes(value))) {
+      await this.pool.execute(`ALTER TABLE ${table} MODIFY COLUMN ${column} ${definition}`);
+      logger.info(`Extended ${table}.${column} to ${values.join(', ')}`);
+    }
+  }
+
   async createProcessingJobTable() {
     try {
       const createTableQuery = `
         CREATE TABLE IF NOT EXISTS processing_jobs (
           id INT AUTO_INCREMENT PRIMARY KEY,
           job_id VARCHAR(36) UNIQUE NOT NULL,
-          status ENUM('pending', 'running', 'completed', 'failed') DEFAULT 'pending',
+          status ${PROCESSING_JOB_STATUS},
           total_clients INT DEFAULT 0,
           processed_clients INT DEFAULT 0,
           successful_requests INT DEFAULT 0,
           failed_requests INT DEFAULT 0,
           batch_size INT DEFAULT 75,
           include_inactive BOOLEAN DEFAULT FALSE,
+          simulated BOOLEAN DEFAULT FALSE,
+          node_id VARCHAR(128) NULL,
           started_at TIMESTAMP NULL,
           completed_at TIMESTAMP NULL,
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -100,12 +534,46 @@ class DatabaseService {
       `;
       
       await this.pool.execute(createTableQuery);
+      
+      if (!this.processingJobColumnsChecked) {
+        await this.ensureColumn('processing_jobs', 'simulated', 'BOOLEAN DEFAULT FALSE AFTER include_inactive');
+        await this.ensureEnumValues('processing_jobs', 'status', PROCESSING_JOB_STATUS);
+        await this.ensureColumn('processing_jobs', 'node_id', 'VARCHAR(128) NULL AFTER simulated');
+        this.processingJobColumnsChecked = true;
+      }
     } catch (error) {
       console.error('Error creating processing_jobs table:', error);
       throw error;
     }
   }
 
+  async createProcessingJobClientsTable() {
+    try {
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS processing_job_clients (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          job_id VARCHAR(36) NOT NULL,
+          msisdn VARCHAR(20) NOT NULL,
+          offer_code VARCHAR(50) NOT NULL,
+          status ENUM('pending', 'in_flight', 'success', 'failed', 'unconfirmed', 'skipped') DEFAULT 'pending',
+          attempts INT DEFAULT 0,
+          request_id VARCHAR(50) NULL,
+          last_error TEXT NULL,
+          processed_at TIMESTAMP NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY uniq_job_msisdn (job_id, msisdn),
+          INDEX idx_job_status (job_id, status)
+        )
+      `;
+      
+      await this.pool.execute(createTableQuery);
+    } catch (error) {
+      console.error('Error creating processing_job_clients table:', error);
+      throw error;
+    }
+  }
+
   async createSchedulerStateTable() {
     try {
       const createTableQuery = `
@@ -127,33 +595,6 @@ class DatabaseService {
     }
   }
 
-  async saveSchedulerState(settings) {
-    try {
-      await this.createSchedulerStateTable();
-      
-      const query = `
-        INSERT INTO scheduler_state (id, enabled, interval_hours, batch_size, include_inactive) 
-        VALUES (1, ?, ?, ?, ?)
-        ON DUPLICATE KEY UPDATE 
-          enabled = VALUES(enabled),
-          interval_hours = VALUES(interval_hours),
-          batch_size = VALUES(batch_size),
-          include_inactive = VALUES(include_inactive),
-          updated_at = CURRENT_TIMESTAMP
-      `;
-      
-      await this.pool.execute(query, [
-        settings.enabled ? 1 : 0,
-        settings.intervalHours,
-        settings.batchSize,
-        settings.includeInactive ? 1 : 0
-      ]);
-    } catch (error) {
-      console.error('Error saving scheduler state:', error);
-      throw error;
-    }
-  }
-
   async getSchedulerState() {
     try {
       await this.createSchedulerStateTable();
@@ -179,20 +620,412 @@ class DatabaseService {
     }
   }
 
+  async createSchedulerLeasesTable() {
+    try {
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS scheduler_leases (
+          name VARCHAR(64) PRIMARY KEY,
+          holder_id VARCHAR(128) NOT NULL,
+          fencing_token BIGINT NOT NULL DEFAULT 1,
+          acquired_at TIMESTAMP(3) NOT NULL,
+          renewed_at TIMESTAMP(3) NOT NULL,
+          expires_at TIMESTAMP(3) NOT NULL
+        )
+      `;
+      
+      await this.pool.execute(createTableQuery);
+    } catch (error) {
+      console.error('Error creating scheduler_leases table:', error);
+      throw error;
+    }
+  }
+
+  // Renews the lease when `token` is still the holder's, otherwise takes it
+  // if it is free, expired or already this holder's. Times come from the
+  // database clock so instances never compare their own clocks. Every
+  // takeover bumps the fencing token, invalidating the previous holder's.
+  // Returns { token, previousHolder } or null when another holder keeps it.
+  async claimSchedulerLease(name, holderId, token, ttlSeconds) {
+    try {
+      if (token !== null) {
+        const [renewed] = await this.pool.execute(`
+          UPDATE scheduler_leases
+          SET renewed_at = NOW(3), expires_at = DATE_ADD(NOW(3), INTERVAL ? SECOND)
+          WHERE name = ? AND holder_id = ? AND fencing_token = ?
+        `, [ttlSeconds, name, holderId, token]);
+        
+        if (renewed.affectedRows > 0) return { token, previousHolder: holderId };
+      }
+      
+      const [inserted] = await this.pool.execute(`
+        INSERT IGNORE INTO scheduler_leases (name, holder_id, fencing_token, acquired_at, renewed_at, expires_at)
+        VALUES (?, ?, 1, NOW(3), NOW(3), DATE_ADD(NOW(3), INTERVAL ? SECOND))
+      `, [name, holderId, ttlSeconds]);
+      
+      if (inserted.affectedRows > 0) return { token: 1, previousHolder: null };
+      
+      const [rows] = await this.pool.execute(`
+        SELECT holder_id, fencing_token, expires_at < NOW(3) AS expired
+        FROM scheduler_leases WHERE name = ?
+      `, [name]);
+      
+      const current = rows[0];
+      if (!current || (!current.expired && current.holder_id !== holderId)) return null;
+      
+      // The fencing token check makes concurrent takeovers race safely
+      const [taken] = await this.pool.execute(`
+        UPDATE scheduler_leases
+        SET holder_id = ?, fencing_token = fencing_token + 1,
+            acquired_at = NOW(3), renewed_at = NOW(3), expires_at = DATE_ADD(NOW(3), INTERVAL ? SECOND)
+        WHERE name = ? AND fencing_token = ?
+      `, [holderId, ttlSeconds, name, current.fencing_token]);
+      
+      if (taken.affectedRows === 0) return null;
+      return { token: Number(current.fencing_token) + 1, previousHolder: current.holder_id };
+    } catch (error) {
+      console.error('Error claiming scheduler lease:', error);
+      throw error;
+    }
+  }
+
+  // Lets another instance take over at once instead of after the TTL
+  async releaseSchedulerLease(name, holderId, token) {
+    try {
+      const [result] = await this.pool.execute(`
+        UPDATE scheduler_leases SET expires_at = NOW(3)
+        WHERE name = ? AND holder_id = ? AND fencing_token = ?
+      `, [name, holderId, token]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error releasing scheduler lease:', error);
+      throw error;
+    }
+  }
+
+  async getSchedulerLease(name) {
+    try {
+      await this.createSchedulerLeasesTable();
+      
+      const [rows] = await this.pool.execute(`
+        SELECT *, expires_at < NOW(3) AS expired FROM scheduler_leases WHERE name = ?
+      `, [name]);
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error fetching scheduler lease:', error);
+      throw error;
+    }
+  }
+
+  // One row per expected run of a schedule; the unique key keeps a run from
+  // being recorded (and so executed) twice, even across instances
+  async createScheduleRunsTable() {
+    try {
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS schedule_runs (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          schedule_id INT NOT NULL,
+          schedule_name VARCHAR(100) NOT NULL,
+          scheduled_for TIMESTAMP NOT NULL,
+          status ENUM('fired', 'executed', 'skipped', 'failed', 'missed', 'caught_up') NOT NULL,
+          reason TEXT NULL,
+          job_id VARCHAR(36) NULL,
+          node_id VARCHAR(128) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY uniq_schedule_run (schedule_id, scheduled_for),
+          INDEX idx_runs_scheduled_for (scheduled_for),
+          INDEX idx_runs_status (status)
+        )
+      `;
+      
+      await this.pool.execute(createTableQuery);
+    } catch (error) {
+      console.error('Error creating schedule_runs table:', error);
+      throw error;
+    }
+  }
+
+  // Returns the new row id, or null when the run is already recorded
+  async recordScheduleRun(run) {
+    try {
+      const [result] = await this.pool.execute(`
+        INSERT IGNORE INTO schedule_runs (schedule_id, schedule_name, scheduled_for, status, reason, job_id, node_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        run.scheduleId,
+        run.scheduleName,
+        run.scheduledFor,
+        run.status,
+        run.reason || null,
+        run.jobId || null,
+        run.nodeId || null
+      ]);
+      return result.affectedRows > 0 ? result.insertId : null;
+    } catch (error) {
+      console.error('Error recording schedule run:', error);
+      throw error;
+    }
+  }
+
+  async updateScheduleRun(id, updates) {
+    try {
+      const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+      await this.pool.execute(`UPDATE schedule_runs SET ${fields} WHERE id = ?`, [...Object.values(updates), id]);
+    } catch (error) {
+      console.error('Error updating schedule run:', error);
+      throw error;
+    }
+  }
+
+  async getLastScheduleRunTime(scheduleId) {
+    try {
+      const [rows] = await this.pool.execute(
+        'SELECT MAX(scheduled_for) AS last_run FROM schedule_runs WHERE schedule_id = ?',
+        [scheduleId]
+      );
+      return rows[0] && rows[0].last_run ? new Date(rows[0].last_run) : null;
+    } catch (error) {
+      console.error('Error fetching last schedule run:', error);
+      throw error;
+    }
+  }
+
+  // When run history began: runs due before then were never recorded, so
+  // they cannot be told apart from missed ones
+  async getScheduleRunsCreatedAt() {
+    try {
+      const [rows] = await this.pool.execute(`
+        SELECT UNIX_TIMESTAMP(CREATE_TIME) AS created FROM information_schema.TABLES
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'schedule_runs'
+      `);
+      return rows[0] && rows[0].created ? new Date(Number(rows[0].created) * 1000) : null;
+    } catch (error) {
+      console.error('Error fetching schedule_runs creation time:', error);
+      throw error;
+    }
+  }
+
+  async listScheduleRuns({ scheduleId, status, limit = 50 } = {}) {
+    try {
+      await this.createScheduleRunsTable();
+      
+      const conditions = [];
+      const params = [];
+      
+      if (scheduleId) {
+        conditions.push('schedule_id = ?');
+        params.push(scheduleId);
+      }
+      if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+      }
+      
+      let query = 'SELECT * FROM schedule_runs';
+      if (conditions.length > 0) {
+        query += ' WHERE ' + conditions.join(' AND ');
+      }
+      query += ' ORDER BY scheduled_for DESC, id DESC LIMIT ' + (parseInt(limit) || 50);
+      
+      const [rows] = await this.pool.execute(query, params);
+      return rows;
+    } catch (error) {
+      console.error('Error listing schedule runs:', error);
+      throw error;
+    }
+  }
+
+  async createSchedulesTable() {
+    try {
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS schedules (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          name VARCHAR(100) NOT NULL UNIQUE,
+          cron_expression VARCHAR(100) NOT NULL,
+          interval_hours INT NULL,
+          start_offset_minutes INT DEFAULT 0,
+          batch_size INT DEFAULT 75,
+          offer_codes JSON NULL,
+          blackout_windows JSON NULL,
+          allowed_days JSON NULL,
+          status_filter ENUM('active', 'inactive', 'all') DEFAULT 'active',
+          client_filter JSON NULL,
+          enabled BOOLEAN DEFAULT FALSE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+      `;
+      
+      await this.pool.execute(createTableQuery);
+    } catch (error) {
+      console.error('Error creating schedules table:', error);
+      throw error;
+    }
+  }
+
+  formatSchedule(row) {
+    const parseList = (value) => {
+      if (!value) return [];
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    };
+    const storedFilter = row.client_filter ?
+      (typeof row.client_filter === 'string' ? JSON.parse(row.client_filter) : row.client_filter) :
+      {};
+    
+    return {
+      id: row.id,
+      name: row.name,
+      cronExpression: row.cron_expression,
+      intervalHours: row.interval_hours,
+      startOffsetMinutes: row.start_offset_minutes || 0,
+      batchSize: row.batch_size,
+      offerCodes: parseList(row.offer_codes),
+      blackoutWindows: parseList(row.blackout_windows),
+      allowedDays: parseList(row.allowed_days),
+      statusFilter: row.status_filter,
+      // status_filter and offer_codes stay authoritative for those two fields
+      filter: {
+        ...clientFilter.defaults(),
+        ...storedFilter,
+        statusFilter: row.status_filter,
+        offerCodes: parseList(row.offer_codes)
+      },
+      enabled: Boolean(row.enabled),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  async getSchedules() {
+    try {
+      const [rows] = await this.pool.execute('SELECT * FROM schedules ORDER BY name ASC');
+      return rows.map(row => this.formatSchedule(row));
+    } catch (error) {
+      console.error('Error fetching schedules:', error);
+      throw error;
+    }
+  }
+
+  async getSchedule(id) {
+    try {
+      const [rows] = await this.pool.execute('SELECT * FROM schedules WHERE id = ?', [id]);
+      return rows.length > 0 ? this.formatSchedule(rows[0]) : null;
+    } catch (error) {
+      console.error('Error fetching schedule:', error);
+      throw error;
+    }
+  }
+
+  async getScheduleByName(name) {
+    try {
+      const [rows] = await this.pool.execute('SELECT * FROM schedules WHERE name = ?', [name]);
+      return rows.length > 0 ? this.formatSchedule(rows[0]) : null;
+    } catch (error) {
+      console.error('Error fetching schedule:', error);
+      throw error;
+    }
+  }
+
+  async createSchedule(schedule) {
+    try {
+      const [result] = await this.pool.execute(`
+        INSERT INTO schedules (
+          name, cron_expression, interval_hours, start_offset_minutes, batch_size,
+          offer_codes, blackout_windows, allowed_days, status_filter, client_filter, enabled
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        schedule.name,
+        schedule.cronExpression,
+        schedule.intervalHours || null,
+        schedule.startOffsetMinutes || 0,
+        schedule.batchSize,
+        JSON.stringify(schedule.offerCodes || []),
+        JSON.stringify(schedule.blackoutWindows || []),
+        JSON.stringify(schedule.allowedDays || []),
+        schedule.statusFilter || 'active',
+        schedule.filter ? JSON.stringify(schedule.filter) : null,
+        schedule.enabled ? 1 : 0
+      ]);
+      
+      return await this.getSchedule(result.insertId);
+    } catch (error) {
+      console.error('Error creating schedule:', error);
+      throw error;
+    }
+  }
+
+  async updateSchedule(id, updates) {
+    const columns = {
+      name: 'name',
+      cronExpression: 'cron_expression',
+      intervalHours: 'interval_hours',
+      startOffsetMinutes: 'start_offset_minutes',
+      batchSize: 'batch_size',
+      offerCodes: 'offer_codes',
+      blackoutWindows: 'blackout_windows',
+      allowedDays: 'allowed_days',
+      statusFilter: 'status_filter',
+      filter: 'client_filter',
+      enabled: 'enabled'
+    };
+    
+    try {
+      const fields = [];
+      const values = [];
+      
+      for (const [key, column] of Object.entries(columns)) {
+        if (updates[key] === undefined) continue;
+        
+        let value = updates[key];
+        if (['offerCodes', 'blackoutWindows', 'allowedDays'].includes(key)) {
+          value = JSON.stringify(value || []);
+        }
+        if (key === 'filter') value = value ? JSON.stringify(value) : null;
+        if (key === 'enabled') value = value ? 1 : 0;
+        
+        fields.push(`${column} = ?`);
+        values.push(value);
+      }
+      
+      if (fields.length > 0) {
+        values.push(id);
+        await this.pool.execute(`UPDATE schedules SET ${fields.join(', ')} WHERE id = ?`, values);
+      }
+      
+      return await this.getSchedule(id);
+    } catch (error) {
+      console.error('Error updating schedule:', error);
+      throw error;
+    }
+  }
+
+  async deleteSchedule(id) {
+    try {
+      const [result] = await this.pool.execute('DELETE FROM schedules WHERE id = ?', [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting schedule:', error);
+      throw error;
+    }
+  }
+
   async createProcessingJob(jobData) {
     try {
       await this.createProcessingJobTable();
       
       const query = `
-        INSERT INTO processing_jobs (job_id, total_clients, batch_size, include_inactive, status)
-        VALUES (?, ?, ?, ?, 'pending')
+        INSERT INTO processing_jobs (job_id, total_clients, batch_size, include_inactive, simulated, node_id, status)
+        VALUES (?, ?, ?, ?, ?, ?, 'pending')
       `;
       
       await this.pool.execute(query, [
         jobData.jobId,
         jobData.totalClients,
         jobData.batchSize,
-        jobData.includeInactive ? 1 : 0
+        jobData.includeInactive ? 1 : 0,
+        jobData.simulated ? 1 : 0,
+        jobData.nodeId || null
       ]);
     } catch (error) {
       console.error('Error creating processing job:', error);
@@ -245,6 +1078,253 @@ class DatabaseService {
     }
   }
 
+  async recordPaymentAttempt(attempt) {
+    const connection = await this.pool.getConnection();
+    
+    try {
+      await connection.beginTransaction();
+      
+      await connection.execute(`
+        INSERT INTO payments (msisdn, request_id, offer_code, amount, timestamp, status, description)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        attempt.msisdn,
+        attempt.requestId,
+        attempt.offerCode,
+        attempt.amount,
+        attempt.timestamp,
+        attempt.status,
+        attempt.description
+      ]);
+      
+      await connection.execute(`
+        INSERT INTO payment_logs (
+          request_id, msisdn, offer_code, endpoint_used, response_received,
+          status_code, description, response_data, error_message, processing_time_ms, created_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        attempt.requestId,
+        attempt.msisdn,
+        attempt.offerCode,
+        attempt.endpointUsed,
+        attempt.responseReceived ? 1 : 0,
+        attempt.statusCode,
+        attempt.description,
+        attempt.responseData !== undefined ? JSON.stringify(attempt.responseData) : null,
+        attempt.errorMessage,
+        attempt.processingTimeMs,
+        attempt.timestamp
+      ]);
+      
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error recording payment attempt:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async addProcessingJobClients(jobId, clients) {
+    try {
+      await this.createProcessingJobClientsTable();
+      
+      const chunkSize = 1000;
+      for (let i = 0; i < clients.length; i += chunkSize) {
+        const rows = clients.slice(i, i + chunkSize).map(client => [
+          jobId,
+          client.msisdn,
+          client.offer_code
+        ]);
+        
+        await this.pool.query(
+          'INSERT IGNORE INTO processing_job_clients (job_id, msisdn, offer_code) VALUES ?',
+          [rows]
+        );
+      }
+    } catch (error) {
+      console.error('Error saving processing job clients:', error);
+      throw error;
+    }
+  }
+
+  async updateProcessingJobClient(jobId, msisdn, updates) {
+    try {
+      const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+      const values = Object.values(updates);
+      
+      const query = `UPDATE processing_job_clients SET ${fields} WHERE job_id = ? AND msisdn = ?`;
+      await this.pool.execute(query, [...values, jobId, msisdn]);
+    } catch (error) {
+      console.error('Error updating processing job client:', error);
+      throw error;
+    }
+  }
+
+  async getProcessingJobClients(jobId, statuses = ['pending']) {
+    try {
+      await this.createProcessingJobClientsTable();
+      
+      const placeholders = statuses.map(() => '?').join(', ');
+      const [rows] = await this.pool.execute(`
+        SELECT msisdn, offer_code, status, attempts, request_id
+        FROM processing_job_clients
+        WHERE job_id = ? AND status IN (${placeholders})
+        ORDER BY id ASC
+      `, [jobId, ...statuses]);
+      return rows;
+    } catch (error) {
+      console.error('Error fetching processing job clients:', error);
+      throw error;
+    }
+  }
+
+  async skipPendingJobClient(msisdn, reason) {
+    try {
+      await this.createProcessingJobClientsTable();
+      
+      const [result] = await this.pool.execute(`
+        UPDATE processing_job_clients pjc
+        JOIN processing_jobs pj ON pj.job_id = pjc.job_id
+        SET pjc.status = 'skipped', pjc.last_error = ?, pjc.processed_at = CURRENT_TIMESTAMP
+        WHERE pjc.msisdn = ? AND pjc.status = 'pending' AND pj.status IN ('running', 'paused')
+      `, [reason, msisdn]);
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error skipping pending job client:', error);
+      throw error;
+    }
+  }
+
+  // Applies a permanent SDP rejection: 'I' for a subscriber the SDP reports as
+  // unsubscribed, 'B' for a blacklisted one. Logged to deactivations like a
+  // DEACTIVATE callback; returns false if the client already had that status.
+  async setClientStatusFromCharge(msisdn, status, reason) {
+    const connection = await this.pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(
+        'UPDATE clients SET subscription_status = ?, last_seen = ? WHERE msisdn = ? AND subscription_status != ?',
+        [status, new Date(), msisdn, status]
+      );
+
+      if (result.affectedRows > 0) {
+        await connection.execute(`
+          INSERT INTO deactivations (msisdn, offer_code, subscription_date, deactivation_date, deactivation_reason, transaction_id)
+          SELECT msisdn, offer_code, subscription_date, ?, ?, NULL FROM clients WHERE msisdn = ?
+        `, [new Date(), reason.substring(0, 255), msisdn]);
+      }
+
+      await connection.commit();
+      return result.affectedRows > 0;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error updating client status:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async getProcessingJobClientSummary(jobId) {
+    try {
+      await this.createProcessingJobClientsTable();
+      
+      const [rows] = await this.pool.execute(`
+        SELECT status, COUNT(*) as count
+        FROM processing_job_clients
+        WHERE job_id = ?
+        GROUP BY status
+      `, [jobId]);
+      
+      const summary = { total: 0, pending: 0, in_flight: 0, success: 0, failed: 0, unconfirmed: 0, skipped: 0 };
+      rows.forEach(row => {
+        summary[row.status] = row.count;
+        summary.total += row.count;
+      });
+      return summary;
+    } catch (error) {
+      console.error('Error fetching processing job client summary:', error);
+      throw error;
+    }
+  }
+
+  async expirePendingPayment(requestId, description) {
+    try {
+      const [result] = await this.pool.execute(
+        "UPDATE payments SET status = 'FAILED', description = ? WHERE request_id = ? AND status = 'PENDING'",
+        [description, requestId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error expiring pending payment:', error);
+      throw error;
+    }
+  }
+
+  // A callback naming one of our requests settles that attempt, even one
+  // already failed for want of a callback within the grace period. One naming
+  // none settles the latest PENDING attempt in the billing window.
+  async confirmPendingPayment(msisdn, requestId, description) {
+    try {
+      if (requestId) {
+        const [matched] = await this.pool.execute(`
+          UPDATE payments SET status = 'SUCCESS', description = ?
+          WHERE request_id = ? AND msisdn = ? AND status IN ('PENDING', 'FAILED')
+        `, [description, String(requestId), msisdn]);
+        if (matched.affectedRows > 0) return true;
+        
+        // Already settled: a redelivered callback must not confirm another attempt
+        if (await this.getPaymentByRequestId(String(requestId))) return false;
+      }
+      
+      const windowStart = new Date(Date.now() - config.processing.billingWindowHours * 60 * 60 * 1000);
+      
+      const [result] = await this.pool.execute(`
+        UPDATE payments SET status = 'SUCCESS', description = ?
+        WHERE msisdn = ? AND status = 'PENDING' AND timestamp >= ?
+        ORDER BY timestamp DESC
+        LIMIT 1
+      `, [description, msisdn, windowStart]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error confirming pending payment:', error);
+      throw error;
+    }
+  }
+
+  async getProcessingJobsByStatus(status) {
+    try {
+      await this.createProcessingJobTable();
+      
+      const [rows] = await this.pool.execute(
+        'SELECT * FROM processing_jobs WHERE status = ? ORDER BY created_at ASC',
+        [status]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error fetching processing jobs by status:', error);
+      return [];
+    }
+  }
+
+  async getPaymentByRequestId(requestId) {
+    try {
+      const [rows] = await this.pool.execute(
+        'SELECT * FROM payments WHERE request_id = ?',
+        [requestId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error fetching payment by request id:', error);
+      throw error;
+    }
+  }
+
   async updateGameThumbnail(gameId, thumbnailPath) {
     try {
       const query = 'UPDATE games SET thumbnail = ? WHERE id = ?';
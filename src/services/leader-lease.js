@@ -0,0 +1,118 @@
+const { EventEmitter } = require('events');
+const config = require('../config');
+const databaseService = require('./database');
+const logger = require('../utils/logger');
+
+const LEASE_NAME = 'scheduler';
+
+// Elects the one instance that fires scheduled runs. The lease lives in
+// scheduler_leases and is renewed every third of its TTL; an instance that
+// cannot renew stops counting itself as leader when its last renewal would
+// expire, which is before anyone else may take over. Each takeover issues a
+// higher fencing token, and work started under a token checks holds(token)
+// so a deposed leader stops instead of running alongside the new one.
+class LeaderLeaseService extends EventEmitter {
+  constructor() {
+    super();
+    this.nodeId = config.schedulerLease.nodeId;
+    this.token = null;
+    this.validUntil = 0;
+    this.worker = null;
+  }
+
+  async start() {
+    if (this.worker) return;
+
+    await databaseService.createSchedulerLeasesTable();
+    await this.renew();
+
+    const renewMs = Math.max(config.schedulerLease.ttlSeconds * 1000 / 3, 1000);
+    this.worker = setInterval(() => {
+      this.renew().catch(error => {
+        logger.error('Scheduler lease renewal error:', error.message);
+      });
+    }, renewMs);
+  }
+
+  async stop() {
+    if (this.worker) {
+      clearInterval(this.worker);
+      this.worker = null;
+    }
+
+    if (this.isLeader()) {
+      try {
+        await databaseService.releaseSchedulerLease(LEASE_NAME, this.nodeId, this.token);
+        logger.info('Scheduler lease released');
+      } catch (error) {
+        logger.error('Failed to release scheduler lease:', error.message);
+      }
+    }
+    this.setLost('released');
+  }
+
+  async renew() {
+    const startedAt = Date.now();
+
+    let claim;
+    try {
+      claim = await databaseService.claimSchedulerLease(LEASE_NAME, this.nodeId, this.token, config.schedulerLease.ttlSeconds);
+    } catch (error) {
+      // Keep the lease until it would have expired; the next renewal may work
+      logger.error('Failed to renew scheduler lease:', error.message);
+      if (this.token !== null && !this.isLeader()) this.setLost('renewal failed');
+      return;
+    }
+
+    if (!claim) {
+      if (this.token !== null) this.setLost('taken over by another instance');
+      return;
+    }
+
+    const tookOver = claim.token !== this.token;
+    this.token = claim.token;
+    this.validUntil = startedAt + config.schedulerLease.ttlSeconds * 1000;
+
+    if (tookOver) {
+      logger.success(`Scheduler lease acquired by ${this.nodeId} (fencing token ${claim.token})`);
+      this.emit('acquired', { nodeId: this.nodeId, token: claim.token, previousHolder: claim.previousHolder });
+    }
+  }
+
+  setLost(reason) {
+    if (this.token === null) return;
+
+    const token = this.token;
+    this.token = null;
+    this.validUntil = 0;
+    logger.warn(`Scheduler lease lost (${reason}) - no longer running scheduled jobs`);
+    this.emit('lost', { nodeId: this.nodeId, token, reason });
+  }
+
+  isLeader() {
+    return this.token !== null && Date.now() < this.validUntil;
+  }
+
+  // Whether work started under `token` may go on
+  holds(token) {
+    return this.isLeader() && this.token === token;
+  }
+
+  async getStatus() {
+    const lease = await databaseService.getSchedulerLease(LEASE_NAME);
+
+    return {
+      nodeId: this.nodeId,
+      isLeader: this.isLeader(),
+      holder: lease && !lease.expired ? {
+        nodeId: lease.holder_id,
+        fencingToken: Number(lease.fencing_token),
+        acquiredAt: lease.acquired_at,
+        renewedAt: lease.renewed_at,
+        expiresAt: lease.expires_at
+      } : null
+    };
+  }
+}
+
+module.exports = new LeaderLeaseService();
@@ -0,0 +1,64 @@
+const { EventEmitter } = require('events');
+const sdpStatus = require('../utils/sdp-status');
+
+// One processClients run: its own stats, retry queue, cancellations and event
+// stream, so jobs processed side by side never mix their numbers. Throttling
+// and server health stay shared in PaymentService: they describe the SDP.
+class PaymentJob extends EventEmitter {
+  constructor(jobId, { simulation = null, shouldHalt = null, control = null } = {}) {
+    super();
+    this.jobId = jobId;
+    // Simulator settings for a dry run, otherwise null
+    this.simulation = simulation;
+    this.shouldHalt = shouldHalt;
+    // Returns 'pause', 'cancel' or null; checked between batches
+    this.control = control;
+    // running, paused, cancelled or finished
+    this.status = 'running';
+    this.failedQueue = [];
+    this.cancelledClients = new Set();
+    this.stats = {
+      totalRequests: 0,
+      successful: 0,
+      failed: 0,
+      retried: 0,
+      skipped: 0,
+      retriesScheduled: 0,
+      haltedReason: null,
+      primaryServerRequests: 0,
+      fallbackServerRequests: 0,
+      primaryServerSuccess: 0,
+      fallbackServerSuccess: 0,
+      startTime: Date.now(),
+      endTime: null,
+      errors: {
+        timeout: 0,
+        connection: 0,
+        server: 0,
+        auth: 0,
+        other: 0
+      },
+      outcomes: this.emptyOutcomes()
+    };
+  }
+
+  // Answers by sdp-status outcome, plus no_response for requests that got none
+  emptyOutcomes() {
+    const outcomes = { no_response: 0 };
+    for (const outcome of sdpStatus.outcomes) {
+      outcomes[outcome] = 0;
+    }
+    return outcomes;
+  }
+
+  requestedControl() {
+    return this.control ? this.control() : null;
+  }
+
+  finish() {
+    if (this.status !== 'cancelled') this.status = 'finished';
+    this.stats.endTime = Date.now();
+  }
+}
+
+module.exports = PaymentJob;
@@ -1,66 +1,242 @@
 const axios = require('axios');
-const { v4: uuidv4 } = require('uuid');
+const { v4: uuidv4, v5: uuidv5 } = require('uuid');
 const config = require('../config');
 const authService = require('./auth');
+const databaseService = require('./database');
+const sdpSimulator = require('./sdp-simulator');
+const serverHealth = require('./server-health');
+const retryLedger = require('./retry-ledger');
+const PaymentJob = require('./payment-job');
+const TokenBucket = require('../utils/token-bucket');
+const AdaptiveConcurrency = require('../utils/adaptive-concurrency');
+const sdpStatus = require('../utils/sdp-status');
 const logger = require('../utils/logger');
 const { EventEmitter } = require('events');
 
+// Namespace for deterministic request ids: the same job, client and attempt
+// number always produce the same requestId
+const REQUEST_ID_NAMESPACE = '6f1c2b4e-8d3a-4f5e-9b7c-2a1d0e3f4b5c';
+
+// Live TPS is measured over this trailing window
+const TPS_WINDOW_MS = 5000;
+
 class PaymentService extends EventEmitter {
   constructor() {
     super();
-    this.stats = {
-      totalRequests: 0,
-      successful: 0,
-      failed: 0,
-      retried: 0,
-      primaryServerRequests: 0,
-      fallbackServerRequests: 0,
-      primaryServerSuccess: 0,
-      fallbackServerSuccess: 0,
-      startTime: 0,
-      errors: {
-        timeout: 0,
-        connection: 0,
-        server: 0,
-        auth: 0,
-        other: 0
-      }
-    };
-    this.failedQueue = [];
     this.maxRetries = 3;
+    // PaymentJobs being processed, and the most recent finished ones
+    this.runningJobs = new Set();
+    this.finishedJobs = [];
+    this.maxFinishedJobs = 20;
+    this.sentRequests = [];
+    this.resetThrottling();
   }
 
-  selectServer() {
-    const usePrimary = Math.random() < config.processing.serverDistribution;
+  // Fresh TPS buckets and concurrency limit when a job starts with no other
+  // running: the SDP's capacity may have changed since the last one. Jobs
+  // running side by side share them, as they share the SDP.
+  resetThrottling() {
+    const { maxTpsPerServer, concurrentRequests, minConcurrentRequests, maxConcurrentRequests,
+      latencyTargetMs, requestTimeout } = config.processing;
     
-    if (usePrimary) {
-      this.stats.primaryServerRequests++;
-      return { url: config.safaricom.primaryServer, type: 'PRIMARY' };
+    this.serverBuckets = {
+      PRIMARY: new TokenBucket({ ratePerSecond: maxTpsPerServer }),
+      FALLBACK: new TokenBucket({ ratePerSecond: maxTpsPerServer })
+    };
+    this.concurrency = new AdaptiveConcurrency({
+      initial: concurrentRequests,
+      min: minConcurrentRequests,
+      max: maxConcurrentRequests,
+      latencyTargetMs,
+      cooldownMs: requestTimeout
+    });
+    this.sentRequests = [];
+    this.throttlingStartedAt = Date.now();
+  }
+
+  // Timeouts, dropped connections, 5xx and throttling answers mean the SDP is
+  // struggling and should see fewer requests at once
+  isOverloadFailure(error) {
+    if (error.response) {
+      return error.response.status >= 500 || error.response.status === 429;
+    }
+    return error.code === 'ECONNABORTED' ||
+      Boolean(error.code && error.code.startsWith('ECONN')) ||
+      error.message.includes('timeout') ||
+      error.message.includes('socket hang up');
+  }
+
+  recordSent(serverType) {
+    const now = Date.now();
+    this.sentRequests.push({ at: now, server: serverType });
+    this.pruneSentRequests(now);
+  }
+
+  pruneSentRequests(now) {
+    const cutoff = now - TPS_WINDOW_MS;
+    let expired = 0;
+    while (expired < this.sentRequests.length && this.sentRequests[expired].at <= cutoff) {
+      expired++;
+    }
+    if (expired > 0) this.sentRequests.splice(0, expired);
+  }
+
+  // Requests per second sent over the trailing window (shorter at job start)
+  getLiveTps() {
+    const now = Date.now();
+    this.pruneSentRequests(now);
+    
+    const windowMs = Math.min(TPS_WINDOW_MS, Math.max(now - this.throttlingStartedAt, 1000));
+    const perSecond = (count) => parseFloat((count / (windowMs / 1000)).toFixed(1));
+    const primary = this.sentRequests.filter(request => request.server === 'PRIMARY').length;
+    
+    return {
+      total: perSecond(this.sentRequests.length),
+      primary: perSecond(primary),
+      fallback: perSecond(this.sentRequests.length - primary)
+    };
+  }
+
+  // A running or recently finished job: its stats, retry queue and events
+  getJob(jobId) {
+    return [...this.runningJobs].find(job => job.jobId === jobId) ||
+      this.finishedJobs.find(job => job.jobId === jobId) || null;
+  }
+
+  // Stops any not-yet-sent charge for this MSISDN in the running jobs,
+  // including queued retries. Requests already on the wire cannot be recalled.
+  cancelClient(msisdn) {
+    for (const job of this.runningJobs) {
+      job.cancelledClients.add(msisdn);
+    }
+    logger.info(`Charges for ${msisdn} cancelled for the running jobs`);
+  }
+
+  // Forwards a job's event to its own stream and to PaymentService listeners
+  emitJobEvent(job, event, data) {
+    job.emit(event, data);
+    this.emit(event, data);
+  }
+
+  async separateCancelledClients(batch, job) {
+    const active = [];
+    const cancelledResults = [];
+    
+    for (const client of batch) {
+      if (!job.cancelledClients.has(client.msisdn)) {
+        active.push(client);
+        continue;
+      }
+      
+      job.stats.skipped++;
+      logger.warn(`${client.msisdn} skipped: subscriber deactivated`);
+      
+      if (job.jobId) {
+        await this.saveCheckpoint(job.jobId, client.msisdn, {
+          status: 'skipped',
+          processed_at: new Date(),
+          last_error: 'Cancelled: subscriber deactivated'
+        });
+      }
+      
+      cancelledResults.push({
+        success: false,
+        skipped: true,
+        server: 'NONE',
+        reason: 'deactivated',
+        description: 'Subscriber deactivated',
+        msisdn: client.msisdn
+      });
+    }
+    
+    return { active, cancelledResults };
+  }
+
+  // Routes by live server health; while both circuit breakers are open the
+  // request waits for the first probe slot. Dry runs never reach either
+  // server, so they keep the plain configured split.
+  async selectServer(job) {
+    let type;
+    
+    if (job.simulation) {
+      type = Math.random() < config.processing.serverDistribution ? 'PRIMARY' : 'FALLBACK';
     } else {
-      this.stats.fallbackServerRequests++;
-      return { url: config.safaricom.fallbackServer, type: 'FALLBACK' };
+      type = serverHealth.choose();
+      while (!type) {
+        const waitMs = serverHealth.msUntilAvailable();
+        logger.warn(`Both SDP servers are unavailable (circuit open) - waiting ${Math.ceil(waitMs / 1000)}s`);
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+        type = serverHealth.choose();
+      }
+    }
+    
+    if (type === 'PRIMARY') {
+      job.stats.primaryServerRequests++;
+    } else {
+      job.stats.fallbackServerRequests++;
+    }
+    return { url: serverHealth.urlFor(type), type };
+  }
+
+  buildRequestId(msisdn, jobId, attempt) {
+    if (!jobId) return uuidv4();
+    return uuidv5(`${jobId}:${msisdn}:${attempt}`, REQUEST_ID_NAMESPACE);
+  }
+
+  // A timeout, dropped connection or accepted request with an unlisted code
+  // may still have been charged upstream, so such failures are recorded as
+  // PENDING until a callback settles them
+  isAmbiguousFailure(error) {
+    if (error.response) {
+      return error.response.status === 504 || sdpStatus.classify(error.response).outcome === 'ambiguous';
     }
+    return error.code === 'ECONNABORTED' ||
+      error.code === 'ECONNRESET' ||
+      error.message.includes('timeout') ||
+      error.message.includes('socket hang up');
   }
 
-  async processSinglePayment(client, isRetry = false) {
-    const server = this.selectServer();
-    const requestId = uuidv4();
+  async processSinglePayment(client, isRetry, job) {
+    const { jobId } = job;
+    const retryCount = client.retryCount || 0;
+    const requestId = this.buildRequestId(client.msisdn, jobId, retryCount + 1);
+    const offerCode = client.offer_code || config.safaricom.defaultOfferCode;
+    let server = null;
+    let startTime = Date.now();
+    let sent = false;
     
     try {
+      if (jobId) {
+        const existing = await databaseService.getPaymentByRequestId(requestId);
+        if (existing) {
+          return await this.adoptRecordedAttempt(client, existing, job, isRetry);
+        }
+        
+        // Mark the client in-flight before charging so a resumed job never re-sends
+        // a request whose outcome was lost. A failure here fails the attempt unsent.
+        await databaseService.updateProcessingJobClient(jobId, client.msisdn, {
+          status: 'in_flight',
+          request_id: requestId,
+          attempts: retryCount + 1
+        });
+      }
+      
+      server = await this.selectServer(job);
+      
       if (isRetry) {
         logger.info(`RETRY: Processing payment for ${client.msisdn} via ${server.type} server (Attempt ${client.retryCount + 1})`);
       } else {
         logger.info(`Processing payment for ${client.msisdn} via ${server.type} server`);
       }
       
-      const token = await authService.getValidToken();
+      const token = job.simulation ? 'simulated' : await authService.getValidToken();
       
       const payload = {
         requestId,
         channel: "APIGW",
         requestParam: {
           data: [
-            { name: "OfferCode", value: client.offer_code || config.safaricom.defaultOfferCode },
+            { name: "OfferCode", value: offerCode },
             { name: "Msisdn", value: client.msisdn },
             { name: "Language", value: config.safaricom.language },
             { name: "CpId", value: config.safaricom.cpId },
@@ -76,27 +252,56 @@ class PaymentService extends EventEmitter {
         "X-Authorization": `Bearer ${token}`
       };
       
-      logger.info(`Sending request to ${server.url} for ${client.msisdn}`);
+      // A dry run never reaches the SDP, so it leaves the shared TPS budget,
+      // live TPS and adaptive concurrency to the live jobs
+      if (!job.simulation) {
+        await this.serverBuckets[server.type].take();
+      }
       
-      const startTime = Date.now();
+      logger.info(`${job.simulation ? 'Simulating' : 'Sending'} request to ${server.url} for ${client.msisdn}`);
       
-      const response = await axios.post(server.url, payload, {
+      startTime = Date.now();
+      sent = true;
+      if (!job.simulation) {
+        this.recordSent(server.type);
+      }
+      
+      const transport = job.simulation ? sdpSimulator : axios;
+      const response = await transport.post(server.url, payload, {
         headers,
-        timeout: config.processing.requestTimeout
+        timeout: config.processing.requestTimeout,
+        simulation: job.simulation
       });
       
       const duration = Date.now() - startTime;
-      this.stats.totalRequests++;
-      this.stats.successful++;
+      const classification = sdpStatus.classify(response);
+      if (classification.outcome !== 'success') {
+        // Declined with HTTP 2xx: handled like any other rejection below
+        const declined = new Error(`Charge declined with status code ${classification.statusCode || 'none'}`);
+        declined.response = response;
+        throw declined;
+      }
+      
+      job.stats.totalRequests++;
+      job.stats.successful++;
+      job.stats.outcomes.success++;
+      if (!job.simulation) {
+        this.concurrency.recordResponse(duration);
+        serverHealth.record(server.type, { ok: true, latencyMs: duration });
+      }
       
       if (isRetry) {
-        this.stats.retried++;
+        job.stats.retried++;
+      }
+      
+      if (client.ledgerRetry) {
+        await this.settleLedgerRetry(client.msisdn, job);
       }
       
       if (server.type === 'PRIMARY') {
-        this.stats.primaryServerSuccess++;
+        job.stats.primaryServerSuccess++;
       } else {
-        this.stats.fallbackServerSuccess++;
+        job.stats.fallbackServerSuccess++;
       }
       
       const statusCode = response.data?.responseParam?.statusCode || 'unknown';
@@ -105,6 +310,28 @@ class PaymentService extends EventEmitter {
       const retryPrefix = isRetry ? 'RETRY SUCCESS: ' : '';
       logger.success(`${retryPrefix}${client.msisdn} → ${server.type} → ${statusCode}: ${description} (${duration}ms)`);
       
+      await this.recordAttempt(job, {
+        requestId,
+        msisdn: client.msisdn,
+        offerCode,
+        server,
+        status: 'SUCCESS',
+        responseReceived: true,
+        statusCode,
+        description,
+        responseData: response.data,
+        errorMessage: null,
+        duration
+      });
+      
+      if (jobId) {
+        await this.saveCheckpoint(jobId, client.msisdn, {
+          status: 'success',
+          processed_at: new Date(),
+          last_error: null
+        });
+      }
+      
       return {
         success: true,
         server: server.type,
@@ -116,102 +343,495 @@ class PaymentService extends EventEmitter {
       };
       
     } catch (error) {
-      this.stats.totalRequests++;
-      this.stats.failed++;
+      const duration = Date.now() - startTime;
+      const classification = error.response ? sdpStatus.classify(error.response) : null;
+      job.stats.totalRequests++;
+      job.stats.failed++;
+      job.stats.outcomes[classification ? classification.outcome : 'no_response']++;
       
       if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-        this.stats.errors.timeout++;
+        job.stats.errors.timeout++;
       } else if (error.code && error.code.startsWith('ECONN')) {
-        this.stats.errors.connection++;
+        job.stats.errors.connection++;
       } else if (error.response && error.response.status >= 500) {
-        this.stats.errors.server++;
+        job.stats.errors.server++;
       } else if (error.response && error.response.status === 401) {
-        this.stats.errors.auth++;
+        job.stats.errors.auth++;
+        // The SDP revoked the token early; the retry logs in again
+        if (!job.simulation) authService.clearToken();
       } else {
-        this.stats.errors.other++;
+        job.stats.errors.other++;
+      }
+      
+      // Failures before the request went out (a login timeout, say) say
+      // nothing about the SDP's load or the charge
+      const overloaded = sent && this.isOverloadFailure(error);
+      if (!job.simulation) {
+        if (overloaded) {
+          this.concurrency.recordOverload();
+        } else if (sent && error.response) {
+          // A prompt business rejection still shows the SDP keeping up
+          this.concurrency.recordResponse(duration);
+        }
+        
+        if (sent) {
+          serverHealth.record(server.type, { ok: !overloaded, latencyMs: duration, error: error.message });
+        } else if (server) {
+          serverHealth.abandon(server.type);
+        }
       }
       
-      const retryCount = client.retryCount || 0;
+      const ambiguous = sent && this.isAmbiguousFailure(error);
+      const responseParam = error.response?.data?.responseParam;
+      const statusCode = responseParam?.statusCode || (error.response ? String(error.response.status) : null);
+      const description = responseParam?.description || error.message;
       const retryPrefix = isRetry ? 'RETRY FAILED: ' : '';
-      logger.error(`${retryPrefix}${client.msisdn} → ${server.type} → FAILED: ${error.message}`);
+      const serverType = server ? server.type : 'NONE';
+      if (classification) {
+        logger.error(`${retryPrefix}${client.msisdn} → ${serverType} → ${ambiguous ? 'UNCONFIRMED' : 'FAILED'}: ${statusCode} ${description} (${classification.outcome})`);
+      } else {
+        logger.error(`${retryPrefix}${client.msisdn} → ${serverType} → ${ambiguous ? 'UNCONFIRMED' : 'FAILED'}: ${error.message}`);
+      }
+      
+      // Without a server the attempt failed in our own bookkeeping; the
+      // checkpoint below records it
+      if (server) {
+        await this.recordAttempt(job, {
+          requestId,
+          msisdn: client.msisdn,
+          offerCode,
+          server,
+          status: ambiguous ? 'PENDING' : 'FAILED',
+          responseReceived: Boolean(error.response),
+          statusCode,
+          description,
+          responseData: error.response?.data,
+          errorMessage: error.message,
+          duration
+        });
+      }
+      
+      if (classification && classification.clientStatus) {
+        await this.applyClientStatus(client.msisdn, classification, description, job);
+      }
       
-      // Add to retry queue if under max retries
-      if (retryCount < this.maxRetries) {
+      // Insufficient funds and permanent rejections are not retried in this job
+      const retryable = classification ? classification.retry : true;
+      const willRetry = retryable && retryCount < this.maxRetries;
+      const failure = {
+        errorClass: retryLedger.errorClassFor(error, classification),
+        statusCode,
+        error: description
+      };
+      let deferred = null;
+      
+      if (willRetry) {
         const clientForRetry = { 
           ...client, 
           retryCount: retryCount + 1,
           lastError: error.message,
-          lastAttempt: new Date()
+          lastFailure: failure,
+          lastAttempt: new Date(),
+          lastRequestId: ambiguous ? requestId : null,
+          notBefore: ambiguous ? Date.now() + config.processing.reconcileGraceMs : null
         };
-        this.failedQueue.push(clientForRetry);
-        logger.warn(`${client.msisdn} added to retry queue (attempt ${retryCount + 1}/${this.maxRetries})`);
+        job.failedQueue.push(clientForRetry);
+        if (ambiguous) {
+          logger.warn(`${client.msisdn} outcome unknown - retry held for ${config.processing.reconcileGraceMs / 1000}s awaiting callback (attempt ${retryCount + 1}/${this.maxRetries})`);
+        } else {
+          logger.warn(`${client.msisdn} added to retry queue (attempt ${retryCount + 1}/${this.maxRetries})`);
+        }
       } else {
-        logger.error(`${client.msisdn} failed permanently after ${this.maxRetries} attempts`);
+        if (classification && classification.outcome === 'ambiguous') {
+          logger.warn(`${client.msisdn} accepted with unlisted status code ${statusCode} - left PENDING for the callback to settle`);
+        } else if (!retryable) {
+          logger.warn(`${client.msisdn} not retried in this job: ${classification.outcome.replace('_', ' ')} (${statusCode})`);
+        } else {
+          logger.error(`${client.msisdn} failed after ${this.maxRetries} retries in this job`);
+        }
+        deferred = await this.deferRetry(client, failure, job);
+      }
+      
+      if (jobId) {
+        await this.saveCheckpoint(jobId, client.msisdn, {
+          status: willRetry ? 'pending' : (ambiguous ? 'unconfirmed' : 'failed'),
+          processed_at: new Date(),
+          last_error: classification ? `${statusCode}: ${description}` : error.message
+        });
       }
       
       return {
         success: false,
-        server: server.type,
+        server: serverType,
         error: error.message,
+        outcome: classification ? classification.outcome : 'no_response',
+        statusCode,
+        description,
         msisdn: client.msisdn,
         retryCount,
-        willRetry: retryCount < this.maxRetries,
+        willRetry,
+        nextRetryAt: deferred && deferred.status === 'scheduled' ? deferred.nextRetryAt : null,
         isRetry
       };
     }
   }
 
-  async processBatchParallel(batch) {
-    // Create all promises simultaneously - no delays between requests
-    const batchPromises = batch.map(client => {
+  // Hands a charge this job gave up on to the retry ledger, for a later job to
+  // pick up after the error class's backoff. Dry runs keep no ledger.
+  async deferRetry(client, failure, job) {
+    if (job.simulation || !failure || !failure.errorClass) return null;
+    
+    try {
+      const entry = await retryLedger.schedule({
+        msisdn: client.msisdn,
+        offerCode: client.offer_code || config.safaricom.defaultOfferCode,
+        ...failure,
+        jobId: job.jobId
+      });
+      if (entry.status === 'scheduled') {
+        job.stats.retriesScheduled++;
+      }
+      return entry;
+    } catch (error) {
+      logger.error(`Failed to schedule a retry for ${client.msisdn}:`, error.message);
+      return null;
+    }
+  }
+
+  async settleLedgerRetry(msisdn, job) {
+    if (job.simulation) return;
+    
+    try {
+      await retryLedger.resolve(msisdn, 'succeeded');
+    } catch (error) {
+      logger.error(`Failed to settle the ledger retry for ${msisdn}:`, error.message);
+    }
+  }
+
+  // Unsubscribed and blacklisted subscribers are taken out of billing so no
+  // later job charges them again. Dry runs leave clients untouched.
+  async applyClientStatus(msisdn, classification, description, job) {
+    if (job.simulation) return;
+    
+    const reason = `SDP ${classification.statusCode}: ${description}`;
+    try {
+      const changed = await databaseService.setClientStatusFromCharge(msisdn, classification.clientStatus, reason);
+      if (changed) {
+        logger.warn(`${msisdn} marked ${classification.outcome === 'blacklist' ? 'blacklisted' : 'inactive'} - ${reason}`);
+      }
+    } catch (error) {
+      logger.error(`Failed to update subscription status of ${msisdn}:`, error.message);
+    }
+  }
+
+  async adoptRecordedAttempt(client, payment, job, isRetry) {
+    const success = payment.status === 'SUCCESS';
+    logger.warn(`${client.msisdn} request ${payment.request_id} was already sent (${payment.status}) - not sending again`);
+    
+    // Counted like the attempt it stands for, so the job's totals add up
+    job.stats.totalRequests++;
+    if (success) {
+      job.stats.successful++;
+    } else {
+      job.stats.failed++;
+    }
+    
+    await this.saveCheckpoint(job.jobId, client.msisdn, {
+      status: success ? 'success' : (payment.status === 'PENDING' ? 'unconfirmed' : 'failed'),
+      request_id: payment.request_id,
+      processed_at: new Date(),
+      last_error: success ? null : payment.description
+    });
+    
+    return {
+      success,
+      server: 'NONE',
+      statusCode: payment.status,
+      description: payment.description,
+      msisdn: client.msisdn,
+      reconciled: true,
+      willRetry: false,
+      isRetry
+    };
+  }
+
+  // Settles retries whose previous attempt was ambiguous: a callback may have
+  // confirmed it meanwhile, in which case the client must not be charged again
+  async resolveAmbiguousRetries(batch, job) {
+    const ready = [];
+    const resolvedResults = [];
+    
+    for (const client of batch) {
+      if (!client.lastRequestId) {
+        ready.push(client);
+        continue;
+      }
+      
+      const previous = await databaseService.getPaymentByRequestId(client.lastRequestId);
+      
+      if (previous && previous.status === 'SUCCESS') {
+        job.stats.totalRequests++;
+        job.stats.successful++;
+        job.stats.retried++;
+        logger.success(`${client.msisdn} earlier request ${client.lastRequestId} confirmed by callback - not retrying`);
+        
+        if (job.jobId) {
+          await this.saveCheckpoint(job.jobId, client.msisdn, {
+            status: 'success',
+            processed_at: new Date(),
+            last_error: null
+          });
+        }
+        
+        resolvedResults.push({
+          success: true,
+          server: 'NONE',
+          statusCode: previous.status,
+          description: previous.description,
+          msisdn: client.msisdn,
+          reconciled: true,
+          isRetry: true
+        });
+        continue;
+      }
+      
+      if (previous && previous.status === 'PENDING') {
+        const expiresAt = new Date(previous.timestamp).getTime() + config.processing.reconcileGraceMs;
+        
+        if (expiresAt > Date.now()) {
+          job.failedQueue.push({ ...client, notBefore: expiresAt });
+          continue;
+        }
+        
+        const expired = await databaseService.expirePendingPayment(
+          client.lastRequestId,
+          `${previous.description || 'No response'} (no callback within ${config.processing.reconcileGraceMs / 1000}s)`
+        );
+        
+        if (!expired) {
+          // Settled by a callback between the read and the update; re-check next batch
+          job.failedQueue.push({ ...client, notBefore: Date.now() });
+          continue;
+        }
+      }
+      
+      ready.push({ ...client, lastRequestId: null, notBefore: null });
+    }
+    
+    return { ready, resolvedResults };
+  }
+
+  takeDueRetries(job, limit) {
+    const now = Date.now();
+    const due = [];
+    const waiting = [];
+    
+    for (const client of job.failedQueue) {
+      if (due.length < limit && (!client.notBefore || client.notBefore <= now)) {
+        due.push(client);
+      } else {
+        waiting.push(client);
+      }
+    }
+    
+    job.failedQueue = waiting;
+    return due;
+  }
+
+  async recordAttempt(job, attempt) {
+    // Simulated charges must never reach payments: reports, charge limits and
+    // reconciliation all treat rows there as real money
+    if (job.simulation) return;
+    
+    try {
+      await databaseService.recordPaymentAttempt({
+        requestId: attempt.requestId,
+        msisdn: attempt.msisdn,
+        offerCode: attempt.offerCode,
+        amount: config.safaricom.chargeAmount || 0,
+        timestamp: new Date(),
+        status: attempt.status,
+        description: attempt.description,
+        endpointUsed: attempt.server.type === 'PRIMARY' ? 'primary' : 'fallback',
+        responseReceived: attempt.responseReceived,
+        statusCode: attempt.statusCode !== null ? String(attempt.statusCode).substring(0, 10) : null,
+        responseData: attempt.responseData,
+        errorMessage: attempt.errorMessage,
+        processingTimeMs: attempt.duration
+      });
+    } catch (error) {
+      logger.error(`Failed to record payment attempt ${attempt.requestId} for ${attempt.msisdn}:`, error.message);
+    }
+  }
+
+  async saveCheckpoint(jobId, msisdn, updates) {
+    try {
+      await databaseService.updateProcessingJobClient(jobId, msisdn, updates);
+    } catch (error) {
+      logger.error(`Failed to checkpoint ${msisdn} for job ${jobId}:`, error.message);
+    }
+  }
+
+  async applyChargeLimits(batch, job) {
+    const { eligible, excluded } = await databaseService.filterChargeableClients(batch, job.jobId, {
+      record: !job.simulation
+    });
+    
+    const skippedResults = [];
+    for (const item of excluded) {
+      job.stats.skipped++;
+      logger.warn(`${item.msisdn} skipped: ${item.reason} - ${item.detail}`);
+      
+      if (job.jobId) {
+        await this.saveCheckpoint(job.jobId, item.msisdn, {
+          status: 'skipped',
+          processed_at: new Date(),
+          last_error: `${item.reason}: ${item.detail}`
+        });
+      }
+      
+      skippedResults.push({
+        success: false,
+        skipped: true,
+        server: 'NONE',
+        reason: item.reason,
+        description: item.detail,
+        msisdn: item.msisdn
+      });
+    }
+    
+    return { eligible, skippedResults };
+  }
+
+  async processBatchParallel(batch, job) {
+    // Requests run in parallel up to the adaptive concurrency limit; each also
+    // waits for a token from its server's TPS bucket before it is sent
+    const batchPromises = batch.map(async client => {
       const isRetry = client.retryCount > 0;
-      return this.processSinglePayment(client, isRetry);
+      await this.concurrency.acquire();
+      try {
+        return await this.processSinglePayment(client, isRetry, job);
+      } finally {
+        this.concurrency.release();
+      }
     });
     
-    // Execute all requests in parallel
     const results = await Promise.allSettled(batchPromises);
     
     // Process results
-    return results.map(result => {
+    return results.map((result, index) => {
       if (result.status === 'fulfilled') {
         return result.value;
       } else {
         return {
           success: false,
           error: result.reason.message || 'Unknown error',
-          server: 'UNKNOWN'
+          server: 'UNKNOWN',
+          msisdn: batch[index].msisdn
         };
       }
     });
   }
 
-  async processClients(clients, batchSize = config.processing.defaultBatchSize, jobId) {
-    this.resetStats();
-    this.stats.startTime = Date.now();
-    this.failedQueue = [];
+  // options.shouldHalt is checked before every batch; returning a reason stops
+  // the run and leaves the remaining clients uncharged. options.control is
+  // checked there too: 'pause' holds the job until it returns anything else,
+  // 'cancel' stops it without handing its retries on. options.simulation
+  // (sdp-simulator settings) makes it a dry run that never contacts the SDP.
+  // options.onBatchCompleted hears this job's batches only, and is detached
+  // when the job ends however it ends.
+  // Each call gets its own PaymentJob, so jobs may run side by side.
+  async processClients(clients, batchSize = config.processing.defaultBatchSize, jobId, options = {}) {
+    const job = new PaymentJob(jobId, {
+      simulation: options.simulation || null,
+      shouldHalt: options.shouldHalt || null,
+      control: options.control || null
+    });
+    
+    if (options.onBatchCompleted) {
+      job.on('batchCompleted', options.onBatchCompleted);
+    }
+    
+    if (this.runningJobs.size === 0) {
+      this.resetThrottling();
+    }
+    this.runningJobs.add(job);
+    
+    try {
+      return await this.runJob(job, clients, batchSize);
+    } finally {
+      if (options.onBatchCompleted) {
+        job.removeListener('batchCompleted', options.onBatchCompleted);
+      }
+      job.finish();
+      this.runningJobs.delete(job);
+      this.finishedJobs.unshift(job);
+      this.finishedJobs.length = Math.min(this.finishedJobs.length, this.maxFinishedJobs);
+    }
+  }
+
+  async runJob(job, clients, batchSize) {
+    const { jobId } = job;
+    
+    if (job.simulation) {
+      const { successRate, timeoutRate, minLatencyMs, maxLatencyMs } = job.simulation;
+      logger.warn(`DRY RUN: SDP calls are simulated (success ${Math.round(successRate * 100)}%, timeouts ${Math.round(timeoutRate * 100)}%, latency ${minLatencyMs}-${maxLatencyMs}ms)`);
+    }
     
     logger.info(`Starting payment processing for ${clients.length} clients with batch size ${batchSize}`);
     logger.info(`Retry policy: Max ${this.maxRetries} attempts per client`);
+    logger.info(`Throttling: ${config.processing.maxTpsPerServer} TPS per server, ${this.concurrency.limit} concurrent requests (adaptive ${config.processing.minConcurrentRequests}-${config.processing.maxConcurrentRequests})`);
+    if (this.runningJobs.size > 1) {
+      logger.info(`${this.runningJobs.size - 1} other job(s) running - throttling is shared`);
+    }
     
     const results = [];
     let allClients = [...clients];
     let batchIndex = 0;
     
-    this.emit('processingStarted', {
+    this.emitJobEvent(job, 'processingStarted', {
       jobId,
       totalClients: clients.length,
       totalBatches: Math.ceil(clients.length / batchSize),
-      batchSize
+      batchSize,
+      simulated: Boolean(job.simulation)
     });
     
-    while (allClients.length > 0 || this.failedQueue.length > 0) {
+    while (allClients.length > 0 || job.failedQueue.length > 0) {
+      if (await this.waitWhilePaused(job) === 'cancel') {
+        job.status = 'cancelled';
+        logger.warn(`Job ${jobId} cancelled - ${allClients.length + job.failedQueue.length} clients left uncharged`);
+        break;
+      }
+      
+      const haltReason = job.shouldHalt ? job.shouldHalt() : null;
+      if (haltReason) {
+        job.stats.haltedReason = haltReason;
+        logger.warn(`Processing halted: ${haltReason} - ${allClients.length + job.failedQueue.length} clients left uncharged`);
+        
+        // Queued retries would be lost with the job, so a later job takes them
+        for (const client of job.failedQueue) {
+          await this.deferRetry(client, client.lastFailure, job);
+        }
+        break;
+      }
+      
       batchIndex++;
       
-      const regularBatch = allClients.splice(0, Math.max(1, batchSize - this.failedQueue.length));
-      const retryBatch = this.failedQueue.splice(0, batchSize - regularBatch.length);
+      const dueRetries = job.failedQueue.filter(client => !client.notBefore || client.notBefore <= Date.now()).length;
+      const regularBatch = allClients.splice(0, Math.max(1, batchSize - dueRetries));
+      const retryBatch = this.takeDueRetries(job, batchSize - regularBatch.length);
       const currentBatch = [...regularBatch, ...retryBatch];
       
-      if (currentBatch.length === 0) break;
+      if (currentBatch.length === 0) {
+        if (job.failedQueue.length === 0) break;
+        
+        // Only held retries remain - wait until the earliest one is due
+        const nextDue = Math.min(...job.failedQueue.map(client => client.notBefore || 0));
+        batchIndex--;
+        await new Promise(resolve => setTimeout(resolve, Math.max(nextDue - Date.now(), config.processing.batchDelay)));
+        continue;
+      }
       
       const retryCount = retryBatch.length;
       if (retryCount > 0) {
@@ -220,20 +840,28 @@ class PaymentService extends EventEmitter {
         logger.info(`Processing batch ${batchIndex} - ${currentBatch.length} clients`);
       }
       
-      this.emit('batchStarted', {
+      this.emitJobEvent(job, 'batchStarted', {
         jobId,
         batchIndex,
-        totalBatches: Math.ceil((allClients.length + currentBatch.length + this.failedQueue.length) / batchSize),
+        totalBatches: Math.ceil((allClients.length + currentBatch.length + job.failedQueue.length) / batchSize),
         batchSize: currentBatch.length,
         retryCount
       });
       
-      const batchResults = await this.processBatchParallel(currentBatch);
+      // Re-check the daily cap right before charging: the client list may be
+      // hours old and retries count towards the cap too
+      const { active, cancelledResults } = await this.separateCancelledClients(currentBatch, job);
+      const { ready, resolvedResults } = await this.resolveAmbiguousRetries(active, job);
+      const { eligible, skippedResults } = await this.applyChargeLimits(ready, job);
+      
+      const chargedResults = eligible.length > 0 ? await this.processBatchParallel(eligible, job) : [];
+      const batchResults = [...chargedResults, ...resolvedResults, ...skippedResults, ...cancelledResults];
       
       results.push(...batchResults);
       
       const successfulInBatch = batchResults.filter(r => r.success).length;
-      const failedInBatch = batchResults.filter(r => !r.success).length;
+      const failedInBatch = batchResults.filter(r => !r.success && !r.skipped).length;
+      const skippedInBatch = skippedResults.length + cancelledResults.length;
       const retriedInBatch = batchResults.filter(r => r.isRetry && r.success).length;
       
       if (retriedInBatch > 0) {
@@ -242,30 +870,36 @@ class PaymentService extends EventEmitter {
         logger.success(`Batch ${batchIndex} completed - Success: ${successfulInBatch}, Failed: ${failedInBatch}`);
       }
       
-      if (this.failedQueue.length > 0) {
-        logger.info(`${this.failedQueue.length} clients queued for retry in next batch`);
+      if (job.failedQueue.length > 0) {
+        logger.info(`${job.failedQueue.length} clients queued for retry in next batch`);
       }
       
-      this.emit('batchCompleted', {
+      this.emitJobEvent(job, 'batchCompleted', {
         jobId,
         batchIndex,
-        totalBatches: Math.ceil((allClients.length + this.failedQueue.length) / batchSize) + batchIndex,
+        totalBatches: Math.ceil((allClients.length + job.failedQueue.length) / batchSize) + batchIndex,
         results: batchResults,
         batchSize: currentBatch.length,
         successfulInBatch,
         failedInBatch,
+        skippedInBatch,
         retryCount,
-        queuedForRetry: this.failedQueue.length
+        queuedForRetry: job.failedQueue.length,
+        successful: job.stats.successful,
+        failed: job.stats.failed,
+        liveTps: this.getLiveTps().total,
+        concurrencyLimit: this.concurrency.limit,
+        simulated: Boolean(job.simulation)
       });
       
-      if (allClients.length > 0 || this.failedQueue.length > 0) {
+      if (allClients.length > 0 || job.failedQueue.length > 0) {
         logger.info(`Waiting ${config.processing.batchDelay}ms before next batch...`);
         await new Promise(resolve => setTimeout(resolve, config.processing.batchDelay));
       }
     }
     
-    const finalStats = this.getStats();
-    const permanentFailures = this.stats.failed - this.stats.retried;
+    const finalStats = this.summarizeJob(job);
+    const permanentFailures = job.stats.failed - job.stats.retried;
     
     logger.success(`Payment processing completed: ${clients.length} clients processed`);
     logger.success(`Final stats: ${finalStats.successful} successful, ${finalStats.retried} retried, ${permanentFailures} permanent failures`);
@@ -276,7 +910,7 @@ class PaymentService extends EventEmitter {
       logger.success(`All clients processed successfully! Zero requests lost.`);
     }
     
-    this.emit('processingCompleted', {
+    this.emitJobEvent(job, 'processingCompleted', {
       jobId,
       totalClients: clients.length,
       results,
@@ -286,38 +920,55 @@ class PaymentService extends EventEmitter {
     return results;
   }
 
-  resetStats() {
-    this.stats = {
-      totalRequests: 0,
-      successful: 0,
-      failed: 0,
-      retried: 0,
-      primaryServerRequests: 0,
-      fallbackServerRequests: 0,
-      primaryServerSuccess: 0,
-      fallbackServerSuccess: 0,
-      startTime: Date.now(),
-      errors: {
-        timeout: 0,
-        connection: 0,
-        server: 0,
-        auth: 0,
-        other: 0
-      }
-    };
+  // Holds a paused job between batches. Returns the control that ended the
+  // wait: null to carry on, or 'cancel'.
+  async waitWhilePaused(job) {
+    let control = job.requestedControl();
+    if (control !== 'pause') return control;
+    
+    job.status = 'paused';
+    logger.warn(`Job ${job.jobId} paused`);
+    this.emitJobEvent(job, 'processingPaused', { jobId: job.jobId });
+    
+    while (control === 'pause') {
+      await new Promise(resolve => setTimeout(resolve, config.processing.batchDelay));
+      control = job.requestedControl();
+    }
+    
+    if (control !== 'cancel') {
+      job.status = 'running';
+      logger.info(`Job ${job.jobId} resumed`);
+      this.emitJobEvent(job, 'processingResumed', { jobId: job.jobId });
+    }
+    return control;
+  }
+
+  // Stats of one job; without a job id, of the most recently started one
+  getStats(jobId = null) {
+    const job = jobId ? this.getJob(jobId) : this.latestJob();
+    return this.summarizeJob(job || new PaymentJob(null));
   }
 
-  getStats() {
-    const duration = Math.max(Date.now() - this.stats.startTime, 1);
+  latestJob() {
+    return [...this.runningJobs, ...this.finishedJobs].reduce((latest, job) => (
+      !latest || job.stats.startTime > latest.stats.startTime ? job : latest
+    ), null);
+  }
+
+  summarizeJob(job) {
+    const { stats } = job;
+    const duration = Math.max((stats.endTime || Date.now()) - stats.startTime, 1);
     
-    const totalRequests = parseInt(this.stats.totalRequests) || 0;
-    const successful = parseInt(this.stats.successful) || 0;
-    const failed = parseInt(this.stats.failed) || 0;
-    const retried = parseInt(this.stats.retried) || 0;
-    const primaryServerRequests = parseInt(this.stats.primaryServerRequests) || 0;
-    const fallbackServerRequests = parseInt(this.stats.fallbackServerRequests) || 0;
-    const primaryServerSuccess = parseInt(this.stats.primaryServerSuccess) || 0;
-    const fallbackServerSuccess = parseInt(this.stats.fallbackServerSuccess) || 0;
+    const totalRequests = parseInt(stats.totalRequests) || 0;
+    const successful = parseInt(stats.successful) || 0;
+    const failed = parseInt(stats.failed) || 0;
+    const retried = parseInt(stats.retried) || 0;
+    const skipped = parseInt(stats.skipped) || 0;
+    const retriesScheduled = parseInt(stats.retriesScheduled) || 0;
+    const primaryServerRequests = parseInt(stats.primaryServerRequests) || 0;
+    const fallbackServerRequests = parseInt(stats.fallbackServerRequests) || 0;
+    const primaryServerSuccess = parseInt(stats.primaryServerSuccess) || 0;
+    const fallbackServerSuccess = parseInt(stats.fallbackServerSuccess) || 0;
     
     const rate = totalRequests > 0 && duration > 0 ? 
       parseFloat((totalRequests / (duration / 1000)).toFixed(1)) : 0;
@@ -334,10 +985,14 @@ class PaymentService extends EventEmitter {
     const permanentFailures = failed - retried;
     
     return {
+      jobId: job.jobId,
+      status: job.status,
       totalRequests: totalRequests,
       successful: successful,
       failed: failed,
       retried: retried,
+      skipped: skipped,
+      retriesScheduled: retriesScheduled,
       primaryServerRequests: primaryServerRequests,
       fallbackServerRequests: fallbackServerRequests,
       primaryServerSuccess: primaryServerSuccess,
@@ -348,13 +1003,25 @@ class PaymentService extends EventEmitter {
       primarySuccessRate: isFinite(primarySuccessRate) ? primarySuccessRate : 0,
       fallbackSuccessRate: isFinite(fallbackSuccessRate) ? fallbackSuccessRate : 0,
       permanentFailures: permanentFailures >= 0 ? permanentFailures : 0,
+      queuedForRetry: job.failedQueue.length,
+      haltedReason: stats.haltedReason || null,
+      // Throttling is shared by every running job
+      liveTps: this.getLiveTps(),
+      throttling: {
+        maxTpsPerServer: config.processing.maxTpsPerServer,
+        concurrency: this.concurrency.getState()
+      },
+      runningJobs: this.runningJobs.size,
+      simulated: Boolean(job.simulation),
+      simulation: job.simulation,
       errors: {
-        timeout: parseInt(this.stats.errors.timeout) || 0,
-        connection: parseInt(this.stats.errors.connection) || 0,
-        server: parseInt(this.stats.errors.server) || 0,
-        auth: parseInt(this.stats.errors.auth) || 0,
-        other: parseInt(this.stats.errors.other) || 0
-      }
+        timeout: parseInt(stats.errors.timeout) || 0,
+        connection: parseInt(stats.errors.connection) || 0,
+        server: parseInt(stats.errors.server) || 0,
+        auth: parseInt(stats.errors.auth) || 0,
+        other: parseInt(stats.errors.other) || 0
+      },
+      outcomes: { ...stats.outcomes }
     };
   }
 }
@@ -0,0 +1,145 @@
+const axios = require('axios');
+const config = require('../config');
+const databaseService = require('./database');
+const logger = require('../utils/logger');
+
+class PostbackService {
+  async findPendingSubscription(msisdn) {
+    const [rows] = await databaseService.pool.execute(`
+      SELECT 
+        cs.id, cs.msisdn, cs.offer_code, cs.campaign_id, cs.postback_sent, cs.postback_halted,
+        cc.click_id, c.postback_url, c.postback_send_percentage, c.is_active
+      FROM campaign_subscriptions cs
+      JOIN campaigns c ON c.id = cs.campaign_id
+      LEFT JOIN campaign_clicks cc ON cc.id = cs.click_id
+      WHERE cs.msisdn = ?
+      ORDER BY cs.subscription_date DESC
+      LIMIT 1
+    `, [msisdn]);
+
+    return rows[0] || null;
+  }
+
+  buildPostbackUrl(subscription) {
+    const values = {
+      click_id: subscription.click_id || '',
+      clickid: subscription.click_id || '',
+      msisdn: subscription.msisdn,
+      offer_code: subscription.offer_code,
+      campaign_id: subscription.campaign_id
+    };
+
+    return subscription.postback_url.replace(/\{(\w+)\}/g, (match, key) =>
+      values[key] !== undefined ? encodeURIComponent(values[key]) : match
+    );
+  }
+
+  // Claims the subscription so concurrent PaymentSuccess callbacks for the
+  // same subscriber cannot fire the postback twice
+  async claimSubscription(subscriptionId) {
+    const [result] = await databaseService.pool.execute(`
+      UPDATE campaign_subscriptions
+      SET postback_sent = 1, postback_sent_at = ?
+      WHERE id = ? AND postback_sent = 0 AND postback_halted = 0
+    `, [new Date(), subscriptionId]);
+
+    return result.affectedRows > 0;
+  }
+
+  async triggerPayout(msisdn) {
+    const subscription = await this.findPendingSubscription(msisdn);
+
+    if (!subscription) {
+      logger.info(`No campaign subscription for ${msisdn} - no payout`);
+      return { sent: false, reason: 'no_campaign' };
+    }
+
+    if (subscription.postback_sent) {
+      logger.info(`Postback already sent for ${msisdn} (subscription ${subscription.id})`);
+      return { sent: false, reason: 'already_sent' };
+    }
+
+    if (subscription.postback_halted) {
+      logger.info(`Postback halted for ${msisdn} (subscription ${subscription.id})`);
+      return { sent: false, reason: 'halted' };
+    }
+
+    if (!subscription.is_active || !subscription.postback_url) {
+      logger.info(`Campaign ${subscription.campaign_id} inactive or without postback URL - no payout for ${msisdn}`);
+      return { sent: false, reason: 'campaign_inactive' };
+    }
+
+    const percentage = subscription.postback_send_percentage ?? 100;
+    if (Math.random() * 100 >= percentage) {
+      await databaseService.pool.execute(`
+        UPDATE campaign_subscriptions
+        SET postback_halted = 1, postback_halted_at = ?, postback_response = ?
+        WHERE id = ? AND postback_sent = 0
+      `, [new Date(), `Withheld by postback_send_percentage (${percentage}%)`, subscription.id]);
+
+      logger.info(`Postback for ${msisdn} withheld by campaign ${subscription.campaign_id} send percentage (${percentage}%)`);
+      return { sent: false, reason: 'withheld' };
+    }
+
+    if (!(await this.claimSubscription(subscription.id))) {
+      logger.info(`Postback for ${msisdn} already claimed by another callback`);
+      return { sent: false, reason: 'already_sent' };
+    }
+
+    return await this.sendWithRetry(subscription);
+  }
+
+  async sendWithRetry(subscription) {
+    const url = this.buildPostbackUrl(subscription);
+    const { maxAttempts, retryBaseDelay, timeout } = config.postback;
+    let lastError = null;
+    let response = null;
+    let attempts = 0;
+
+    // Only the HTTP call is retried - re-sending because our own bookkeeping
+    // failed would pay the marketer twice
+    while (!response && attempts < maxAttempts) {
+      attempts++;
+      try {
+        response = await axios.get(url, { timeout });
+      } catch (error) {
+        lastError = error;
+        logger.warn(`Postback attempt ${attempts}/${maxAttempts} failed for ${subscription.msisdn}: ${error.message}`);
+
+        if (attempts < maxAttempts) {
+          const delay = retryBaseDelay * Math.pow(2, attempts - 1);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    if (response) {
+      const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+
+      try {
+        await databaseService.pool.execute(
+          'UPDATE campaign_subscriptions SET postback_response = ?, postback_sent_at = ? WHERE id = ?',
+          [`HTTP ${response.status}: ${(body || '').substring(0, 2000)}`, new Date(), subscription.id]
+        );
+      } catch (error) {
+        logger.error(`Postback sent for ${subscription.msisdn} but its response could not be recorded: ${error.message}`);
+      }
+
+      logger.success(`Postback sent for ${subscription.msisdn} to campaign ${subscription.campaign_id} (attempt ${attempts})`);
+      return { sent: true, attempts };
+    }
+
+    // Release the claim and fail the callback, so the webhook inbox retries
+    // it (and dead-letters it in the end) instead of marking it processed
+    await databaseService.pool.execute(`
+      UPDATE campaign_subscriptions
+      SET postback_sent = 0, postback_sent_at = NULL, postback_response = ?
+      WHERE id = ?
+    `, [`Failed after ${maxAttempts} attempts: ${lastError.message}`, subscription.id]);
+
+    logger.error(`Postback failed for ${subscription.msisdn} after ${maxAttempts} attempts - leaving it to the webhook inbox`);
+    throw new Error(`Postback failed after ${maxAttempts} attempts: ${lastError.message}`);
+  }
+}
+
+module.exports = new PostbackService();
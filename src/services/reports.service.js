@@ -319,6 +319,45 @@ class ReportsService {
     });
   }
 
+  async getSmsDeliveryRates(timeRange = 'daily') {
+    return await this.getCachedResult('sms_delivery_rates', { timeRange }, async () => {
+      try {
+        const dateFilter = this.getDateFilter(timeRange);
+        
+        const [results] = await databaseService.pool.execute(`
+          SELECT 
+            DATE(created_at) as date,
+            COUNT(*) as totalMessages,
+            COUNT(CASE WHEN status = 'delivered' THEN 1 END) as delivered,
+            COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed,
+            COUNT(CASE WHEN status = 'expired' THEN 1 END) as expired,
+            COUNT(CASE WHEN status = 'submitted' THEN 1 END) as pending
+          FROM sms_delivery_receipts 
+          WHERE created_at >= ?
+          GROUP BY DATE(created_at)
+          ORDER BY date ASC
+        `, [dateFilter]);
+
+        return results.map(row => ({
+          date: row.date,
+          totalMessages: row.totalMessages,
+          delivered: row.delivered,
+          failed: row.failed,
+          expired: row.expired,
+          pending: row.pending,
+          deliveryRate: row.totalMessages > 0 ? 
+            parseFloat(((row.delivered / row.totalMessages) * 100).toFixed(1)) : 0
+        }));
+      } catch (error) {
+        if (error.code === 'ER_NO_SUCH_TABLE') {
+          return [];
+        }
+        logger.error('SMS delivery rates error:', error.message);
+        throw error;
+      }
+    });
+  }
+
   async exportSuccessfulPayments(timeRange = 'daily') {
     try {
       const dateFilter = this.getDateFilter(timeRange);
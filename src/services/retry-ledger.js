@@ -0,0 +1,135 @@
+const config = require('../config');
+const databaseService = require('./database');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const ERROR_CLASSES = ['insufficient_funds', 'timeout', 'server', 'auth', 'unknown'];
+
+// Failed charges the job that made them has given up on are handed to the
+// next jobs: each error class waits baseHours * 2^(n-1) (capped at maxHours)
+// before its nth retry, for at most maxAttempts retries and maxAgeHours after
+// the first failure. The ledger is persisted in charge_retries.
+class RetryLedgerService {
+  get errorClasses() {
+    return ERROR_CLASSES;
+  }
+
+  // "baseHours,maxHours,maxAttempts"; maxAttempts 0 turns the class off
+  policyFor(errorClass) {
+    const value = config.retryLedger.policies[errorClass] || '';
+    const [baseHours, maxHours, maxAttempts] = String(value).split(',').map(part => Number(part.trim()));
+
+    if (!(baseHours > 0) || !(maxHours >= baseHours) || !(Number.isInteger(maxAttempts) && maxAttempts >= 0)) {
+      logger.warn(`Invalid retry policy "${value}" for ${errorClass} - retries disabled for it`);
+      return { baseHours: 0, maxHours: 0, maxAttempts: 0 };
+    }
+    return { baseHours, maxHours, maxAttempts };
+  }
+
+  // The retry class of a failed charge, or null for failures that must never
+  // be retried (unsubscribed or blacklisted subscribers)
+  errorClassFor(error, classification) {
+    if (!classification) return 'timeout';
+    // Left to the PaymentSuccess callback, never retried
+    if (classification.clientStatus || classification.outcome === 'ambiguous') return null;
+
+    if (classification.outcome === 'insufficient_funds') return 'insufficient_funds';
+    if (error.response.status === 401) return 'auth';
+    if (error.response.status === 504) return 'timeout';
+    if (classification.outcome === 'unknown') return 'unknown';
+    return 'server';
+  }
+
+  backoffMs(policy, attempt) {
+    return Math.min(policy.baseHours * Math.pow(2, attempt - 1), policy.maxHours) * HOUR_MS;
+  }
+
+  // Records a charge the job gave up on. Returns the saved ledger entry:
+  // status 'scheduled' with nextRetryAt, or 'expired' once the class's
+  // attempts or the maximum retry age are used up.
+  async schedule({ msisdn, offerCode, errorClass, statusCode = null, error = null, jobId = null }) {
+    const now = new Date();
+    const existing = await databaseService.getChargeRetry(msisdn);
+    const continuing = existing && existing.status === 'scheduled';
+
+    const firstFailedAt = continuing ? new Date(existing.first_failed_at) : now;
+    const attempts = continuing ? existing.attempts + 1 : 1;
+    const policy = this.policyFor(errorClass);
+    const nextRetryAt = new Date(now.getTime() + this.backoffMs(policy, attempts));
+    const expiresAt = new Date(firstFailedAt.getTime() + config.retryLedger.maxAgeHours * HOUR_MS);
+
+    const status = attempts > policy.maxAttempts || nextRetryAt > expiresAt ? 'expired' : 'scheduled';
+
+    const entry = {
+      msisdn,
+      offerCode,
+      errorClass,
+      attempts,
+      status,
+      firstFailedAt,
+      lastFailedAt: now,
+      nextRetryAt: status === 'scheduled' ? nextRetryAt : null,
+      lastStatusCode: statusCode,
+      lastError: error,
+      jobId
+    };
+    await databaseService.saveChargeRetry(entry);
+
+    if (status === 'scheduled') {
+      logger.info(`${msisdn} ${errorClass} retry ${attempts}/${policy.maxAttempts} scheduled for ${nextRetryAt.toISOString()}`);
+    } else {
+      logger.warn(`${msisdn} retries exhausted (${errorClass}, ${attempts - 1} retries since ${firstFailedAt.toISOString()})`);
+    }
+    return entry;
+  }
+
+  async resolve(msisdn, status = 'succeeded') {
+    return databaseService.resolveChargeRetry(msisdn, status);
+  }
+
+  // Due retries for a job, after closing those that no longer apply. Only
+  // active subscribers on the job's offers (all offers if none) are returned.
+  async takeDue({ offerCodes = [] } = {}) {
+    const oldestFirstFailure = new Date(Date.now() - config.retryLedger.maxAgeHours * HOUR_MS);
+    const swept = await databaseService.sweepChargeRetries(oldestFirstFailure);
+    if (swept.succeeded + swept.cancelled + swept.expired > 0) {
+      logger.info(`Retry ledger: ${swept.succeeded} settled by later payments, ${swept.cancelled} cancelled (subscriber inactive), ${swept.expired} expired`);
+    }
+
+    const rows = await databaseService.getDueRetryClients({ offerCodes });
+    return rows.map(row => ({
+      msisdn: row.msisdn,
+      offer_code: row.offer_code,
+      subscription_status: row.subscription_status,
+      last_payment_date: row.last_payment_date,
+      ledgerRetry: { attempts: row.retry_attempts, errorClass: row.retry_error_class }
+    }));
+  }
+
+  // Adds due retries to a job's client list; clients already on it are tagged
+  // so their outcome settles the ledger entry
+  async withDueRetries(clients, filter = {}) {
+    const due = await this.takeDue({ offerCodes: filter.offerCodes || [] });
+    if (due.length === 0) return clients;
+
+    const listed = new Map(clients.map(client => [client.msisdn, client]));
+    const merged = [...clients];
+    for (const retry of due) {
+      const client = listed.get(retry.msisdn);
+      if (client) {
+        client.ledgerRetry = retry.ledgerRetry;
+      } else {
+        merged.push(retry);
+      }
+    }
+
+    logger.info(`Picked up ${due.length} due charge retries (${merged.length - clients.length} not otherwise selected)`);
+    return merged;
+  }
+
+  async list(options = {}) {
+    return databaseService.listChargeRetries(options);
+  }
+}
+
+module.exports = new RetryLedgerService();
@@ -3,21 +3,33 @@ const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
 const databaseService = require('./database');
 const paymentService = require('./payment');
+const retryLedger = require('./retry-ledger');
+const leaderLease = require('./leader-lease');
+const scheduleCalendar = require('../utils/schedule-calendar');
+const clientFilter = require('../utils/client-filter');
+const sdpSimulator = require('./sdp-simulator');
 const logger = require('../utils/logger');
 const { EventEmitter } = require('events');
 
+const LEASE_LOST = 'Scheduler lease lost to another instance';
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+// Runs this recent may still be firing, so they are not counted as missed
+const MISSED_GRACE_MS = 2 * MINUTE_MS;
+const NOT_RUNNING = 'No instance was running the scheduler';
+
 class SchedulerService extends EventEmitter {
   constructor() {
     super();
-    this.scheduledTask = null;
-    this.currentJob = null;
+    this.schedules = new Map();
+    // Every job running on this instance, by job id; jobs run side by side
     this.runningJobs = new Map();
+    // Defaults for manual jobs; recurring runs use their schedule's settings
     this.settings = {
-      intervalHours: config.processing.defaultIntervalHours,
       batchSize: config.processing.defaultBatchSize,
-      includeInactive: false,
-      enabled: false
+      includeInactive: false
     };
+    this.globalBlackoutWindows = null;
     this.isInitialized = false;
     this.lastStatusCheck = 0;
     this.statusCheckInterval = 5000;
@@ -30,19 +42,31 @@ class SchedulerService extends EventEmitter {
       logger.info('Initializing scheduler service...');
       
       await databaseService.createSchedulerStateTable();
+      await databaseService.createSchedulesTable();
       await databaseService.createProcessingJobTable();
+      await databaseService.createProcessingJobClientsTable();
+      await databaseService.createChargeRetriesTable();
+      await databaseService.createScheduleRunsTable();
       
-      const savedState = await databaseService.getSchedulerState();
-      if (savedState && savedState.enabled) {
-        this.settings = { ...this.settings, ...savedState };
-        logger.info(`Restored scheduler state: Every ${this.settings.intervalHours} hours, batch size ${this.settings.batchSize}`);
-        
-        await this.startScheduler(this.settings);
-        logger.success('Scheduler auto-started from saved state');
+      await this.migrateLegacyState();
+      await this.syncSchedules();
+      
+      const enabledCount = this.getEnabledSchedules().length;
+      if (enabledCount > 0) {
+        logger.success(`Scheduler restored ${enabledCount} enabled schedule(s)`);
       } else {
-        logger.info('No previous scheduler state found - scheduler is inactive');
+        logger.info('No enabled schedules found - scheduler is inactive');
       }
       
+      // The lease holder takes over scheduling: at startup, or from an
+      // instance that stopped renewing
+      leaderLease.on('acquired', ({ previousHolder }) => {
+        this.takeOverScheduling(previousHolder).catch(error => {
+          logger.error('Failed to take over scheduling:', error.message);
+        });
+      });
+      await leaderLease.start();
+      
       this.startStatusVerification();
       
       this.isInitialized = true;
@@ -52,157 +76,337 @@ class SchedulerService extends EventEmitter {
     }
   }
 
+  // Carries the old single scheduler_state row over as the "default" schedule
+  async migrateLegacyState() {
+    const existing = await databaseService.getSchedules();
+    if (existing.length > 0) return;
+    
+    const legacyState = await databaseService.getSchedulerState();
+    if (!legacyState) return;
+    
+    await databaseService.createSchedule({
+      name: 'default',
+      cronExpression: this.generateCronExpression(legacyState.intervalHours),
+      intervalHours: legacyState.intervalHours,
+      batchSize: legacyState.batchSize,
+      offerCodes: [],
+      statusFilter: legacyState.includeInactive ? 'all' : 'active',
+      enabled: legacyState.enabled
+    });
+    
+    logger.info('Migrated scheduler_state to the "default" schedule');
+  }
+
   startStatusVerification() {
     setInterval(async () => {
       try {
-        const dbState = await databaseService.getSchedulerState();
-        if (dbState) {
-          const dbEnabled = Boolean(dbState.enabled);
-          const currentEnabled = Boolean(this.settings.enabled);
-          
-          if (dbEnabled !== currentEnabled) {
-            logger.info(`Syncing scheduler state - DB: ${dbEnabled}, Memory: ${currentEnabled}`);
-            this.settings.enabled = dbEnabled;
-            
-            if (dbEnabled && !this.scheduledTask) {
-              await this.startScheduler(dbState);
-            } else if (!dbEnabled && this.scheduledTask) {
-              this.stopScheduler(false);
-            }
-          }
-        }
+        await this.syncSchedules();
       } catch (error) {
         logger.error('Status verification error:', error.message);
       }
     }, this.statusCheckInterval);
   }
 
-  generateCronExpression(intervalHours) {
-    const times = [];
-    for (let hour = 0; hour < 24; hour += intervalHours) {
-      times.push(hour);
+  scheduleSignature(schedule) {
+    return JSON.stringify([
+      schedule.name,
+      schedule.cronExpression,
+      schedule.intervalHours,
+      schedule.startOffsetMinutes,
+      schedule.batchSize,
+      schedule.offerCodes,
+      schedule.blackoutWindows,
+      schedule.allowedDays,
+      schedule.statusFilter,
+      schedule.filter,
+      schedule.enabled
+    ]);
+  }
+
+  // Brings the in-memory cron tasks in line with the schedules table, so
+  // changes made through the API or by another instance take effect
+  async syncSchedules() {
+    const schedules = await databaseService.getSchedules();
+    const seen = new Set();
+    let changed = false;
+    
+    for (const schedule of schedules) {
+      seen.add(schedule.id);
+      const current = this.schedules.get(schedule.id);
+      
+      if (current && this.scheduleSignature(current) === this.scheduleSignature(schedule)) {
+        continue;
+      }
+      
+      changed = true;
+      const wasActive = Boolean(current && current.task);
+      this.stopScheduleTask(schedule.id);
+      this.schedules.set(schedule.id, { ...schedule, task: null });
+      
+      if (schedule.enabled) {
+        this.startScheduleTask(schedule.id);
+      } else if (wasActive) {
+        logger.info(`Schedule "${schedule.name}" disabled`);
+        this.emit('schedulerStopped', { scheduleId: schedule.id, name: schedule.name });
+      }
+    }
+    
+    for (const [id, entry] of this.schedules) {
+      if (seen.has(id)) continue;
+      
+      changed = true;
+      this.stopScheduleTask(id);
+      this.schedules.delete(id);
+      logger.info(`Schedule "${entry.name}" removed`);
+      this.emit('schedulerStopped', { scheduleId: id, name: entry.name });
+    }
+    
+    if (changed) {
+      this.emit('schedulesUpdated', this.getSchedules());
     }
-    return `0 ${times.join(',')} * * *`;
   }
 
-  getScheduleTimes(intervalHours) {
-    const times = [];
-    for (let hour = 0; hour < 24; hour += intervalHours) {
-      times.push(hour);
+  generateCronExpression(intervalHours, startOffsetMinutes = 0) {
+    return scheduleCalendar.buildIntervalExpression(intervalHours, startOffsetMinutes);
+  }
+
+  getGlobalBlackoutWindows() {
+    if (this.globalBlackoutWindows) return this.globalBlackoutWindows;
+    
+    const { windows, error } = scheduleCalendar.normalizeWindows(config.processing.blackoutWindows);
+    if (error) {
+      // A malformed operator rule must not silently allow night charging
+      logger.error(`Invalid BILLING_BLACKOUT_WINDOWS (${error}) - falling back to 22:00-06:00`);
+      this.globalBlackoutWindows = [{ start: '22:00', end: '06:00' }];
+    } else {
+      this.globalBlackoutWindows = windows;
     }
-    return times;
+    
+    return this.globalBlackoutWindows;
   }
 
-  async startScheduler(settings = {}) {
-    try {
-      this.settings = { ...this.settings, ...settings, enabled: true };
-      
-      await databaseService.saveSchedulerState(this.settings);
-      logger.info('Scheduler state saved to database');
-      
-      this.stopScheduler(false);
+  // Why charging is not allowed at `date` for this schedule (or, without a
+  // schedule, under the global rules alone), or null when it is allowed
+  getBillingRestriction(schedule = null, date = new Date()) {
+    return scheduleCalendar.getRestriction(date, {
+      blackoutWindows: [
+        ...this.getGlobalBlackoutWindows(),
+        ...(schedule ? schedule.blackoutWindows || [] : [])
+      ],
+      allowedDays: schedule ? schedule.allowedDays : [],
+      timezone: config.processing.timezone
+    });
+  }
+
+  startScheduleTask(scheduleId) {
+    const entry = this.schedules.get(scheduleId);
+    
+    logger.info(`Starting schedule "${entry.name}" with cron expression: ${entry.cronExpression}`);
+    
+    entry.task = cron.schedule(entry.cronExpression, async () => {
+      const schedule = this.schedules.get(scheduleId);
+      if (!schedule) return;
       
-      const cronExpression = this.generateCronExpression(this.settings.intervalHours);
+      // Every instance keeps the cron tasks in sync; only the lease holder runs them
+      if (!leaderLease.isLeader()) return;
       
-      logger.info(`Starting scheduler with cron expression: ${cronExpression}`);
+      logger.info(`Schedule "${schedule.name}" triggered by cron`);
       
-      this.scheduledTask = cron.schedule(cronExpression, async () => {
-        logger.info('Scheduled job triggered by cron');
-        
-        if (this.currentJob && this.currentJob.status === 'running') {
-          logger.warn('Previous job still running, skipping this execution');
-          this.emit('jobSkipped', {
-            reason: 'Previous job still running',
-            timestamp: new Date()
-          });
-          return;
-        }
-        
-        await this.executeScheduledJob();
-      }, {
-        scheduled: true,
-        timezone: "Africa/Nairobi"
-      });
+      await this.fireScheduledRun(schedule, new Date(Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS));
+    }, {
+      scheduled: true,
+      timezone: config.processing.timezone
+    });
+    
+    const nextRun = this.getNextRunTime(entry);
+    const upcomingSchedules = this.getNextRunTimes(entry, 5);
+    logger.success(`Schedule "${entry.name}" started - batch size ${entry.batchSize}`);
+    if (nextRun) {
+      logger.info(`Next run of "${entry.name}": ${nextRun.toLocaleString()}`);
+    }
+    
+    this.emit('schedulerStarted', {
+      scheduleId,
+      name: entry.name,
+      cronExpression: entry.cronExpression,
+      intervalHours: entry.intervalHours,
+      startOffsetMinutes: entry.startOffsetMinutes,
+      batchSize: entry.batchSize,
+      offerCodes: entry.offerCodes,
+      statusFilter: entry.statusFilter,
+      nextRun,
+      upcomingSchedules
+    });
+    
+    return { nextRun, upcomingSchedules };
+  }
 
-      const nextRun = this.getNextRunTime();
-      const upcomingSchedules = this.getNextRunTimes(5);
-      logger.success(`Scheduler started successfully - runs every ${this.settings.intervalHours} hours`);
-      if (nextRun) {
-        logger.info(`Next scheduled run: ${nextRun.toLocaleString()}`);
-      }
-      
-      this.emit('schedulerStarted', {
-        cronExpression,
-        intervalHours: this.settings.intervalHours,
-        batchSize: this.settings.batchSize,
-        includeInactive: this.settings.includeInactive,
-        nextRun: nextRun,
-        upcomingSchedules: upcomingSchedules
-      });
-      
-      return { success: true, nextRun, upcomingSchedules };
+  stopScheduleTask(scheduleId) {
+    const entry = this.schedules.get(scheduleId);
+    if (entry && entry.task) {
+      entry.task.stop();
+      entry.task = null;
+      logger.info(`Scheduled task for "${entry.name}" stopped`);
+    }
+  }
+
+  getEnabledSchedules() {
+    return Array.from(this.schedules.values()).filter(entry => entry.enabled && entry.task);
+  }
+
+  getSchedules() {
+    return Array.from(this.schedules.values()).map(entry => this.describeSchedule(entry));
+  }
+
+  describeSchedule(entry) {
+    const { task, ...schedule } = entry;
+    return {
+      ...schedule,
+      isActive: Boolean(task),
+      nextRun: this.getNextRunTime(entry),
+      upcomingSchedules: this.getNextRunTimes(entry, 5)
+    };
+  }
+
+  async getSchedule(id) {
+    await this.syncSchedules();
+    const entry = this.schedules.get(parseInt(id));
+    return entry ? this.describeSchedule(entry) : null;
+  }
+
+  async createSchedule(schedule) {
+    const created = await databaseService.createSchedule(schedule);
+    logger.success(`Schedule "${created.name}" created`);
+    
+    await this.syncSchedules();
+    return this.describeSchedule(this.schedules.get(created.id));
+  }
+
+  async updateSchedule(id, updates) {
+    const existing = await databaseService.getSchedule(id);
+    if (!existing) return null;
+    
+    const updated = await databaseService.updateSchedule(id, updates);
+    logger.success(`Schedule "${updated.name}" updated`);
+    
+    await this.syncSchedules();
+    return this.describeSchedule(this.schedules.get(updated.id));
+  }
+
+  async deleteSchedule(id) {
+    const deleted = await databaseService.deleteSchedule(id);
+    if (!deleted) return false;
+    
+    await this.syncSchedules();
+    return true;
+  }
+
+  // The original single-schedule endpoints (/scheduler/start, /stop, /settings)
+  // act on the schedule named "default"
+  async saveDefaultSchedule(settings) {
+    const updates = {};
+    
+    if (settings.intervalHours !== undefined) {
+      updates.intervalHours = settings.intervalHours;
+      updates.cronExpression = this.generateCronExpression(settings.intervalHours);
+    }
+    if (settings.batchSize !== undefined) {
+      updates.batchSize = settings.batchSize;
+    }
+    if (settings.includeInactive !== undefined) {
+      updates.statusFilter = settings.includeInactive ? 'all' : 'active';
+    }
+    if (settings.enabled !== undefined) {
+      updates.enabled = settings.enabled;
+    }
+    
+    const existing = await databaseService.getScheduleByName('default');
+    if (existing) {
+      return await this.updateSchedule(existing.id, updates);
+    }
+    
+    const intervalHours = updates.intervalHours || config.processing.defaultIntervalHours;
+    return await this.createSchedule({
+      name: 'default',
+      cronExpression: this.generateCronExpression(intervalHours),
+      intervalHours,
+      batchSize: config.processing.defaultBatchSize,
+      offerCodes: [],
+      statusFilter: 'active',
+      enabled: false,
+      ...updates
+    });
+  }
+
+  async startScheduler(settings = {}) {
+    try {
+      const schedule = await this.saveDefaultSchedule({ ...settings, enabled: true });
+      logger.info('Default schedule saved to database');
       
+      return { success: true, nextRun: schedule.nextRun, upcomingSchedules: schedule.upcomingSchedules };
     } catch (error) {
       logger.error('Failed to start scheduler:', error.message);
       throw error;
     }
   }
 
-  stopScheduler(updateDatabase = true) {
-    if (this.scheduledTask) {
-      this.scheduledTask.stop();
-      this.scheduledTask = null;
-      logger.info('Scheduled task stopped');
+  async stopScheduler() {
+    await this.saveDefaultSchedule({ enabled: false });
+    return { success: true };
+  }
+
+  // Stops every cron task without touching the stored schedules (shutdown)
+  stopAllScheduleTasks() {
+    for (const id of this.schedules.keys()) {
+      this.stopScheduleTask(id);
     }
-    
-    this.settings.enabled = false;
-    
-    if (updateDatabase) {
-      databaseService.saveSchedulerState(this.settings).then(() => {
-        logger.info('Scheduler disabled state saved to database');
-      }).catch(error => {
-        logger.error('Failed to save scheduler state:', error.message);
-      });
+  }
+
+  async disableAllSchedules() {
+    for (const entry of this.schedules.values()) {
+      if (entry.enabled) {
+        await databaseService.updateSchedule(entry.id, { enabled: false });
+      }
     }
     
-    this.emit('schedulerStopped');
-    return { success: true };
+    await this.syncSchedules();
+  }
+
+  // Schedules and manual jobs carry a full client filter; older callers only
+  // pass includeInactive
+  clientFiltersFor(settings) {
+    if (settings.filter) {
+      return settings.filter;
+    }
+    return {
+      ...clientFilter.defaults(),
+      statusFilter: settings.statusFilter || (settings.includeInactive ? 'all' : 'active'),
+      offerCodes: settings.offerCodes || []
+    };
   }
 
+  // Running jobs stop after their current batch and record themselves as
+  // cancelled; jobs paused before a restart are cancelled right away. Jobs of
+  // other instances are left to them.
   async stopAllJobs() {
     try {
       logger.info('Stopping all running jobs...');
       
-      this.stopScheduler();
+      await this.disableAllSchedules();
       
-      if (this.currentJob) {
-        try {
-          await databaseService.updateProcessingJob(this.currentJob.jobId, {
-            status: 'failed',
-            completed_at: new Date(),
-            error_message: 'Job stopped by user'
-          });
-        } catch (error) {
-          logger.error('Failed to update stopped job in database:', error.message);
+      for (const entry of this.runningJobs.values()) {
+        if (entry.control !== 'cancel') {
+          this.requestCancel(entry);
         }
-        
-        this.currentJob = null;
       }
       
-      for (const [jobId, job] of this.runningJobs) {
-        try {
-          await databaseService.updateProcessingJob(jobId, {
-            status: 'failed',
-            completed_at: new Date(),
-            error_message: 'Job stopped by user'
-          });
-        } catch (error) {
-          logger.error(`Failed to update stopped job ${jobId}:`, error.message);
+      const pausedJobs = await databaseService.getProcessingJobsByStatus('paused');
+      for (const job of pausedJobs) {
+        if (!this.runningJobs.has(job.job_id) && !this.ownedElsewhere(job)) {
+          await this.cancelPausedJob(job);
         }
       }
       
-      this.runningJobs.clear();
-      
       logger.success('All jobs stopped successfully');
       
       this.emit('allJobsStopped');
@@ -214,35 +418,328 @@ class SchedulerService extends EventEmitter {
     }
   }
 
-  async executeScheduledJob() {
+  // Pause and cancel act between batches: charges already sent are answered
+  // first. processClients reads the request through options.control.
+  jobControl(jobId) {
+    return () => {
+      const entry = this.runningJobs.get(jobId);
+      return entry ? entry.control || null : null;
+    };
+  }
+
+  async pauseJob(job) {
+    const entry = this.runningJobs.get(job.job_id);
+    if (!entry && this.ownedElsewhere(job)) {
+      return { success: false, error: `Job runs on instance ${job.node_id}` };
+    }
+    if (!entry || entry.status !== 'running') {
+      return { success: false, error: `Job is ${entry ? entry.status : job.status}, only running jobs can be paused` };
+    }
+    
+    entry.control = 'pause';
+    entry.status = 'paused';
+    await databaseService.updateProcessingJob(job.job_id, { status: 'paused' });
+    
+    logger.warn(`Job ${job.job_id} pausing after its current batch`);
+    this.emit('jobPaused', { jobId: job.job_id, timestamp: new Date() });
+    return { success: true, message: 'Job will pause after its current batch' };
+  }
+
+  async resumePausedJob(job) {
+    const entry = this.runningJobs.get(job.job_id);
+    if (!entry && this.ownedElsewhere(job)) {
+      return { success: false, error: `Job runs on instance ${job.node_id}` };
+    }
+    
+    if (entry && entry.status === 'paused') {
+      entry.control = null;
+      entry.status = 'running';
+      await databaseService.updateProcessingJob(job.job_id, { status: 'running' });
+    } else if (!entry && job.status === 'paused') {
+      // Paused before a restart: pick it up from its checkpoints
+      const restriction = this.getBillingRestriction();
+      if (restriction) {
+        return { success: false, error: `Billing not allowed now: ${restriction}` };
+      }
+      
+      await databaseService.updateProcessingJob(job.job_id, { status: 'running' });
+      this.resumeJob({ ...job, status: 'running' });
+    } else {
+      return { success: false, error: `Job is ${entry ? entry.status : job.status}, only paused jobs can be resumed` };
+    }
+    
+    logger.info(`Job ${job.job_id} resumed`);
+    this.emit('jobResumed', { jobId: job.job_id, timestamp: new Date() });
+    return { success: true, message: 'Job resumed' };
+  }
+
+  async cancelJob(job) {
+    const entry = this.runningJobs.get(job.job_id);
+    if (!entry && this.ownedElsewhere(job)) {
+      return { success: false, error: `Job runs on instance ${job.node_id}` };
+    }
+    
+    if (entry && entry.control !== 'cancel') {
+      this.requestCancel(entry);
+      return { success: true, message: 'Job will stop after its current batch' };
+    }
+    
+    if (!entry && job.status === 'paused') {
+      await this.cancelPausedJob(job);
+      return { success: true, message: 'Job cancelled' };
+    }
+    
+    return { success: false, error: `Job is ${entry ? entry.status : job.status}, only running or paused jobs can be cancelled` };
+  }
+
+  // The job's own run records it as cancelled once its current batch is done
+  requestCancel(entry) {
+    entry.control = 'cancel';
+    entry.status = 'cancelling';
+    logger.warn(`Job ${entry.jobId} cancelling after its current batch`);
+  }
+
+  async cancelPausedJob(job) {
+    await databaseService.updateProcessingJob(job.job_id, {
+      status: 'cancelled',
+      completed_at: new Date(),
+      error_message: 'Cancelled by user'
+    });
+    
+    logger.warn(`Paused job ${job.job_id} cancelled`);
+    this.emit('jobCancelled', { jobId: job.job_id, totalClients: job.total_clients, stats: null });
+  }
+
+  jobEndStatus(stats) {
+    if (stats.status === 'cancelled') return 'cancelled';
+    // Left running for the new lease holder to resume from its checkpoints
+    if (stats.haltedReason === LEASE_LOST) return 'running';
+    return 'completed';
+  }
+
+  // Why a job must stop before its next batch: a billing restriction (dry
+  // runs charge no one, so they ignore it), or the lease it started under
+  // having passed to an instance that may resume it
+  haltCheck(schedule = null, simulated = false) {
+    const token = leaderLease.token;
+    return () => (simulated ? null : this.getBillingRestriction(schedule)) ||
+      (token !== null && !leaderLease.holds(token) ? LEASE_LOST : null);
+  }
+
+  // A job not running here is handled here only if this instance owns it
+  // (or it predates job ownership); its owner may still hold it in memory
+  ownedElsewhere(job) {
+    return Boolean(job.node_id) && job.node_id !== leaderLease.nodeId;
+  }
+
+  jobEndMessage(stats) {
+    if (stats.status === 'cancelled') return 'Cancelled by user';
+    return stats.haltedReason ? `Halted: ${stats.haltedReason}` : null;
+  }
+
+  // One cron firing, recorded in schedule_runs as fired and then executed,
+  // skipped or failed
+  async fireScheduledRun(schedule, scheduledFor) {
+    let runId;
+    try {
+      runId = await databaseService.recordScheduleRun({
+        scheduleId: schedule.id,
+        scheduleName: schedule.name,
+        scheduledFor,
+        status: 'fired',
+        nodeId: leaderLease.nodeId
+      });
+    } catch (error) {
+      logger.error(`Failed to record run of "${schedule.name}":`, error.message);
+    }
+    
+    if (runId === null) {
+      logger.warn(`Run of "${schedule.name}" at ${scheduledFor.toISOString()} is already recorded - not running it twice`);
+      return;
+    }
+    
+    const reason = this.getBillingRestriction(schedule) || this.busyReason();
+    if (reason) {
+      logger.warn(`Skipping "${schedule.name}": ${reason}`);
+      await this.updateRun(runId, { status: 'skipped', reason });
+      this.emit('jobSkipped', {
+        scheduleId: schedule.id,
+        scheduleName: schedule.name,
+        reason,
+        timestamp: new Date()
+      });
+      return;
+    }
+    
+    await this.executeScheduledJob(schedule, runId);
+  }
+
+  // A paused job still holds its clients, so it blocks the next run too
+  // A dry run charges no one, so it never holds back a real job
+  busyReason() {
+    const busy = Array.from(this.runningJobs.values())
+      .find(job => !job.simulated && ['running', 'paused', 'cancelling'].includes(job.status));
+    return busy ? `Previous job still ${busy.status}` : null;
+  }
+
+  // The most recently started job still running, for the dashboard
+  latestRunningJob() {
+    const jobs = Array.from(this.runningJobs.values());
+    return jobs.length > 0 ? jobs[jobs.length - 1] : null;
+  }
+
+  // Run history must never stop a run, so failures to write it are only logged
+  async updateRun(runId, updates) {
+    if (!runId) return;
+    
+    try {
+      await databaseService.updateScheduleRun(runId, updates);
+    } catch (error) {
+      logger.error(`Failed to update schedule run ${runId}:`, error.message);
+    }
+  }
+
+  async takeOverScheduling(previousHolder) {
+    let missed = [];
+    try {
+      missed = await this.detectMissedRuns();
+    } catch (error) {
+      logger.error('Failed to check for missed runs:', error.message);
+    }
+    
+    await this.resumeInterruptedJobs(previousHolder);
+    await this.catchUpMissedRuns(missed);
+  }
+
+  // Runs due while no instance ran the scheduler never fired. Those the run
+  // history lacks (since the last recorded run, or since the history began
+  // for a schedule without one, and since the schedule's last change) are
+  // recorded as missed. Returns the ones that were allowed to charge.
+  async detectMissedRuns(now = new Date()) {
+    const { lookbackHours } = config.scheduleRuns;
+    const until = new Date(now.getTime() - MISSED_GRACE_MS);
+    // Without it, runs from before the upgrade would all look missed
+    const historyStart = await databaseService.getScheduleRunsCreatedAt() || now;
+    const missed = [];
+    
+    for (const schedule of this.getEnabledSchedules()) {
+      const lastRun = await databaseService.getLastScheduleRunTime(schedule.id) || historyStart;
+      const from = new Date(Math.max(
+        now.getTime() - lookbackHours * HOUR_MS,
+        lastRun.getTime(),
+        schedule.updatedAt ? new Date(schedule.updatedAt).getTime() : 0
+      ));
+      
+      const runs = scheduleCalendar.getNextRuns(schedule.cronExpression, {
+        timezone: config.processing.timezone,
+        count: Math.ceil(lookbackHours * 60) + 1,
+        from,
+        until
+      });
+      
+      for (const runAt of runs) {
+        const restriction = this.getBillingRestriction(schedule, runAt);
+        const reason = restriction ? `${NOT_RUNNING} (would have been skipped: ${restriction})` : NOT_RUNNING;
+        const runId = await databaseService.recordScheduleRun({
+          scheduleId: schedule.id,
+          scheduleName: schedule.name,
+          scheduledFor: runAt,
+          status: 'missed',
+          reason,
+          nodeId: leaderLease.nodeId
+        });
+        
+        if (runId && !restriction) {
+          missed.push({ schedule, runAt, runId, reason });
+        }
+      }
+      
+      if (runs.length > 0) {
+        logger.warn(`Schedule "${schedule.name}" missed ${runs.length} run(s) since ${from.toISOString()}`);
+      }
+    }
+    
+    return missed;
+  }
+
+  // SCHEDULE_CATCH_UP=latest runs each schedule once for its latest missed
+  // run; older missed runs stay missed
+  async catchUpMissedRuns(missed, now = new Date()) {
+    const { catchUp, catchUpWindowHours } = config.scheduleRuns;
+    if (catchUp === 'none' || missed.length === 0) return;
+    
+    if (catchUp !== 'latest') {
+      logger.warn(`Unknown SCHEDULE_CATCH_UP "${catchUp}" - missed runs are not caught up`);
+      return;
+    }
+    
+    const latest = new Map();
+    for (const run of missed) {
+      const current = latest.get(run.schedule.id);
+      if (!current || run.runAt > current.runAt) latest.set(run.schedule.id, run);
+    }
+    
+    for (const run of latest.values()) {
+      const { schedule, runAt, runId } = run;
+      
+      let reason = null;
+      if (now.getTime() - runAt.getTime() > catchUpWindowHours * HOUR_MS) {
+        reason = `older than ${catchUpWindowHours}h`;
+      } else {
+        reason = this.getBillingRestriction(schedule) || this.busyReason() ||
+          (leaderLease.isLeader() ? null : 'scheduler lease lost');
+      }
+      
+      if (reason) {
+        logger.warn(`Not catching up "${schedule.name}" run of ${runAt.toISOString()}: ${reason}`);
+        await this.updateRun(runId, { reason: `${run.reason}; not caught up: ${reason}` });
+        continue;
+      }
+      
+      logger.info(`Catching up "${schedule.name}" run missed at ${runAt.toISOString()}`);
+      await this.executeScheduledJob(schedule, runId, 'caught_up');
+    }
+  }
+
+  // runStatus is recorded on the schedule run once the job exists
+  async executeScheduledJob(schedule, runId = null, runStatus = 'executed') {
     const jobId = uuidv4();
     
     try {
-      logger.info(`Starting scheduled job: ${jobId}`);
+      logger.info(`Starting scheduled job for "${schedule.name}": ${jobId}`);
       
-      const clients = await databaseService.getClients(this.settings.includeInactive);
+      const filter = this.clientFiltersFor(schedule);
+      const clients = await retryLedger.withDueRetries(await databaseService.getClients(filter), filter);
       
       if (clients.length === 0) {
-        logger.warn('No clients found for processing');
+        logger.warn(`No clients found for schedule "${schedule.name}"`);
+        await this.updateRun(runId, { status: 'skipped', reason: 'No clients found' });
         return;
       }
       
-      this.currentJob = {
+      const scheduledJob = {
         jobId,
         status: 'running',
+        control: null,
         startTime: new Date(),
         totalClients: clients.length,
-        isScheduled: true
+        isScheduled: true,
+        scheduleId: schedule.id,
+        scheduleName: schedule.name
       };
       
-      this.runningJobs.set(jobId, this.currentJob);
+      this.runningJobs.set(jobId, scheduledJob);
       
       await databaseService.createProcessingJob({
         jobId,
         totalClients: clients.length,
-        batchSize: this.settings.batchSize,
-        includeInactive: this.settings.includeInactive
+        batchSize: schedule.batchSize,
+        includeInactive: schedule.statusFilter !== 'active',
+        nodeId: leaderLease.nodeId
       });
+      await this.updateRun(runId, { status: runStatus, job_id: jobId });
+      
+      await databaseService.addProcessingJobClients(jobId, clients);
       
       await databaseService.updateProcessingJob(jobId, {
         status: 'running',
@@ -254,60 +751,64 @@ class SchedulerService extends EventEmitter {
       this.emit('jobStarted', {
         jobId,
         totalClients: clients.length,
-        batchSize: this.settings.batchSize,
-        includeInactive: this.settings.includeInactive,
-        isScheduled: true
+        batchSize: schedule.batchSize,
+        includeInactive: schedule.statusFilter !== 'active',
+        filter: clientFilter.describe(filter),
+        isScheduled: true,
+        scheduleId: schedule.id,
+        scheduleName: schedule.name
       });
       
       const onBatchCompleted = (data) => {
-        if (data.jobId === jobId) {
-          this.emit('batchCompleted', { ...data, isScheduled: true });
-          
-          databaseService.updateProcessingJob(jobId, {
-            processed_clients: data.batchIndex * this.settings.batchSize,
-            successful_requests: paymentService.getStats().successful,
-            failed_requests: paymentService.getStats().failed
-          }).catch(error => {
-            logger.error('Failed to update job progress:', error.message);
-          });
-        }
+        this.emit('batchCompleted', { ...data, isScheduled: true, scheduleId: schedule.id, scheduleName: schedule.name });
+        
+        databaseService.updateProcessingJob(jobId, {
+          processed_clients: data.batchIndex * schedule.batchSize,
+          successful_requests: paymentService.getStats(jobId).successful,
+          failed_requests: paymentService.getStats(jobId).failed
+        }).catch(error => {
+          logger.error('Failed to update job progress:', error.message);
+        });
       };
       
-      paymentService.on('batchCompleted', onBatchCompleted);
-      
-      const results = await paymentService.processClients(clients, this.settings.batchSize, jobId);
-      
-      paymentService.removeListener('batchCompleted', onBatchCompleted);
+      const results = await paymentService.processClients(clients, schedule.batchSize, jobId, {
+        shouldHalt: this.haltCheck(schedule),
+        control: this.jobControl(jobId),
+        onBatchCompleted
+      });
       
-      const stats = paymentService.getStats();
+      const stats = paymentService.getStats(jobId);
       
       await databaseService.updateProcessingJob(jobId, {
-        status: 'completed',
+        status: this.jobEndStatus(stats),
         completed_at: new Date(),
-        processed_clients: clients.length,
+        processed_clients: await this.countProcessedClients(jobId, clients.length, stats),
         successful_requests: stats.successful,
         failed_requests: stats.failed,
-        server_stats: JSON.stringify(stats)
+        server_stats: JSON.stringify(stats),
+        error_message: this.jobEndMessage(stats)
       });
       
-      this.currentJob.status = 'completed';
-      this.currentJob.endTime = new Date();
+      scheduledJob.status = this.jobEndStatus(stats);
+      scheduledJob.endTime = new Date();
       this.runningJobs.delete(jobId);
-      this.currentJob = null;
       
-      logger.success(`Scheduled job completed: ${jobId}`);
+      logger.success(`Scheduled job ${this.jobEndStatus(stats)}: ${jobId}`);
       logger.success(`Results: ${clients.length} clients, ${stats.successful} successful, ${stats.failed} failed`);
       
-      this.emit('jobCompleted', {
+      this.emit(stats.status === 'cancelled' ? 'jobCancelled' : 'jobCompleted', {
         jobId,
         totalClients: clients.length,
         results,
         stats,
-        isScheduled: true
+        isScheduled: true,
+        scheduleId: schedule.id,
+        scheduleName: schedule.name
       });
       
     } catch (error) {
       logger.error(`Scheduled job failed: ${jobId} - ${error.message}`);
+      await this.updateRun(runId, { status: 'failed', reason: error.message });
       
       try {
         await databaseService.updateProcessingJob(jobId, {
@@ -319,18 +820,20 @@ class SchedulerService extends EventEmitter {
         logger.error('Failed to update failed job in database:', dbError.message);
       }
       
-      if (this.currentJob) {
-        this.currentJob.status = 'failed';
-        this.currentJob.error = error.message;
+      const failedJob = this.runningJobs.get(jobId);
+      if (failedJob) {
+        failedJob.status = 'failed';
+        failedJob.error = error.message;
       }
       
       this.runningJobs.delete(jobId);
-      this.currentJob = null;
       
       this.emit('jobFailed', {
         jobId,
         error: error.message,
-        isScheduled: true
+        isScheduled: true,
+        scheduleId: schedule.id,
+        scheduleName: schedule.name
       });
     }
   }
@@ -339,10 +842,19 @@ class SchedulerService extends EventEmitter {
     const jobSettings = { ...this.settings, ...settings };
     const jobId = uuidv4();
     
+    // jobSettings.simulation (sdp-simulator settings) makes this a dry run
+    const simulated = Boolean(jobSettings.simulation);
+    
     try {
-      logger.info(`Starting manual job: ${jobId}`);
+      logger.info(`Starting ${simulated ? 'dry-run' : 'manual'} job: ${jobId}`);
+      
+      const restriction = simulated ? null : this.getBillingRestriction();
+      if (restriction) {
+        throw new Error(`Billing not allowed now: ${restriction}`);
+      }
       
-      const clients = await databaseService.getClients(jobSettings.includeInactive);
+      const filter = this.clientFiltersFor(jobSettings);
+      const clients = await databaseService.getClients(filter, { record: !simulated });
       
       if (clients.length === 0) {
         throw new Error('No clients found for processing');
@@ -351,79 +863,86 @@ class SchedulerService extends EventEmitter {
       const manualJob = {
         jobId,
         status: 'running',
+        control: null,
         startTime: new Date(),
         totalClients: clients.length,
-        isScheduled: false
+        isScheduled: false,
+        simulated
       };
       
       this.runningJobs.set(jobId, manualJob);
-      this.currentJob = manualJob;
       
       await databaseService.createProcessingJob({
         jobId,
         totalClients: clients.length,
         batchSize: jobSettings.batchSize,
-        includeInactive: jobSettings.includeInactive
+        includeInactive: filter.statusFilter !== 'active',
+        simulated,
+        nodeId: leaderLease.nodeId
       });
       
+      await databaseService.addProcessingJobClients(jobId, clients);
+      
       await databaseService.updateProcessingJob(jobId, {
         status: 'running',
         started_at: new Date()
       });
       
-      logger.success(`Manual job created in database: ${jobId} (${clients.length} clients)`);
+      logger.success(`${simulated ? 'Dry-run' : 'Manual'} job created in database: ${jobId} (${clients.length} clients)`);
       
       this.emit('jobStarted', {
         jobId,
         totalClients: clients.length,
         batchSize: jobSettings.batchSize,
-        includeInactive: jobSettings.includeInactive,
-        isScheduled: false
+        includeInactive: filter.statusFilter !== 'active',
+        filter: clientFilter.describe(filter),
+        isScheduled: false,
+        simulated
       });
       
       const onBatchCompleted = (data) => {
-        if (data.jobId === jobId) {
-          this.emit('batchCompleted', { ...data, isScheduled: false });
-          
-          databaseService.updateProcessingJob(jobId, {
-            processed_clients: data.batchIndex * jobSettings.batchSize,
-            successful_requests: paymentService.getStats().successful,
-            failed_requests: paymentService.getStats().failed
-          }).catch(error => {
-            logger.error('Failed to update job progress:', error.message);
-          });
-        }
+        this.emit('batchCompleted', { ...data, isScheduled: false });
+        
+        databaseService.updateProcessingJob(jobId, {
+          processed_clients: data.batchIndex * jobSettings.batchSize,
+          successful_requests: paymentService.getStats(jobId).successful,
+          failed_requests: paymentService.getStats(jobId).failed
+        }).catch(error => {
+          logger.error('Failed to update job progress:', error.message);
+        });
       };
       
-      paymentService.on('batchCompleted', onBatchCompleted);
-      
-      const results = await paymentService.processClients(clients, jobSettings.batchSize, jobId);
-      
-      paymentService.removeListener('batchCompleted', onBatchCompleted);
+      const results = await paymentService.processClients(clients, jobSettings.batchSize, jobId, {
+        shouldHalt: this.haltCheck(null, simulated),
+        control: this.jobControl(jobId),
+        onBatchCompleted,
+        simulation: jobSettings.simulation
+      });
       
-      const stats = paymentService.getStats();
+      const stats = paymentService.getStats(jobId);
       
       await databaseService.updateProcessingJob(jobId, {
-        status: 'completed',
+        status: this.jobEndStatus(stats),
         completed_at: new Date(),
-        processed_clients: clients.length,
+        processed_clients: await this.countProcessedClients(jobId, clients.length, stats),
         successful_requests: stats.successful,
         failed_requests: stats.failed,
-        server_stats: JSON.stringify(stats)
+        server_stats: JSON.stringify(stats),
+        error_message: this.jobEndMessage(stats)
       });
       
       this.runningJobs.delete(jobId);
-      this.currentJob = null;
       
-      logger.success(`Manual job completed: ${jobId}`);
+      logger.success(`${simulated ? 'Dry-run' : 'Manual'} job ${this.jobEndStatus(stats)}: ${jobId}`);
       logger.success(`Results: ${clients.length} clients, ${stats.successful} successful, ${stats.failed} failed`);
       
-      this.emit('jobCompleted', {
+      this.emit(stats.status === 'cancelled' ? 'jobCancelled' : 'jobCompleted', {
         jobId,
         totalClients: clients.length,
         results,
         stats,
-        isScheduled: false
+        isScheduled: false,
+        simulated
       });
       
       return { success: true, jobId, stats };
@@ -442,135 +961,304 @@ class SchedulerService extends EventEmitter {
       }
       
       this.runningJobs.delete(jobId);
-      this.currentJob = null;
       
       this.emit('jobFailed', {
         jobId,
         error: error.message,
-        isScheduled: false
+        isScheduled: false,
+        simulated
       });
       
       return { success: false, error: error.message };
     }
   }
 
-  updateSettings(newSettings) {
-    const wasEnabled = this.settings.enabled;
-    this.settings = { ...this.settings, ...newSettings };
+  // A job halted by a blackout or cancelled keeps its pending clients
+  // uncharged, so only the client checkpoints know how far it got
+  async countProcessedClients(jobId, totalClients, stats) {
+    if (!stats.haltedReason && stats.status !== 'cancelled') return totalClients;
     
-    databaseService.saveSchedulerState(this.settings).then(() => {
-      logger.info('Settings updated and saved to database');
-    }).catch(error => {
-      logger.error('Failed to save scheduler settings:', error.message);
-    });
+    const summary = await databaseService.getProcessingJobClientSummary(jobId);
+    return summary.total - summary.pending;
+  }
+
+  // Resumes the jobs this instance or the previous lease holder left
+  // running; other instances' jobs may still be running there
+  async resumeInterruptedJobs(previousHolder = null) {
+    const owners = [leaderLease.nodeId, previousHolder];
+    const interruptedJobs = (await databaseService.getProcessingJobsByStatus('running'))
+      .filter(job => !this.runningJobs.has(job.job_id) && (!job.node_id || owners.includes(job.node_id)));
     
-    if (wasEnabled && this.settings.enabled) {
-      this.startScheduler(this.settings).catch(error => {
-        logger.error('Failed to restart scheduler with new settings:', error.message);
-      });
+    if (interruptedJobs.length === 0) return;
+    
+    const restriction = this.getBillingRestriction();
+    if (restriction) {
+      logger.warn(`${interruptedJobs.length} interrupted job(s) waiting to resume: ${restriction}`);
+      setTimeout(() => {
+        this.resumeInterruptedJobs(previousHolder).catch(error => {
+          logger.error('Failed to resume interrupted jobs:', error.message);
+        });
+      }, 15 * 60 * 1000);
+      return;
     }
     
-    this.emit('settingsUpdated', this.settings);
+    logger.warn(`Found ${interruptedJobs.length} interrupted job(s) - resuming from last checkpoint`);
+    
+    for (const job of interruptedJobs) {
+      if (!leaderLease.isLeader()) break;
+      await this.resumeJob(job);
+    }
   }
 
-  getSettings() {
-    return { ...this.settings };
+  async reconcileInFlightClients(jobId, simulated = false) {
+    const inFlightClients = await databaseService.getProcessingJobClients(jobId, ['in_flight']);
+    
+    for (const client of inFlightClients) {
+      const payment = client.request_id && !simulated ?
+        await databaseService.getPaymentByRequestId(client.request_id) : null;
+      
+      let updates;
+      if (simulated) {
+        // Nothing was sent, so the attempt can simply be made again
+        updates = { status: 'pending' };
+      } else if (payment && payment.status === 'SUCCESS') {
+        updates = { status: 'success', processed_at: payment.timestamp };
+      } else if (payment) {
+        updates = {
+          status: client.attempts <= paymentService.maxRetries ? 'pending' : 'failed',
+          processed_at: payment.timestamp,
+          last_error: payment.description
+        };
+      } else {
+        // The request may have reached the SDP, so never send it again blindly
+        updates = {
+          status: 'unconfirmed',
+          last_error: 'Interrupted before the payment outcome was recorded'
+        };
+      }
+      
+      await databaseService.updateProcessingJobClient(jobId, client.msisdn, updates);
+      logger.info(`Reconciled in-flight client ${client.msisdn} for job ${jobId}: ${updates.status}`);
+    }
   }
 
-  async getStatus() {
+  async resumeJob(job) {
+    const jobId = job.job_id;
+    const batchSize = job.batch_size || this.settings.batchSize;
+    const simulated = Boolean(job.simulated);
+    
     try {
-      const dbState = await databaseService.getSchedulerState();
-      let actualEnabled = this.settings.enabled;
+      logger.info(`Resuming interrupted ${simulated ? 'dry-run ' : ''}job: ${jobId}`);
       
-      if (dbState) {
-        actualEnabled = Boolean(dbState.enabled);
-        if (actualEnabled !== this.settings.enabled) {
-          this.settings.enabled = actualEnabled;
-        }
+      await databaseService.updateProcessingJob(jobId, { node_id: leaderLease.nodeId });
+      
+      await this.reconcileInFlightClients(jobId, simulated);
+      
+      const initialSummary = await databaseService.getProcessingJobClientSummary(jobId);
+      
+      if (initialSummary.total === 0) {
+        throw new Error('Job has no persisted work list and cannot be resumed safely');
       }
       
-      return {
-        enabled: actualEnabled,
-        isRunning: Boolean(this.scheduledTask),
-        settings: this.settings,
-        currentJob: this.currentJob,
-        runningJobs: Array.from(this.runningJobs.values()),
-        nextRun: this.getNextRunTime(),
-        upcomingSchedules: this.getNextRunTimes(5),
-        isScheduled: Boolean(this.scheduledTask),
-        cronActive: this.scheduledTask ? 'running' : 'stopped'
+      const pendingClients = await databaseService.getProcessingJobClients(jobId, ['pending']);
+      const clients = pendingClients.map(row => ({
+        msisdn: row.msisdn,
+        offer_code: row.offer_code,
+        retryCount: row.attempts,
+        lastRequestId: row.request_id
+      }));
+      const alreadyProcessed = initialSummary.total - clients.length;
+      
+      logger.info(`Job ${jobId}: ${alreadyProcessed} clients already processed, ${clients.length} remaining`);
+      
+      const resumedJob = {
+        jobId,
+        status: 'running',
+        control: null,
+        startTime: new Date(),
+        totalClients: initialSummary.total,
+        isScheduled: false,
+        resumed: true,
+        simulated
       };
+      
+      this.runningJobs.set(jobId, resumedJob);
+      
+      let results = [];
+      
+      if (clients.length > 0) {
+        this.emit('jobStarted', {
+          jobId,
+          totalClients: clients.length,
+          batchSize,
+          includeInactive: Boolean(job.include_inactive),
+          isScheduled: false,
+          resumed: true,
+          simulated
+        });
+        
+        const onBatchCompleted = (data) => {
+          this.emit('batchCompleted', { ...data, isScheduled: false, resumed: true });
+          
+          databaseService.updateProcessingJob(jobId, {
+            processed_clients: Math.min(alreadyProcessed + data.batchIndex * batchSize, initialSummary.total)
+          }).catch(error => {
+            logger.error('Failed to update job progress:', error.message);
+          });
+        };
+        
+        results = await paymentService.processClients(clients, batchSize, jobId, {
+          shouldHalt: this.haltCheck(null, simulated),
+          control: this.jobControl(jobId),
+          onBatchCompleted,
+          // Per-job overrides are not persisted; a resumed dry run uses the defaults
+          simulation: simulated ? sdpSimulator.resolveSettings().settings : null
+        });
+      }
+      
+      const summary = await databaseService.getProcessingJobClientSummary(jobId);
+      const stats = paymentService.getStats(jobId);
+      
+      await databaseService.updateProcessingJob(jobId, {
+        status: this.jobEndStatus(stats),
+        completed_at: new Date(),
+        processed_clients: summary.total - summary.pending,
+        successful_requests: summary.success,
+        failed_requests: summary.failed + summary.unconfirmed,
+        server_stats: JSON.stringify({ ...stats, resumed: true, clientSummary: summary }),
+        error_message: this.jobEndMessage(stats)
+      });
+      
+      this.runningJobs.delete(jobId);
+      
+      logger.success(`Resumed job ${this.jobEndStatus(stats)}: ${jobId}`);
+      logger.success(`Results: ${summary.total} clients, ${summary.success} successful, ${summary.failed} failed, ${summary.unconfirmed} unconfirmed`);
+      
+      this.emit(stats.status === 'cancelled' ? 'jobCancelled' : 'jobCompleted', {
+        jobId,
+        totalClients: summary.total,
+        results,
+        stats: { ...stats, successful: summary.success, failed: summary.failed + summary.unconfirmed },
+        isScheduled: false,
+        resumed: true,
+        simulated
+      });
+      
     } catch (error) {
-      logger.error('Error getting scheduler status:', error.message);
-      return {
-        enabled: this.settings.enabled,
-        isRunning: Boolean(this.scheduledTask),
-        settings: this.settings,
-        currentJob: this.currentJob,
-        runningJobs: Array.from(this.runningJobs.values()),
-        nextRun: this.getNextRunTime(),
-        upcomingSchedules: this.getNextRunTimes(5),
-        isScheduled: Boolean(this.scheduledTask),
-        cronActive: this.scheduledTask ? 'running' : 'stopped'
-      };
+      logger.error(`Resumed job failed: ${jobId} - ${error.message}`);
+      
+      try {
+        await databaseService.updateProcessingJob(jobId, {
+          status: 'failed',
+          completed_at: new Date(),
+          error_message: error.message
+        });
+      } catch (dbError) {
+        logger.error('Failed to update failed job in database:', dbError.message);
+      }
+      
+      this.runningJobs.delete(jobId);
+      
+      this.emit('jobFailed', {
+        jobId,
+        error: error.message,
+        isScheduled: false,
+        resumed: true,
+        simulated
+      });
     }
   }
 
-  getNextRunTime() {
-    if (!this.settings.enabled || !this.scheduledTask) return null;
+  async updateSettings(newSettings) {
+    const schedule = await this.saveDefaultSchedule(newSettings);
+    
+    if (newSettings.batchSize !== undefined) {
+      this.settings.batchSize = newSettings.batchSize;
+    }
+    if (newSettings.includeInactive !== undefined) {
+      this.settings.includeInactive = newSettings.includeInactive;
+    }
     
+    logger.info('Settings updated and saved to database');
+    this.emit('settingsUpdated', this.getSettings());
+    
+    return schedule;
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  async getStatus() {
     try {
-      const now = new Date();
-      const intervalHours = this.settings.intervalHours;
-      const scheduleTimes = this.getScheduleTimes(intervalHours);
-      
-      const currentHour = now.getHours();
-      const currentMinute = now.getMinutes();
-      
-      for (const hour of scheduleTimes) {
-        if (hour > currentHour || (hour === currentHour && currentMinute === 0)) {
-          const nextRun = new Date(now);
-          nextRun.setHours(hour, 0, 0, 0);
-          return nextRun;
-        }
-      }
-      
-      const tomorrow = new Date(now);
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      tomorrow.setHours(scheduleTimes[0], 0, 0, 0);
-      return tomorrow;
-      
+      await this.syncSchedules();
+    } catch (error) {
+      logger.error('Error syncing schedules for status:', error.message);
+    }
+    
+    let lease = null;
+    try {
+      lease = await leaderLease.getStatus();
     } catch (error) {
-      logger.error('Error calculating next run time:', error.message);
-      return null;
+      logger.error('Error fetching scheduler lease for status:', error.message);
     }
+    
+    const schedules = this.getSchedules();
+    const upcomingRuns = schedules
+      .flatMap(schedule => schedule.upcomingSchedules.map(runAt => ({
+        runAt,
+        scheduleId: schedule.id,
+        scheduleName: schedule.name
+      })))
+      .sort((a, b) => a.runAt - b.runAt)
+      .slice(0, 5);
+    const isScheduled = this.getEnabledSchedules().length > 0;
+    
+    return {
+      enabled: schedules.some(schedule => schedule.enabled),
+      isRunning: isScheduled,
+      settings: this.getSettings(),
+      schedules,
+      currentJob: this.latestRunningJob(),
+      runningJobs: Array.from(this.runningJobs.values()),
+      lease,
+      nextRun: upcomingRuns.length > 0 ? upcomingRuns[0].runAt : null,
+      timezone: config.processing.timezone,
+      globalBlackoutWindows: this.getGlobalBlackoutWindows(),
+      billingRestriction: this.getBillingRestriction(),
+      upcomingSchedules: upcomingRuns.map(run => run.runAt),
+      upcomingRuns,
+      isScheduled,
+      cronActive: isScheduled ? 'running' : 'stopped'
+    };
+  }
+
+  // Previews come from the cron expression itself in the billing timezone and
+  // leave out runs that a blackout window or day rule would skip
+  getNextRunTime(schedule) {
+    const runs = this.getNextRunTimes(schedule, 1);
+    return runs.length > 0 ? runs[0] : null;
   }
 
-  getNextRunTimes(count = 5) {
-    if (!this.settings.enabled || !this.scheduledTask) return [];
+  getNextRunTimes(schedule, count = 5) {
+    if (!schedule.enabled || !schedule.task) return [];
     
     try {
-      const schedules = [];
-      const intervalHours = this.settings.intervalHours;
-      
-      const firstRun = this.getNextRunTime();
-      if (!firstRun) return [];
-      
-      schedules.push(new Date(firstRun));
-      
-      for (let i = 1; i < count; i++) {
-        const nextRun = new Date(schedules[i - 1]);
-        nextRun.setHours(nextRun.getHours() + intervalHours);
-        schedules.push(nextRun);
-      }
-      
-      return schedules;
-      
+      return this.getAllowedRuns(schedule, count);
     } catch (error) {
       logger.error('Error calculating upcoming schedules:', error.message);
       return [];
     }
   }
+
+  // Upcoming runs of any schedule, enabled or not (used to validate changes)
+  getAllowedRuns(schedule, count = 5) {
+    return scheduleCalendar.getNextRuns(schedule.cronExpression, {
+      timezone: config.processing.timezone,
+      count,
+      isAllowed: date => !this.getBillingRestriction(schedule, date)
+    });
+  }
 }
 
-module.exports = new SchedulerService();
\ No newline at end of file
+module.exports = new SchedulerService();
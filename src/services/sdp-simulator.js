@@ -0,0 +1,100 @@
+const config = require('../config');
+
+// Business failures the SDP answers with, picked at random for failed charges
+const FAILURES = [
+  { status: 400, statusCode: 'SVC0270', description: 'Insufficient balance' },
+  { status: 400, statusCode: 'SVC0007', description: 'Subscriber not active' },
+  { status: 500, statusCode: 'SVC0001', description: 'Service error' }
+];
+
+// Stands in for axios when a job runs in dry-run mode: answers payment
+// requests locally with the configured success rate and latency, and fails
+// the way axios does so the retry and bookkeeping paths behave as in production
+class SdpSimulator {
+  // Configured behaviour with per-job overrides; returns { settings } or { error }
+  resolveSettings(overrides = {}) {
+    const settings = { ...config.simulation };
+
+    for (const field of ['successRate', 'timeoutRate']) {
+      if (overrides[field] === undefined || overrides[field] === null) continue;
+      const value = Number(overrides[field]);
+      if (!(value >= 0 && value <= 1)) {
+        return { error: `${field} must be between 0 and 1` };
+      }
+      settings[field] = value;
+    }
+
+    for (const field of ['minLatencyMs', 'maxLatencyMs']) {
+      if (overrides[field] === undefined || overrides[field] === null) continue;
+      const value = parseInt(overrides[field]);
+      if (!(value >= 0 && value <= 60000)) {
+        return { error: `${field} must be between 0 and 60000` };
+      }
+      settings[field] = value;
+    }
+
+    if (settings.minLatencyMs > settings.maxLatencyMs) {
+      return { error: 'minLatencyMs must not exceed maxLatencyMs' };
+    }
+
+    return { settings };
+  }
+
+  randomLatency(settings) {
+    const { minLatencyMs, maxLatencyMs } = settings;
+    return minLatencyMs + Math.floor(Math.random() * (maxLatencyMs - minLatencyMs));
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Same call shape as axios.post, plus options.simulation for the settings
+  async post(url, payload, options = {}) {
+    const settings = options.simulation || config.simulation;
+    const roll = Math.random();
+    const { successRate, timeoutRate } = settings;
+
+    if (roll < timeoutRate) {
+      const timeout = options.timeout || config.processing.requestTimeout;
+      await this.delay(timeout);
+
+      const error = new Error(`timeout of ${timeout}ms exceeded`);
+      error.code = 'ECONNABORTED';
+      throw error;
+    }
+
+    await this.delay(this.randomLatency(settings));
+
+    if (roll < timeoutRate + successRate * (1 - timeoutRate)) {
+      return {
+        status: 200,
+        data: {
+          requestId: payload.requestId,
+          responseParam: {
+            status: '0',
+            statusCode: 'SC0000',
+            description: 'Payment request accepted (simulated)'
+          }
+        }
+      };
+    }
+
+    const failure = FAILURES[Math.floor(Math.random() * FAILURES.length)];
+    const error = new Error(`Request failed with status code ${failure.status}`);
+    error.response = {
+      status: failure.status,
+      data: {
+        requestId: payload.requestId,
+        responseParam: {
+          status: '1',
+          statusCode: failure.statusCode,
+          description: `${failure.description} (simulated)`
+        }
+      }
+    };
+    throw error;
+  }
+}
+
+module.exports = new SdpSimulator();
@@ -0,0 +1,225 @@
+const { EventEmitter } = require('events');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const SERVERS = ['PRIMARY', 'FALLBACK'];
+
+// Tracks the recent outcomes of each SDP server and runs a circuit breaker per
+// server: closed (normal traffic), open (no traffic for openMs after sustained
+// failure) and half_open (a single probe request decides whether it closes
+// again). Routing weights are the configured split scaled by live health.
+class ServerHealthService extends EventEmitter {
+  constructor() {
+    super();
+    this.reset();
+  }
+
+  reset() {
+    this.servers = {};
+    for (const type of SERVERS) {
+      this.servers[type] = {
+        state: 'closed',
+        outcomes: [],
+        consecutiveFailures: 0,
+        openedAt: null,
+        probeStartedAt: null,
+        lastFailure: null,
+        changedAt: new Date()
+      };
+    }
+  }
+
+  urlFor(type) {
+    return type === 'PRIMARY' ? config.safaricom.primaryServer : config.safaricom.fallbackServer;
+  }
+
+  refreshState(type) {
+    const server = this.servers[type];
+    if (server.state === 'open' && Date.now() - server.openedAt >= config.circuitBreaker.openMs) {
+      this.transition(type, 'half_open', 'cool-down elapsed, probing');
+    }
+  }
+
+  canSend(type) {
+    this.refreshState(type);
+    const server = this.servers[type];
+
+    if (server.state === 'closed') return true;
+    if (server.state === 'open') return false;
+
+    // Half-open: one probe at a time. A probe that never reported back (the
+    // process lost it) is given up after twice the request timeout.
+    return !server.probeStartedAt ||
+      Date.now() - server.probeStartedAt > config.processing.requestTimeout * 2;
+  }
+
+  summarize(type) {
+    const { outcomes } = this.servers[type];
+    const succeeded = outcomes.filter(outcome => outcome.ok);
+    const latencies = succeeded.map(outcome => outcome.latencyMs);
+
+    return {
+      sampleSize: outcomes.length,
+      successRate: outcomes.length > 0 ? succeeded.length / outcomes.length : null,
+      avgLatencyMs: latencies.length > 0 ?
+        Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length) : null
+    };
+  }
+
+  // 0-1: the success rate, scaled down when answers are slower than the
+  // latency target. Never 0 so a closed server keeps some traffic to recover.
+  healthScore(type) {
+    const { sampleSize, successRate, avgLatencyMs } = this.summarize(type);
+    if (sampleSize === 0) return 1;
+
+    const target = config.processing.latencyTargetMs;
+    const latencyFactor = avgLatencyMs && avgLatencyMs > target ? target / avgLatencyMs : 1;
+    return Math.max(0.05, successRate * latencyFactor);
+  }
+
+  weights() {
+    const share = {
+      PRIMARY: config.processing.serverDistribution,
+      FALLBACK: 1 - config.processing.serverDistribution
+    };
+    const weights = {};
+    for (const type of SERVERS) {
+      weights[type] = this.canSend(type) ? share[type] * this.healthScore(type) : 0;
+    }
+    return weights;
+  }
+
+  // The server for the next request, or null while both breakers are open.
+  // A half-open server gets its probe before anything else.
+  choose() {
+    const candidates = SERVERS.filter(type => this.canSend(type));
+    if (candidates.length === 0) return null;
+
+    const probe = candidates.find(type => this.servers[type].state === 'half_open');
+    if (probe) {
+      this.servers[probe].probeStartedAt = Date.now();
+      return probe;
+    }
+
+    const weights = this.weights();
+    const total = candidates.reduce((sum, type) => sum + weights[type], 0);
+    if (total === 0) {
+      // The configured split sends nothing to the only server left
+      return candidates[0];
+    }
+
+    let roll = Math.random() * total;
+    for (const type of candidates) {
+      if (roll < weights[type]) return type;
+      roll -= weights[type];
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  // How long until an open breaker lets a probe through
+  msUntilAvailable() {
+    const now = Date.now();
+    const waits = SERVERS
+      .filter(type => this.servers[type].state === 'open')
+      .map(type => this.servers[type].openedAt + config.circuitBreaker.openMs - now);
+    return Math.max(50, waits.length > 0 ? Math.min(...waits) : 0);
+  }
+
+  // Outcome of a request that was sent: ok is false for timeouts, dropped
+  // connections, 5xx and throttling; business rejections count as ok
+  record(type, { ok, latencyMs, error = null }) {
+    const server = this.servers[type];
+    const { windowSize, minRequests, failureRateThreshold, consecutiveFailures } = config.circuitBreaker;
+
+    server.outcomes.push({ ok, latencyMs, at: Date.now() });
+    if (server.outcomes.length > windowSize) {
+      server.outcomes.splice(0, server.outcomes.length - windowSize);
+    }
+
+    if (ok) {
+      server.consecutiveFailures = 0;
+      if (server.state === 'half_open') {
+        // Start a fresh window so the failures that opened it do not reopen it
+        server.outcomes = server.outcomes.slice(-1);
+        this.transition(type, 'closed', `probe succeeded in ${latencyMs}ms`);
+      }
+      return;
+    }
+
+    server.consecutiveFailures++;
+    server.lastFailure = { message: error, at: new Date() };
+
+    if (server.state === 'half_open') {
+      this.transition(type, 'open', `probe failed: ${error}`);
+      return;
+    }
+
+    if (server.state !== 'closed') return;
+
+    const { sampleSize, successRate } = this.summarize(type);
+    if (server.consecutiveFailures >= consecutiveFailures) {
+      this.transition(type, 'open', `${server.consecutiveFailures} consecutive failures (last: ${error})`);
+    } else if (sampleSize >= minRequests && 1 - successRate >= failureRateThreshold) {
+      this.transition(type, 'open', `${Math.round((1 - successRate) * 100)}% of the last ${sampleSize} requests failed`);
+    }
+  }
+
+  // The server was chosen but no request went out (e.g. login failed)
+  abandon(type) {
+    this.servers[type].probeStartedAt = null;
+  }
+
+  transition(type, state, reason) {
+    const server = this.servers[type];
+    const previous = server.state;
+
+    server.state = state;
+    server.changedAt = new Date();
+    server.probeStartedAt = null;
+    if (state === 'open') {
+      server.openedAt = Date.now();
+    }
+
+    if (state === 'open') {
+      logger.error(`Circuit breaker for ${type} SDP server opened: ${reason}`);
+    } else if (state === 'half_open') {
+      logger.warn(`Circuit breaker for ${type} SDP server half-open: ${reason}`);
+    } else {
+      logger.success(`Circuit breaker for ${type} SDP server closed: ${reason}`);
+    }
+
+    this.emit('breakerStateChanged', {
+      server: type,
+      state,
+      previous,
+      reason,
+      timestamp: server.changedAt
+    });
+  }
+
+  getStatus() {
+    const weights = this.weights();
+    const totalWeight = SERVERS.reduce((sum, type) => sum + weights[type], 0);
+
+    return SERVERS.map(type => {
+      const server = this.servers[type];
+      const { sampleSize, successRate, avgLatencyMs } = this.summarize(type);
+
+      return {
+        server: type,
+        url: this.urlFor(type),
+        state: server.state,
+        successRate: successRate === null ? null : parseFloat((successRate * 100).toFixed(1)),
+        avgLatencyMs,
+        sampleSize,
+        consecutiveFailures: server.consecutiveFailures,
+        trafficShare: totalWeight > 0 ? parseFloat(((weights[type] / totalWeight) * 100).toFixed(1)) : 0,
+        lastFailure: server.lastFailure,
+        changedAt: server.changedAt,
+        retryAt: server.state === 'open' ? new Date(server.openedAt + config.circuitBreaker.openMs) : null
+      };
+    });
+  }
+}
+
+module.exports = new ServerHealthService();
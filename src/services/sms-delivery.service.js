@@ -0,0 +1,79 @@
+const databaseService = require('./database');
+const logger = require('../utils/logger');
+
+// A receipt only moves its message forward: terminal states never fall back to
+// 'submitted' when receipts arrive out of order
+const ADVANCES = "(status = 'submitted' OR VALUES(status) <> 'submitted')";
+
+class SmsDeliveryService {
+  constructor() {
+    this.tableReady = false;
+  }
+
+  async createReceiptsTable() {
+    if (this.tableReady) return;
+
+    try {
+      await databaseService.pool.execute(`
+        CREATE TABLE IF NOT EXISTS sms_delivery_receipts (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          message_id VARCHAR(100) NOT NULL,
+          msisdn VARCHAR(20) NOT NULL,
+          status ENUM('submitted', 'delivered', 'failed', 'expired') NOT NULL DEFAULT 'submitted',
+          status_detail VARCHAR(100) NULL,
+          submitted_at TIMESTAMP NULL,
+          delivered_at TIMESTAMP NULL,
+          failed_at TIMESTAMP NULL,
+          expired_at TIMESTAMP NULL,
+          raw_data JSON NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY uniq_sms_message_msisdn (message_id, msisdn),
+          INDEX idx_sms_msisdn (msisdn),
+          INDEX idx_sms_created_status (created_at, status)
+        )
+      `);
+      this.tableReady = true;
+    } catch (error) {
+      logger.error('Error creating sms_delivery_receipts table:', error.message);
+      throw error;
+    }
+  }
+
+  // Maps SDP/Parlay X delivery statuses onto our four states
+  normalizeStatus(rawStatus) {
+    const value = String(rawStatus || '').toLowerCase();
+
+    if (value.includes('deliveredtoterminal') || value === 'delivered' || value === 'success') {
+      return 'delivered';
+    }
+    if (value.includes('expired')) {
+      return 'expired';
+    }
+    if (value.includes('impossible') || value.includes('fail') || value.includes('reject') || value === 'undelivered') {
+      return 'failed';
+    }
+    return 'submitted';
+  }
+
+  // One upsert, so duplicate receipts arriving together cannot lose an update.
+  // status is assigned last: the assignments before it read the stored one.
+  async recordReceipt({ messageId, msisdn, status, statusDetail = null, rawData = null }) {
+    await this.createReceiptsTable();
+
+    const timestampColumn = `${status}_at`;
+    await databaseService.pool.execute(`
+      INSERT INTO sms_delivery_receipts (message_id, msisdn, status, status_detail, ${timestampColumn}, raw_data)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        status_detail = IF(${ADVANCES}, VALUES(status_detail), status_detail),
+        ${timestampColumn} = IF(${ADVANCES}, COALESCE(${timestampColumn}, VALUES(${timestampColumn})), ${timestampColumn}),
+        raw_data = IF(${ADVANCES}, COALESCE(VALUES(raw_data), raw_data), raw_data),
+        status = IF(${ADVANCES}, VALUES(status), status)
+    `, [messageId, msisdn, status, statusDetail, new Date(), rawData ? JSON.stringify(rawData) : null]);
+
+    logger.info(`SMS ${messageId} to ${msisdn}: ${status} receipt recorded`);
+  }
+}
+
+module.exports = new SmsDeliveryService();
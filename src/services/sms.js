@@ -0,0 +1,328 @@
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const authService = require('./auth');
+const databaseService = require('./database');
+const smsDeliveryService = require('./sms-delivery.service');
+const logger = require('../utils/logger');
+const sdpStatus = require('../utils/sdp-status');
+
+// Seeded into sms_templates on first start; edit the rows to change wording.
+// Placeholders are {name} and are filled from the subscriber's clients row
+// plus any variables passed to enqueue()
+const DEFAULT_TEMPLATES = {
+  charge_confirmation: 'You have been charged KES {amount} for your {offer_code} subscription. Thank you for staying with us.',
+  subscription_renewed: 'Your {offer_code} subscription has been renewed. Enjoy your content!'
+};
+
+class SmsService {
+  constructor() {
+    this.worker = null;
+    this.isProcessing = false;
+    this.stats = {
+      sent: 0,
+      failed: 0,
+      retried: 0
+    };
+  }
+
+  async createTables() {
+    try {
+      await databaseService.pool.execute(`
+        CREATE TABLE IF NOT EXISTS sms_templates (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          name VARCHAR(50) NOT NULL UNIQUE,
+          body TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+      `);
+
+      await databaseService.pool.execute(`
+        CREATE TABLE IF NOT EXISTS sms_outbound_queue (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          message_id VARCHAR(50) NOT NULL UNIQUE,
+          msisdn VARCHAR(20) NOT NULL,
+          offer_code VARCHAR(50) NULL,
+          template_name VARCHAR(50) NULL,
+          dedupe_key VARCHAR(150) NULL UNIQUE,
+          body TEXT NOT NULL,
+          status ENUM('queued', 'sending', 'sent', 'failed') DEFAULT 'queued',
+          attempts INT DEFAULT 0,
+          last_error TEXT NULL,
+          next_attempt_at TIMESTAMP NULL,
+          sent_at TIMESTAMP NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_sms_queue_status_next (status, next_attempt_at),
+          INDEX idx_sms_queue_msisdn (msisdn)
+        )
+      `);
+      await databaseService.ensureColumn('sms_outbound_queue', 'dedupe_key', 'VARCHAR(150) NULL UNIQUE AFTER template_name');
+
+      for (const [name, body] of Object.entries(DEFAULT_TEMPLATES)) {
+        await databaseService.pool.execute(
+          'INSERT IGNORE INTO sms_templates (name, body) VALUES (?, ?)',
+          [name, body]
+        );
+      }
+    } catch (error) {
+      logger.error('Error creating SMS tables:', error.message);
+      throw error;
+    }
+  }
+
+  async getTemplate(name) {
+    const [rows] = await databaseService.pool.execute(
+      'SELECT body FROM sms_templates WHERE name = ?',
+      [name]
+    );
+
+    if (rows.length > 0) return rows[0].body;
+    if (DEFAULT_TEMPLATES[name]) return DEFAULT_TEMPLATES[name];
+
+    throw new Error(`SMS template '${name}' not found`);
+  }
+
+  render(template, variables) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+      const value = variables[key];
+      return value === undefined || value === null ? '' : String(value);
+    });
+  }
+
+  async getSubscriberVariables(msisdn) {
+    const [rows] = await databaseService.pool.execute(
+      'SELECT msisdn, offer_code, subscription_date, last_payment_date FROM clients WHERE msisdn = ?',
+      [msisdn]
+    );
+
+    return {
+      amount: config.safaricom.chargeAmount,
+      ...(rows[0] || { msisdn })
+    };
+  }
+
+  // dedupeKey queues the message at most once, however often the event that
+  // triggers it is processed (inbox retries, replays)
+  async enqueue(msisdn, templateName, variables = {}, dedupeKey = null) {
+    const subscriber = await this.getSubscriberVariables(msisdn);
+    const merged = { ...subscriber, ...variables };
+    const body = this.render(await this.getTemplate(templateName), merged);
+    const messageId = uuidv4();
+
+    const [result] = await databaseService.pool.execute(`
+      INSERT IGNORE INTO sms_outbound_queue (message_id, msisdn, offer_code, template_name, dedupe_key, body, next_attempt_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      messageId,
+      msisdn,
+      merged.offer_code || config.safaricom.defaultOfferCode || null,
+      templateName,
+      dedupeKey ? String(dedupeKey).substring(0, 150) : null,
+      body,
+      new Date()
+    ]);
+
+    if (result.affectedRows === 0) {
+      logger.info(`SMS '${templateName}' for ${msisdn} already queued (${dedupeKey}) - not sending it again`);
+      return null;
+    }
+
+    logger.info(`SMS '${templateName}' queued for ${msisdn} (${messageId})`);
+    return messageId;
+  }
+
+  // Notifications are best-effort: a queueing failure must never affect the
+  // charge or callback that triggered it
+  async notify(msisdn, templateName, variables = {}, dedupeKey = null) {
+    if (!config.sms.enabled) return null;
+
+    try {
+      return await this.enqueue(msisdn, templateName, variables, dedupeKey);
+    } catch (error) {
+      logger.error(`Failed to queue '${templateName}' SMS for ${msisdn}:`, error.message);
+      return null;
+    }
+  }
+
+  async sendChargeConfirmation(msisdn, variables = {}, transactionId = null) {
+    return await this.notify(msisdn, 'charge_confirmation', variables,
+      transactionId ? `charge_confirmation:${transactionId}` : null);
+  }
+
+  async sendRenewalNotice(msisdn, variables = {}, transactionId = null) {
+    return await this.notify(msisdn, 'subscription_renewed', variables,
+      transactionId ? `subscription_renewed:${transactionId}` : null);
+  }
+
+  async claimBatch(limit) {
+    const [rows] = await databaseService.pool.execute(`
+      SELECT * FROM sms_outbound_queue
+      WHERE status = 'queued' AND next_attempt_at <= ?
+      ORDER BY next_attempt_at ASC
+      LIMIT ${parseInt(limit)}
+    `, [new Date()]);
+
+    const claimed = [];
+    for (const row of rows) {
+      const [result] = await databaseService.pool.execute(`
+        UPDATE sms_outbound_queue SET status = 'sending', attempts = attempts + 1
+        WHERE id = ? AND status = 'queued'
+      `, [row.id]);
+
+      if (result.affectedRows > 0) {
+        claimed.push({ ...row, attempts: row.attempts + 1 });
+      }
+    }
+
+    return claimed;
+  }
+
+  async sendSingle(message) {
+    const token = await authService.getValidToken();
+
+    const payload = {
+      requestId: message.message_id,
+      channel: "APIGW",
+      requestParam: {
+        data: [
+          { name: "LinkId", value: "" },
+          { name: "Msisdn", value: message.msisdn },
+          { name: "Content", value: message.body },
+          { name: "OfferCode", value: message.offer_code },
+          { name: "CpId", value: config.safaricom.cpId }
+        ]
+      },
+      operation: "SendSMS"
+    };
+
+    const headers = {
+      "Content-Type": "application/json",
+      "X-Requested-With": "XMLHttpRequest",
+      "X-Authorization": `Bearer ${token}`
+    };
+
+    let response;
+    try {
+      response = await axios.post(config.safaricom.smsUrl, payload, {
+        headers,
+        timeout: config.processing.requestTimeout
+      });
+
+      // The SDP rejects with HTTP 2xx too; only a success status code is sent
+      const classification = sdpStatus.classify(response);
+      if (classification.outcome !== 'success') {
+        const rejected = new Error(`SMS rejected with status code ${classification.statusCode || 'none'}`);
+        rejected.response = response;
+        throw rejected;
+      }
+    } catch (error) {
+      if (error.response && error.response.status === 401) {
+        authService.clearToken();
+      }
+      
+      // Unsubscribed or blacklisted subscribers are not worth another attempt
+      const classification = error.response ? sdpStatus.classify(error.response) : null;
+      const isFinal = message.attempts >= config.sms.maxAttempts || Boolean(classification && !classification.retry);
+      const delay = config.sms.retryBaseDelay * Math.pow(2, message.attempts - 1);
+
+      await databaseService.pool.execute(
+        'UPDATE sms_outbound_queue SET status = ?, last_error = ?, next_attempt_at = ? WHERE id = ?',
+        [isFinal ? 'failed' : 'queued', error.message, isFinal ? null : new Date(Date.now() + delay), message.id]
+      );
+
+      if (isFinal) {
+        this.stats.failed++;
+        logger.error(`SMS ${message.message_id} to ${message.msisdn} failed after ${message.attempts} attempts: ${error.message}`);
+      } else {
+        logger.warn(`SMS ${message.message_id} to ${message.msisdn} failed (attempt ${message.attempts}/${config.sms.maxAttempts}), retrying in ${delay / 1000}s: ${error.message}`);
+      }
+      return false;
+    }
+
+    this.stats.sent++;
+    if (message.attempts > 1) this.stats.retried++;
+    logger.success(`SMS ${message.message_id} sent to ${message.msisdn}`);
+
+    // The SMS is out; a bookkeeping failure must not queue it again (the row
+    // stays 'sending', which is never retried)
+    try {
+      await databaseService.pool.execute(
+        "UPDATE sms_outbound_queue SET status = 'sent', sent_at = ?, last_error = NULL WHERE id = ?",
+        [new Date(), message.id]
+      );
+
+      await smsDeliveryService.recordReceipt({
+        messageId: message.message_id,
+        msisdn: message.msisdn,
+        status: 'submitted',
+        statusDetail: response.data?.responseParam?.description || null
+      });
+    } catch (error) {
+      logger.error(`SMS ${message.message_id} sent to ${message.msisdn} but could not be recorded: ${error.message}`);
+    }
+
+    return true;
+  }
+
+  // Drains due messages in batches, pacing batches so the SDP never sees more
+  // than config.sms.ratePerSecond messages per second
+  async processQueue() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      while (true) {
+        const batch = await this.claimBatch(config.sms.batchSize);
+        if (batch.length === 0) break;
+
+        const startTime = Date.now();
+        await Promise.allSettled(batch.map(message => this.sendSingle(message)));
+
+        const minDuration = (batch.length / config.sms.ratePerSecond) * 1000;
+        const wait = Math.max(minDuration - (Date.now() - startTime), config.processing.batchDelay);
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+    } catch (error) {
+      logger.error('SMS queue processing error:', error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  async initialize() {
+    await this.createTables();
+
+    // Messages left in 'sending' were interrupted mid-request; their outcome is
+    // unknown, so they are marked failed rather than risking a duplicate SMS
+    await databaseService.pool.execute(`
+      UPDATE sms_outbound_queue SET status = 'failed', last_error = 'Interrupted by restart'
+      WHERE status = 'sending'
+    `);
+
+    if (!config.sms.enabled) {
+      logger.info('Outbound SMS disabled (SMS_ENABLED is not true)');
+      return;
+    }
+
+    this.worker = setInterval(() => {
+      this.processQueue();
+    }, config.sms.pollInterval);
+
+    this.processQueue();
+  }
+
+  stop() {
+    if (this.worker) {
+      clearInterval(this.worker);
+      this.worker = null;
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, enabled: config.sms.enabled };
+  }
+}
+
+module.exports = new SmsService();
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const databaseService = require('./database');
+const paymentService = require('./payment');
+const logger = require('../utils/logger');
+
+// transactions.transaction_id and deactivations.transaction_id are VARCHAR(50)
+const TRANSACTION_ID_LENGTH = 50;
+
+// Longer provider ids are replaced by a digest rather than cut, so two ids
+// sharing a prefix are not taken for duplicates of each other
+function storedTransactionId(transactionId) {
+  const id = String(transactionId);
+  if (id.length <= TRANSACTION_ID_LENGTH) return id;
+  return crypto.createHash('sha256').update(id).digest('hex').substring(0, TRANSACTION_ID_LENGTH);
+}
+
+class SubscriptionService {
+  async recordTransaction(connection, transaction) {
+    const [result] = await connection.execute(`
+      INSERT IGNORE INTO transactions (transaction_id, transaction_type, msisdn, offer_code, timestamp, raw_data)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [
+      storedTransactionId(transaction.transactionId),
+      transaction.type,
+      transaction.msisdn,
+      transaction.offerCode,
+      transaction.timestamp,
+      JSON.stringify(transaction.rawData)
+    ]);
+
+    return result.affectedRows > 0;
+  }
+
+  async handleActivation({ msisdn, offerCode, transactionId, clickId, operation, rawData }) {
+    const now = new Date();
+    const resolvedOfferCode = offerCode || config.safaricom.defaultOfferCode;
+    const connection = await databaseService.pool.getConnection();
+    let renewed = false;
+
+    try {
+      await connection.beginTransaction();
+
+      const isNew = await this.recordTransaction(connection, {
+        transactionId: transactionId || uuidv4(),
+        type: operation,
+        msisdn,
+        offerCode: resolvedOfferCode,
+        timestamp: now,
+        rawData
+      });
+
+      if (!isNew) {
+        await connection.rollback();
+        logger.info(`Duplicate ${operation} callback for ${msisdn} (transaction ${transactionId}) - ignored`);
+        return { duplicate: true };
+      }
+
+      const [existing] = await connection.execute(
+        'SELECT msisdn FROM clients WHERE msisdn = ? FOR UPDATE',
+        [msisdn]
+      );
+      renewed = existing.length > 0;
+
+      await connection.execute(`
+        INSERT INTO clients (msisdn, offer_code, first_seen, last_seen, subscription_status, subscription_date)
+        VALUES (?, ?, ?, ?, 'A', ?)
+        ON DUPLICATE KEY UPDATE
+          offer_code = VALUES(offer_code),
+          last_seen = VALUES(last_seen),
+          subscription_status = 'A',
+          subscription_date = VALUES(subscription_date)
+      `, [msisdn, resolvedOfferCode, now, now, now]);
+
+      // Inside the transaction, so a failed attribution rolls the activation
+      // back and the webhook inbox retries it rather than losing the payout
+      if (clickId) {
+        await this.linkCampaignSubscription(connection, msisdn, resolvedOfferCode, clickId, now);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    logger.success(`Subscriber ${msisdn} ${renewed ? 'renewed' : 'activated'} on offer ${resolvedOfferCode}`);
+
+    return { duplicate: false, renewed };
+  }
+
+  async handleDeactivation({ msisdn, offerCode, transactionId, reason, operation, rawData }) {
+    const now = new Date();
+    const connection = await databaseService.pool.getConnection();
+    let resolvedOfferCode = offerCode;
+
+    try {
+      await connection.beginTransaction();
+
+      const [clients] = await connection.execute(
+        'SELECT offer_code, subscription_date FROM clients WHERE msisdn = ? FOR UPDATE',
+        [msisdn]
+      );
+      const client = clients[0] || null;
+      resolvedOfferCode = offerCode || client?.offer_code || config.safaricom.defaultOfferCode;
+
+      const isNew = await this.recordTransaction(connection, {
+        transactionId: transactionId || uuidv4(),
+        type: operation,
+        msisdn,
+        offerCode: resolvedOfferCode,
+        timestamp: now,
+        rawData
+      });
+
+      if (!isNew) {
+        await connection.rollback();
+        logger.info(`Duplicate ${operation} callback for ${msisdn} (transaction ${transactionId}) - ignored`);
+        return { duplicate: true };
+      }
+
+      if (client) {
+        await connection.execute(
+          "UPDATE clients SET subscription_status = 'I', last_seen = ? WHERE msisdn = ?",
+          [now, msisdn]
+        );
+      } else {
+        logger.warn(`Deactivation for unknown subscriber ${msisdn} - recording deactivation only`);
+      }
+
+      await connection.execute(`
+        INSERT INTO deactivations (msisdn, offer_code, subscription_date, deactivation_date, deactivation_reason, transaction_id)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [
+        msisdn,
+        resolvedOfferCode,
+        client ? client.subscription_date : null,
+        now,
+        (reason || operation).substring(0, 255),
+        transactionId ? storedTransactionId(transactionId) : null
+      ]);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    logger.success(`Subscriber ${msisdn} deactivated from offer ${resolvedOfferCode}`);
+
+    await this.cancelPendingCharges(msisdn);
+
+    return { duplicate: false };
+  }
+
+  async cancelPendingCharges(msisdn) {
+    paymentService.cancelClient(msisdn);
+
+    try {
+      const cancelled = await databaseService.skipPendingJobClient(msisdn, 'Cancelled: subscriber deactivated');
+      if (cancelled > 0) {
+        logger.info(`Cancelled ${cancelled} queued charge(s) for ${msisdn} in running jobs`);
+      }
+    } catch (error) {
+      logger.error(`Failed to cancel queued charges for ${msisdn}:`, error.message);
+    }
+  }
+
+  async linkCampaignSubscription(connection, msisdn, offerCode, clickId, subscriptionDate) {
+    const [clicks] = await connection.execute(
+      'SELECT id, campaign_id FROM campaign_clicks WHERE click_id = ? ORDER BY created_at DESC LIMIT 1',
+      [clickId]
+    );
+
+    if (clicks.length === 0) {
+      logger.warn(`Campaign click ${clickId} not found for ${msisdn} - subscription not attributed`);
+      return null;
+    }
+
+    const click = clicks[0];
+
+    const [existing] = await connection.execute(
+      'SELECT id FROM campaign_subscriptions WHERE msisdn = ? AND campaign_id = ? AND offer_code = ?',
+      [msisdn, click.campaign_id, offerCode]
+    );
+
+    if (existing.length > 0) {
+      logger.info(`${msisdn} already attributed to campaign ${click.campaign_id}`);
+      return existing[0].id;
+    }
+
+    await connection.execute(
+      'UPDATE campaign_clicks SET msisdn = ? WHERE id = ? AND msisdn IS NULL',
+      [msisdn, click.id]
+    );
+
+    const [result] = await connection.execute(`
+      INSERT INTO campaign_subscriptions (
+        msisdn, subscription_date, offer_code, postback_sent, campaign_id,
+        click_id, client_id, postback_halted
+      )
+      VALUES (?, ?, ?, 0, ?, ?, ?, 0)
+    `, [msisdn, subscriptionDate, offerCode, click.campaign_id, click.id, msisdn]);
+
+    logger.success(`${msisdn} attributed to campaign ${click.campaign_id} via click ${clickId}`);
+    return result.insertId;
+  }
+}
+
+module.exports = new SubscriptionService();
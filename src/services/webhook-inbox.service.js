@@ -0,0 +1,230 @@
+const config = require('../config');
+const databaseService = require('./database');
+const callbackService = require('./callback.service');
+const logger = require('../utils/logger');
+
+class WebhookInboxService {
+  constructor() {
+    this.worker = null;
+    this.isSweeping = false;
+    this.sweepInterval = 30 * 1000;
+    // Entries left in 'processing' this long were interrupted by a restart
+    this.staleProcessingMs = 10 * 60 * 1000;
+  }
+
+  async createInboxTable() {
+    try {
+      await databaseService.pool.execute(`
+        CREATE TABLE IF NOT EXISTS webhook_inbox (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          source VARCHAR(100) NULL,
+          method VARCHAR(10) NULL,
+          operation VARCHAR(50) NULL,
+          msisdn VARCHAR(20) NULL,
+          payload JSON NOT NULL,
+          status ENUM('received', 'processing', 'processed', 'failed', 'dead') DEFAULT 'received',
+          attempts INT DEFAULT 0,
+          last_error TEXT NULL,
+          next_attempt_at TIMESTAMP NULL,
+          received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          processed_at TIMESTAMP NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_inbox_status_next (status, next_attempt_at),
+          INDEX idx_inbox_received_at (received_at),
+          INDEX idx_inbox_msisdn (msisdn)
+        )
+      `);
+    } catch (error) {
+      logger.error('Error creating webhook_inbox table:', error.message);
+      throw error;
+    }
+  }
+
+  // Shared by every instance, so a signed delivery replayed to another
+  // instance or after a restart is still recognised
+  async createNonceTable() {
+    try {
+      await databaseService.pool.execute(`
+        CREATE TABLE IF NOT EXISTS webhook_nonces (
+          nonce VARCHAR(128) PRIMARY KEY,
+          expires_at TIMESTAMP NOT NULL,
+          INDEX idx_webhook_nonces_expires (expires_at)
+        )
+      `);
+    } catch (error) {
+      logger.error('Error creating webhook_nonces table:', error.message);
+      throw error;
+    }
+  }
+
+  // False when the nonce was already used
+  async recordNonce(nonce, expiresAt) {
+    const [result] = await databaseService.pool.execute(
+      'INSERT IGNORE INTO webhook_nonces (nonce, expires_at) VALUES (?, ?)',
+      [nonce, expiresAt]
+    );
+
+    return result.affectedRows > 0;
+  }
+
+  async store(delivery) {
+    const parsed = this.safeParse(delivery.data, delivery.method);
+
+    const [result] = await databaseService.pool.execute(`
+      INSERT INTO webhook_inbox (source, method, operation, msisdn, payload, next_attempt_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [
+      delivery.source ? String(delivery.source).substring(0, 100) : null,
+      delivery.method || null,
+      parsed.operation ? String(parsed.operation).substring(0, 50) : null,
+      parsed.msisdn ? String(parsed.msisdn).substring(0, 20) : null,
+      JSON.stringify(delivery),
+      new Date()
+    ]);
+
+    return result.insertId;
+  }
+
+  safeParse(data, method) {
+    try {
+      return callbackService.parseCallback({ ...(data || {}) }, method);
+    } catch (error) {
+      return { msisdn: null, operation: null };
+    }
+  }
+
+  // Atomically moves an entry to 'processing' so the request path, the retry
+  // worker and a manual replay never handle the same delivery concurrently
+  async claim(id, statuses = ['received', 'failed']) {
+    const placeholders = statuses.map(() => '?').join(', ');
+    const [result] = await databaseService.pool.execute(`
+      UPDATE webhook_inbox
+      SET status = 'processing', attempts = attempts + 1
+      WHERE id = ? AND status IN (${placeholders})
+    `, [id, ...statuses]);
+
+    return result.affectedRows > 0;
+  }
+
+  async processEntry(id, statuses) {
+    if (!(await this.claim(id, statuses))) return null;
+
+    const [rows] = await databaseService.pool.execute('SELECT * FROM webhook_inbox WHERE id = ?', [id]);
+    const entry = rows[0];
+    const delivery = typeof entry.payload === 'string' ? JSON.parse(entry.payload) : entry.payload;
+
+    try {
+      await callbackService.processForwardedCallback(delivery.data || {}, delivery.method, entry.id);
+
+      await databaseService.pool.execute(
+        "UPDATE webhook_inbox SET status = 'processed', processed_at = ?, last_error = NULL WHERE id = ?",
+        [new Date(), id]
+      );
+      return 'processed';
+    } catch (error) {
+      const isDead = entry.attempts >= config.webhook.maxAttempts;
+      const delay = config.webhook.retryBaseDelay * Math.pow(2, entry.attempts - 1);
+
+      await databaseService.pool.execute(
+        'UPDATE webhook_inbox SET status = ?, last_error = ?, next_attempt_at = ? WHERE id = ?',
+        [isDead ? 'dead' : 'failed', error.message, isDead ? null : new Date(Date.now() + delay), id]
+      );
+
+      if (isDead) {
+        logger.error(`Webhook ${id} moved to dead-letter after ${entry.attempts} attempts: ${error.message}`);
+      } else {
+        logger.warn(`Webhook ${id} failed (attempt ${entry.attempts}/${config.webhook.maxAttempts}), retrying in ${delay / 1000}s: ${error.message}`);
+      }
+      return isDead ? 'dead' : 'failed';
+    }
+  }
+
+  async sweep() {
+    if (this.isSweeping) return;
+    this.isSweeping = true;
+
+    try {
+      // Deliveries signed this long ago fail the timestamp check anyway
+      await databaseService.pool.execute('DELETE FROM webhook_nonces WHERE expires_at <= ?', [new Date()]);
+
+      await databaseService.pool.execute(`
+        UPDATE webhook_inbox SET status = 'failed', next_attempt_at = ?
+        WHERE status = 'processing' AND updated_at < ?
+      `, [new Date(), new Date(Date.now() - this.staleProcessingMs)]);
+
+      const [rows] = await databaseService.pool.execute(`
+        SELECT id FROM webhook_inbox
+        WHERE status IN ('received', 'failed') AND next_attempt_at <= ?
+        ORDER BY next_attempt_at ASC
+        LIMIT 100
+      `, [new Date()]);
+
+      for (const row of rows) {
+        await this.processEntry(row.id);
+      }
+    } catch (error) {
+      logger.error('Webhook inbox sweep error:', error.message);
+    } finally {
+      this.isSweeping = false;
+    }
+  }
+
+  async list({ status, limit = 50 } = {}) {
+    const limitInt = parseInt(limit) || 50;
+    const params = [];
+    let query = `
+      SELECT id, source, method, operation, msisdn, status, attempts, last_error,
+        next_attempt_at, received_at, processed_at, updated_at
+      FROM webhook_inbox
+    `;
+
+    if (status) {
+      query += ' WHERE status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY received_at DESC LIMIT ' + limitInt;
+
+    const [rows] = await databaseService.pool.execute(query, params);
+    return rows;
+  }
+
+  async get(id) {
+    const [rows] = await databaseService.pool.execute('SELECT * FROM webhook_inbox WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  // Only deliveries that never completed are replayed: a processed one has
+  // already reconciled the charge, paid the marketer and notified the subscriber
+  async replay(id) {
+    const [result] = await databaseService.pool.execute(`
+      UPDATE webhook_inbox SET status = 'failed', attempts = 0, next_attempt_at = ?
+      WHERE id = ? AND status IN ('failed', 'dead')
+    `, [new Date(), id]);
+
+    if (result.affectedRows === 0) return null;
+
+    logger.info(`Replaying webhook ${id}`);
+    return await this.processEntry(id);
+  }
+
+  async initialize() {
+    await this.createInboxTable();
+    await this.createNonceTable();
+
+    this.worker = setInterval(() => {
+      this.sweep();
+    }, this.sweepInterval);
+
+    this.sweep();
+  }
+
+  stop() {
+    if (this.worker) {
+      clearInterval(this.worker);
+      this.worker = null;
+    }
+  }
+}
+
+module.exports = new WebhookInboxService();
@@ -0,0 +1,87 @@
+// Limits how many requests are in flight and adjusts the limit from the
+// responses (additive increase, multiplicative decrease): a timeout, 5xx or
+// throttling answer halves it, and as many consecutive answers under the
+// latency target as the current limit raise it by one. Requests already on the wire when the limit
+// drops fail together, so it is halved at most once per cooldown.
+class AdaptiveConcurrency {
+  constructor({ initial, min = 1, max, latencyTargetMs, cooldownMs }) {
+    this.options = { initial, min, max, latencyTargetMs, cooldownMs };
+    this.inFlight = 0;
+    this.waiters = [];
+    this.reset();
+  }
+
+  // Back to the configured starting limit; requests in flight are unaffected
+  reset() {
+    const { initial, min, max } = this.options;
+    this.limit = Math.min(Math.max(initial, min), max);
+    this.healthyStreak = 0;
+    this.lastDecreaseAt = 0;
+    this.increases = 0;
+    this.decreases = 0;
+  }
+
+  acquire() {
+    if (this.inFlight < this.limit) {
+      this.inFlight++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  release() {
+    this.inFlight--;
+    this.drain();
+  }
+
+  drain() {
+    while (this.waiters.length > 0 && this.inFlight < this.limit) {
+      this.inFlight++;
+      this.waiters.shift()();
+    }
+  }
+
+  // Any answer that is not an overload signal, e.g. a charge or a business rejection
+  recordResponse(latencyMs) {
+    if (latencyMs > this.options.latencyTargetMs) {
+      this.healthyStreak = 0;
+      return;
+    }
+
+    this.healthyStreak++;
+    if (this.healthyStreak >= this.limit && this.limit < this.options.max) {
+      this.limit++;
+      this.increases++;
+      this.healthyStreak = 0;
+      this.drain();
+    }
+  }
+
+  recordOverload() {
+    this.healthyStreak = 0;
+
+    const now = Date.now();
+    if (now - this.lastDecreaseAt < this.options.cooldownMs) return;
+
+    this.lastDecreaseAt = now;
+    const reduced = Math.max(this.options.min, Math.floor(this.limit / 2));
+    if (reduced < this.limit) {
+      this.limit = reduced;
+      this.decreases++;
+    }
+  }
+
+  getState() {
+    return {
+      limit: this.limit,
+      inFlight: this.inFlight,
+      queued: this.waiters.length,
+      min: this.options.min,
+      max: this.options.max,
+      increases: this.increases,
+      decreases: this.decreases
+    };
+  }
+}
+
+module.exports = AdaptiveConcurrency;
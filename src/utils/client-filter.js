@@ -0,0 +1,177 @@
+const STATUS_FILTERS = ['active', 'inactive', 'all'];
+const STATUS_CONDITIONS = {
+  active: "subscription_status = 'A'",
+  inactive: "subscription_status = 'I'",
+  all: "subscription_status IN ('A', 'I')"
+};
+const HOUR_MS = 60 * 60 * 1000;
+// Explicit lists beyond this belong in a segment, not a request body
+const MAX_MSISDNS = 10000;
+
+// Which clients a job bills. Payment ages are relative (hours before the job
+// runs) so a stored schedule keeps targeting e.g. "lapsed for 3 days" over time
+class ClientFilter {
+  defaults() {
+    return {
+      statusFilter: 'active',
+      offerCodes: [],
+      lastPaymentOlderThanHours: null,
+      lastPaymentNewerThanHours: null,
+      subscribedFrom: null,
+      subscribedTo: null,
+      campaignIds: [],
+      msisdns: []
+    };
+  }
+
+  // True when a request body sets any filter field
+  hasFields(body) {
+    return Object.keys(this.defaults()).concat('includeInactive').some(field => body[field] !== undefined);
+  }
+
+  // Overlays the filter fields of a request body on an existing filter
+  merge(base, body) {
+    const input = { ...base };
+    if (body.statusFilter === undefined && body.includeInactive !== undefined) {
+      delete input.statusFilter;
+    }
+    for (const field of Object.keys(this.defaults()).concat('includeInactive')) {
+      if (body[field] !== undefined) input[field] = body[field];
+    }
+    return this.normalize(input);
+  }
+
+  parseList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const items = Array.isArray(value) ? value : String(value).split(/[,\s]+/);
+    return items.map(item => String(item).trim()).filter(item => item.length > 0);
+  }
+
+  parseHours(value, field) {
+    if (value === undefined || value === null || value === '') return { value: null };
+    const hours = Number(value);
+    if (!Number.isFinite(hours) || hours < 0) {
+      return { error: `${field} must be a non-negative number of hours` };
+    }
+    return { value: hours };
+  }
+
+  parseDate(value, field) {
+    if (value === undefined || value === null || value === '') return { value: null };
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return { error: `${field} must be an ISO date` };
+    }
+    return { value: date.toISOString() };
+  }
+
+  // Validates a filter from a request body or a stored schedule and returns
+  // { filter } with every field present, or { error }
+  normalize(input = {}) {
+    const filter = this.defaults();
+
+    if (input.statusFilter !== undefined && input.statusFilter !== null) {
+      if (!STATUS_FILTERS.includes(input.statusFilter)) {
+        return { error: `Status filter must be one of: ${STATUS_FILTERS.join(', ')}` };
+      }
+      filter.statusFilter = input.statusFilter;
+    } else if (input.includeInactive !== undefined) {
+      filter.statusFilter = input.includeInactive ? 'all' : 'active';
+    }
+
+    filter.offerCodes = this.parseList(input.offerCodes);
+
+    for (const field of ['lastPaymentOlderThanHours', 'lastPaymentNewerThanHours']) {
+      const { value, error } = this.parseHours(input[field], field);
+      if (error) return { error };
+      filter[field] = value;
+    }
+
+    for (const field of ['subscribedFrom', 'subscribedTo']) {
+      const { value, error } = this.parseDate(input[field], field);
+      if (error) return { error };
+      filter[field] = value;
+    }
+
+    if (filter.subscribedFrom && filter.subscribedTo && filter.subscribedFrom > filter.subscribedTo) {
+      return { error: 'subscribedFrom must be before subscribedTo' };
+    }
+
+    const campaignIds = this.parseList(input.campaignIds).map(id => parseInt(id));
+    if (campaignIds.some(id => !(id > 0))) {
+      return { error: 'Campaign IDs must be positive integers' };
+    }
+    filter.campaignIds = Array.from(new Set(campaignIds));
+
+    const msisdns = Array.from(new Set(this.parseList(input.msisdns)));
+    const invalid = msisdns.find(msisdn => !/^[0-9]{9,15}$/.test(msisdn));
+    if (invalid) {
+      return { error: `Invalid MSISDN "${invalid}"` };
+    }
+    if (msisdns.length > MAX_MSISDNS) {
+      return { error: `At most ${MAX_MSISDNS} MSISDNs can be listed` };
+    }
+    filter.msisdns = msisdns;
+
+    return { filter };
+  }
+
+  // SQL conditions on the clients table (unqualified columns) and their params
+  toSql(filter, now = new Date()) {
+    const conditions = [STATUS_CONDITIONS[filter.statusFilter] || STATUS_CONDITIONS.active];
+    const params = [];
+    const placeholders = items => items.map(() => '?').join(', ');
+
+    if (filter.offerCodes && filter.offerCodes.length > 0) {
+      conditions.push(`offer_code IN (${placeholders(filter.offerCodes)})`);
+      params.push(...filter.offerCodes);
+    }
+
+    // Clients that never paid count as lapsed
+    if (filter.lastPaymentOlderThanHours !== null && filter.lastPaymentOlderThanHours !== undefined) {
+      conditions.push('(last_payment_date IS NULL OR last_payment_date < ?)');
+      params.push(new Date(now.getTime() - filter.lastPaymentOlderThanHours * HOUR_MS));
+    }
+
+    if (filter.lastPaymentNewerThanHours !== null && filter.lastPaymentNewerThanHours !== undefined) {
+      conditions.push('last_payment_date >= ?');
+      params.push(new Date(now.getTime() - filter.lastPaymentNewerThanHours * HOUR_MS));
+    }
+
+    if (filter.subscribedFrom) {
+      conditions.push('subscription_date >= ?');
+      params.push(new Date(filter.subscribedFrom));
+    }
+
+    if (filter.subscribedTo) {
+      conditions.push('subscription_date <= ?');
+      params.push(new Date(filter.subscribedTo));
+    }
+
+    if (filter.campaignIds && filter.campaignIds.length > 0) {
+      conditions.push(`EXISTS (
+          SELECT 1 FROM campaign_subscriptions cs
+          WHERE cs.client_id = clients.msisdn AND cs.campaign_id IN (${placeholders(filter.campaignIds)})
+        )`);
+      params.push(...filter.campaignIds);
+    }
+
+    if (filter.msisdns && filter.msisdns.length > 0) {
+      conditions.push(`msisdn IN (${placeholders(filter.msisdns)})`);
+      params.push(...filter.msisdns);
+    }
+
+    return { conditions, params };
+  }
+
+  // Only the fields that narrow the default selection, for job records and logs
+  describe(filter) {
+    const defaults = this.defaults();
+    return Object.fromEntries(Object.entries(filter).filter(([key, value]) => {
+      if (Array.isArray(value)) return value.length > 0;
+      return value !== defaults[key] && value !== undefined;
+    }));
+  }
+}
+
+module.exports = new ClientFilter();
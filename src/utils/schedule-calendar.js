@@ -0,0 +1,272 @@
+const cron = require('node-cron');
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+// minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12, names: MONTH_NAMES },
+  { min: 0, max: 6, names: DAY_NAMES }
+];
+const MINUTE_MS = 60 * 1000;
+// How far ahead previews look before giving up on a rarely-matching expression
+const SEARCH_LIMIT_DAYS = 366;
+
+class ScheduleCalendar {
+  constructor() {
+    this.formatters = new Map();
+  }
+
+  // Billing crons are minute-resolution: the optional seconds field is rejected
+  validateExpression(expression) {
+    if (typeof expression !== 'string' || expression.trim().split(/\s+/).length !== 5) {
+      return 'Cron expression must have 5 fields: minute hour day-of-month month day-of-week';
+    }
+    if (!cron.validate(expression.trim())) {
+      return 'Invalid cron expression';
+    }
+    return null;
+  }
+
+  // Every intervalHours hours, starting startOffsetMinutes after midnight and
+  // wrapping round the day, e.g. (4, 390) -> "30 2,6,10,14,18,22 * * *"
+  buildIntervalExpression(intervalHours, startOffsetMinutes = 0) {
+    const minute = startOffsetMinutes % 60;
+    const startHour = Math.floor(startOffsetMinutes / 60) % 24;
+    const hours = new Set();
+
+    for (let hour = startHour; hour < startHour + 24; hour += intervalHours) {
+      hours.add(hour % 24);
+    }
+
+    return `${minute} ${Array.from(hours).sort((a, b) => a - b).join(',')} * * *`;
+  }
+
+  parseTime(value) {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value).trim());
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+  }
+
+  // Accepts [{ start: '22:00', end: '06:00', days: [1, 2] }] or ['22:00-06:00']
+  // and returns { windows } or { error }
+  normalizeWindows(input) {
+    if (input === undefined || input === null || input === '') return { windows: [] };
+
+    const items = Array.isArray(input) ? input : String(input).split(',');
+    const windows = [];
+
+    for (const item of items) {
+      const raw = typeof item === 'string' ?
+        { start: item.split('-')[0], end: item.split('-')[1] } :
+        item;
+
+      if (!raw || this.parseTime(raw.start) === null || this.parseTime(raw.end) === null) {
+        return { error: `Invalid blackout window "${typeof item === 'string' ? item.trim() : JSON.stringify(item)}" - use HH:MM-HH:MM` };
+      }
+      if (this.parseTime(raw.start) === this.parseTime(raw.end)) {
+        return { error: `Blackout window ${raw.start}-${raw.end} is empty` };
+      }
+
+      const window = { start: raw.start.trim(), end: raw.end.trim() };
+      if (raw.days !== undefined && raw.days !== null) {
+        const { days, error } = this.normalizeDays(raw.days);
+        if (error) return { error };
+        if (days.length > 0) window.days = days;
+      }
+      windows.push(window);
+    }
+
+    return { windows };
+  }
+
+  normalizeDays(input) {
+    if (input === undefined || input === null || input === '') return { days: [] };
+
+    const items = Array.isArray(input) ? input : String(input).split(',');
+    const days = new Set();
+
+    for (const item of items) {
+      const text = String(item).trim();
+      const index = /^\d$/.test(text) ?
+        parseInt(text) :
+        DAY_NAMES.findIndex(name => name.toLowerCase() === text.substring(0, 3).toLowerCase());
+
+      if (index < 0 || index > 6) {
+        return { error: `Invalid day "${text}" - use 0-6 (Sunday = 0) or day names` };
+      }
+      days.add(index);
+    }
+
+    return { days: Array.from(days).sort((a, b) => a - b) };
+  }
+
+  // Wall-clock fields of `date` in the given timezone (month 1-12, day 0-6)
+  localParts(date, timezone) {
+    if (!this.formatters.has(timezone)) {
+      this.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        month: 'numeric',
+        day: 'numeric',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+      }));
+    }
+
+    const parts = this.formatters.get(timezone).formatToParts(date);
+
+    const get = type => parts.find(part => part.type === type).value;
+    return {
+      month: parseInt(get('month')),
+      date: parseInt(get('day')),
+      day: DAY_NAMES.indexOf(get('weekday')),
+      minutes: parseInt(get('hour')) * 60 + parseInt(get('minute'))
+    };
+  }
+
+  // Midnight of the day `date` falls on in the given timezone
+  startOfDay(date, timezone) {
+    let start = Math.floor(date.getTime() / MINUTE_MS) * MINUTE_MS -
+      this.localParts(date, timezone).minutes * MINUTE_MS;
+
+    // A DST change since midnight leaves the guess off by the change
+    const { minutes } = this.localParts(new Date(start), timezone);
+    if (minutes !== 0) {
+      start += (minutes >= 12 * 60 ? 24 * 60 - minutes : -minutes) * MINUTE_MS;
+    }
+    return new Date(start);
+  }
+
+  // A window that ends before it starts runs over midnight; its days refer to
+  // the day it starts on
+  findBlackout(date, windows, timezone) {
+    const { day, minutes } = this.localParts(date, timezone);
+    const previousDay = (day + 6) % 7;
+
+    for (const window of windows || []) {
+      const start = this.parseTime(window.start);
+      const end = this.parseTime(window.end);
+      const appliesTo = d => !window.days || window.days.includes(d);
+
+      if (start < end) {
+        if (minutes >= start && minutes < end && appliesTo(day)) return window;
+      } else {
+        if (minutes >= start && appliesTo(day)) return window;
+        if (minutes < end && appliesTo(previousDay)) return window;
+      }
+    }
+
+    return null;
+  }
+
+  // Returns why billing is not allowed at `date`, or null when it is
+  getRestriction(date, { blackoutWindows = [], allowedDays = [], timezone }) {
+    if (allowedDays && allowedDays.length > 0) {
+      const { day } = this.localParts(date, timezone);
+      if (!allowedDays.includes(day)) {
+        return `${DAY_NAMES[day]} is not an allowed billing day`;
+      }
+    }
+
+    const window = this.findBlackout(date, blackoutWindows, timezone);
+    if (window) {
+      return `Inside blackout window ${window.start}-${window.end}${window.days ? ` (${window.days.map(d => DAY_NAMES[d]).join(', ')})` : ''}`;
+    }
+
+    return null;
+  }
+
+  // The values one cron field matches, read the way node-cron reads them so
+  // previews agree with what actually fires: names, ranges (either way
+  // round), a 7 for Sunday swapped for 0 before ranges are read (so 5-7 is
+  // Sunday to Friday), and a trailing /step over the whole field keeping the
+  // values divisible by the step (so day-of-month */2 is 2, 4, ...)
+  parseField(text, { min, max, names }) {
+    let field = names === DAY_NAMES ? text.replace('7', '0') : text;
+    field = field.toLowerCase();
+    if (names) {
+      field = field.replace(/[a-z]+/g, word =>
+        names.findIndex(name => name.toLowerCase() === word.substring(0, 3)) + min);
+    }
+
+    const [list, step] = field.split('/');
+    const values = new Set();
+
+    for (const item of list.split(',')) {
+      const [first, last] = item === '*' ? [min, max] : item.split('-').map(Number);
+      const to = last === undefined ? first : last;
+
+      for (let value = Math.min(first, to); value <= Math.max(first, to); value++) {
+        values.add(value);
+      }
+    }
+
+    if (step) {
+      for (const value of values) {
+        if (value % parseInt(step) !== 0) values.delete(value);
+      }
+    }
+
+    return values;
+  }
+
+  // One Set of values per field; an optional seconds field is ignored, as
+  // billing crons are minute-resolution. Like node-cron, day-of-month and
+  // day-of-week must both match.
+  parseExpression(expression) {
+    const trimmed = String(expression).trim();
+    if (!cron.validate(trimmed)) {
+      throw new Error(`Invalid cron expression "${expression}"`);
+    }
+
+    const fields = trimmed.split(/\s+/);
+    return fields.slice(fields.length - 5).map((field, index) => this.parseField(field, CRON_FIELDS[index]));
+  }
+
+  // Next `count` times the expression fires after `from` (and not after
+  // `until`, if given), skipping any for which isAllowed(date) is false. Days
+  // and hours that cannot match are skipped whole, so even sparse
+  // expressions resolve quickly.
+  getNextRuns(expression, { timezone, count = 5, from = new Date(), until = null, isAllowed = () => true } = {}) {
+    const [minutes, hours, dates, months, days] = this.parseExpression(expression);
+
+    const runs = [];
+    const limit = until ? until.getTime() + 1 : from.getTime() + SEARCH_LIMIT_DAYS * 24 * 60 * MINUTE_MS;
+    let time = Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+
+    while (runs.length < count && time < limit) {
+      const local = this.localParts(new Date(time), timezone);
+      const hour = Math.floor(local.minutes / 60);
+      const minuteOfHour = local.minutes % 60;
+
+      if (!dates.has(local.date) || !months.has(local.month) || !days.has(local.day)) {
+        time += (24 * 60 - local.minutes) * MINUTE_MS;
+        continue;
+      }
+
+      if (!hours.has(hour)) {
+        time += (60 - minuteOfHour) * MINUTE_MS;
+        continue;
+      }
+
+      // Offsets only change on hour boundaries, so the rest of the hour can
+      // be walked without converting every minute
+      for (let minute = minuteOfHour; minute < 60 && runs.length < count; minute++) {
+        if (!minutes.has(minute)) continue;
+
+        const runAt = new Date(time + (minute - minuteOfHour) * MINUTE_MS);
+        if (runAt.getTime() >= limit) break;
+        if (isAllowed(runAt)) runs.push(runAt);
+      }
+
+      time += (60 - minuteOfHour) * MINUTE_MS;
+    }
+
+    return runs;
+  }
+}
+
+module.exports = new ScheduleCalendar();
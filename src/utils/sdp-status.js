@@ -0,0 +1,76 @@
+const config = require('../config');
+
+// What each outcome means for the charge: whether the job retries it and
+// which subscription_status the subscriber is moved to ('B' is excluded by
+// every client filter)
+const POLICIES = {
+  success: { retry: false, clientStatus: null },
+  retryable: { retry: true, clientStatus: null },
+  // Retried by a later job, when the subscriber may have topped up
+  insufficient_funds: { retry: false, clientStatus: null },
+  unsubscribe: { retry: false, clientStatus: 'I' },
+  blacklist: { retry: false, clientStatus: 'B' },
+  // Accepted (HTTP 2xx) with an unlisted code: the charge may have gone
+  // through, so it waits for the PaymentSuccess callback instead of a retry
+  ambiguous: { retry: false, clientStatus: null },
+  unknown: { retry: true, clientStatus: null }
+};
+
+// config.sdpStatusCodes key for each outcome
+const CODE_LISTS = {
+  success: 'success',
+  retryable: 'retryable',
+  insufficient_funds: 'insufficientFunds',
+  unsubscribe: 'unsubscribe',
+  blacklist: 'blacklist'
+};
+
+// Classifies SDP payment answers by responseParam.statusCode: the SDP reports
+// many business rejections with HTTP 200, so the HTTP status alone says little
+class SdpStatus {
+  get outcomes() {
+    return Object.keys(POLICIES);
+  }
+
+  parseCodes(value) {
+    if (!value) return [];
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => String(item).trim().toUpperCase()).filter(item => item.length > 0);
+  }
+
+  outcomeForCode(statusCode) {
+    if (!statusCode) return null;
+    const code = String(statusCode).trim().toUpperCase();
+
+    for (const [outcome, key] of Object.entries(CODE_LISTS)) {
+      if (this.parseCodes(config.sdpStatusCodes[key]).includes(code)) {
+        return outcome;
+      }
+    }
+    return null;
+  }
+
+  // An axios-style response: { status, data: { responseParam: { statusCode } } }
+  classify(response) {
+    const statusCode = response.data?.responseParam?.statusCode || null;
+    let outcome = this.outcomeForCode(statusCode);
+
+    if (!outcome) {
+      // Unlisted codes: token, throttling and server errors are worth another
+      // attempt whatever the body says; an accepted request may have charged;
+      // anything else is retried as unknown
+      const status = response.status;
+      if (status === 401 || status === 429 || status >= 500) {
+        outcome = 'retryable';
+      } else if (status >= 200 && status < 300) {
+        outcome = 'ambiguous';
+      } else {
+        outcome = 'unknown';
+      }
+    }
+
+    return { outcome, statusCode, ...POLICIES[outcome] };
+  }
+}
+
+module.exports = new SdpStatus();
@@ -0,0 +1,43 @@
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Token bucket: allows ratePerSecond requests on average and bursts of up to
+// `burst`. take() waits for a token rather than failing, and waiters are
+// served in arrival order. A rate of 0 or less disables the limit.
+class TokenBucket {
+  constructor({ ratePerSecond, burst = ratePerSecond }) {
+    this.ratePerSecond = ratePerSecond;
+    this.burst = Math.max(1, burst);
+    this.tokens = this.burst;
+    this.updatedAt = Date.now();
+    this.tail = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.updatedAt) / 1000) * this.ratePerSecond);
+    this.updatedAt = now;
+  }
+
+  tryTake() {
+    if (this.ratePerSecond <= 0) return true;
+
+    this.refill();
+    if (this.tokens >= 1) {
+      this.tokens--;
+      return true;
+    }
+    return false;
+  }
+
+  take() {
+    const turn = this.tail.then(async () => {
+      while (!this.tryTake()) {
+        await sleep(Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000));
+      }
+    });
+    this.tail = turn;
+    return turn;
+  }
+}
+
+module.exports = TokenBucket;
@@ -0,0 +1,148 @@
+const { useFakePool } = require('./helpers/setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const authService = require('../src/services/auth.service');
+const { requireAuth } = require('../src/middleware/auth.middleware');
+
+// Hash in the format Django's PBKDF2PasswordHasher stores in auth_user.password
+const djangoHash = (password, salt = 'abc123salt', iterations = 1000) => {
+  const hash = crypto.pbkdf2Sync(password, salt, iterations, 32, 'sha256').toString('base64');
+  return `pbkdf2_sha256$${iterations}$${salt}$${hash}`;
+};
+
+const userRow = (overrides = {}) => ({
+  id: 7,
+  username: 'operator',
+  first_name: 'Op',
+  last_name: 'Erator',
+  email: 'operator@example.com',
+  password: djangoHash('correct horse'),
+  is_active: 1,
+  is_superuser: 0,
+  is_staff: 1,
+  ...overrides
+});
+
+describe('AuthService.verifyDjangoPassword', () => {
+  it('accepts the password the hash was made from', async () => {
+    assert.equal(await authService.verifyDjangoPassword('correct horse', djangoHash('correct horse')), true);
+  });
+
+  it('rejects any other password', async () => {
+    assert.equal(await authService.verifyDjangoPassword('wrong horse', djangoHash('correct horse')), false);
+  });
+
+  it('honours the iteration count stored in the hash', async () => {
+    const hash = djangoHash('correct horse', 'salt', 2000);
+    const tampered = hash.replace('$2000$', '$1000$');
+
+    assert.equal(await authService.verifyDjangoPassword('correct horse', hash), true);
+    assert.equal(await authService.verifyDjangoPassword('correct horse', tampered), false);
+  });
+
+  it('rejects other hashers and malformed hashes', async () => {
+    assert.equal(await authService.verifyDjangoPassword('x', 'argon2$argon2id$v=19$m=102400,t=2,p=8$c2FsdA$aGFzaA'), false);
+    assert.equal(await authService.verifyDjangoPassword('x', 'pbkdf2_sha256$1000$salt'), false);
+    assert.equal(await authService.verifyDjangoPassword('x', null), false);
+  });
+});
+
+describe('AuthService.authenticateUser', () => {
+  let pool;
+
+  beforeEach(() => {
+    pool = useFakePool();
+  });
+
+  it('returns the user and stamps last_login for valid credentials', async () => {
+    pool.on(/FROM auth_user/, () => [userRow()]);
+
+    const user = await authService.authenticateUser('operator', 'correct horse');
+
+    assert.deepEqual(user, {
+      id: 7,
+      username: 'operator',
+      firstName: 'Op',
+      lastName: 'Erator',
+      email: 'operator@example.com',
+      isActive: true,
+      isSuperuser: false,
+      isStaff: true
+    });
+    assert.deepEqual(pool.queriesMatching(/UPDATE auth_user SET last_login/)[0].params, [7]);
+  });
+
+  it('returns null for a wrong password without touching last_login', async () => {
+    pool.on(/FROM auth_user/, () => [userRow()]);
+
+    assert.equal(await authService.authenticateUser('operator', 'wrong horse'), null);
+    assert.equal(pool.queriesMatching(/last_login/).length, 0);
+  });
+
+  it('returns null for unknown or inactive users', async () => {
+    pool.on(/FROM auth_user/, () => []);
+
+    assert.equal(await authService.authenticateUser('ghost', 'correct horse'), null);
+    assert.deepEqual(pool.queriesMatching(/FROM auth_user/)[0].params, ['ghost']);
+  });
+
+  it('returns null when the database is unreachable', async () => {
+    pool.on(/FROM auth_user/, () => {
+      throw new Error('connect ECONNREFUSED');
+    });
+
+    assert.equal(await authService.authenticateUser('operator', 'correct horse'), null);
+  });
+});
+
+describe('sessions and permissions', () => {
+  const staff = { username: 'operator', isActive: true, isStaff: true, isSuperuser: false };
+
+  // Runs the middleware and reports the status it answered with, or 'next'
+  const runMiddleware = (middleware, req) => new Promise(resolve => {
+    const res = {
+      status: (code) => ({ json: () => resolve(code) })
+    };
+    middleware({ path: '/api/test', headers: {}, ...req }, res, () => resolve('next'));
+  });
+
+  it('validates a session until it is destroyed', () => {
+    const { sessionId } = authService.createSession(staff);
+
+    assert.equal(authService.validateSession(sessionId), staff);
+    assert.equal(authService.destroySession(sessionId), true);
+    assert.equal(authService.validateSession(sessionId), null);
+  });
+
+  it('drops expired sessions', () => {
+    const { sessionId } = authService.createSession(staff);
+    authService.activeSessions.get(sessionId).expiresAt = new Date(Date.now() - 1000);
+
+    assert.equal(authService.validateSession(sessionId), null);
+    assert.equal(authService.activeSessions.has(sessionId), false);
+  });
+
+  it('grants permission levels by role', () => {
+    const superuser = { ...staff, isStaff: false, isSuperuser: true };
+    const user = { ...staff, isStaff: false };
+
+    assert.equal(authService.hasPermission(user, 'user'), true);
+    assert.equal(authService.hasPermission(user, 'staff'), false);
+    assert.equal(authService.hasPermission(staff, 'staff'), true);
+    assert.equal(authService.hasPermission(staff, 'superuser'), false);
+    assert.equal(authService.hasPermission(superuser, 'staff'), true);
+    assert.equal(authService.hasPermission({ ...superuser, isActive: false }, 'user'), false);
+  });
+
+  it('requireAuth checks the session cookie and permission level', async () => {
+    const { sessionId } = authService.createSession(staff);
+
+    assert.equal(await runMiddleware(requireAuth('staff'), {}), 401);
+    assert.equal(await runMiddleware(requireAuth('staff'), { cookies: { sessionId: 'unknown' } }), 401);
+    assert.equal(await runMiddleware(requireAuth('superuser'), { cookies: { sessionId } }), 403);
+    assert.equal(await runMiddleware(requireAuth('staff'), { cookies: { sessionId } }), 'next');
+    assert.equal(await runMiddleware(requireAuth('staff'), { headers: { 'x-session-id': sessionId } }), 'next');
+  });
+});
@@ -0,0 +1,202 @@
+const { startApp, stubModule, useFakePool } = require('./helpers/setup');
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+
+// The games services need the generated Prisma client; the tests script them instead
+const gamesService = {
+  getAllGames: async () => [],
+  getGameBySlug: async () => null,
+  scanGames: () => {},
+  deleteGame: async () => ({ game: null })
+};
+const gameAnalyticsService = {
+  isFavorite: async () => false,
+  startSession: async () => null,
+  endSession: async () => null,
+  updateSession: async () => null,
+  getUserMetrics: async () => null,
+  getGameMetrics: async () => null,
+  addFavorite: async () => null,
+  removeFavorite: async () => {},
+  getUserFavorites: async () => [],
+  getPlayHistory: async () => []
+};
+stubModule('src/services/games.service.js', gamesService);
+stubModule('src/services/game-analytics.service.js', gameAnalyticsService);
+
+const authService = require('../src/services/auth.service');
+const gamesApiRoutes = require('../src/routes/games-api');
+
+const SUBSCRIBER = '254700000001';
+
+describe('games API', () => {
+  let app;
+  let pool;
+
+  const request = (path, { method = 'GET', cookie, body } = {}) => fetch(`${app.baseUrl}/api${path}`, {
+    method,
+    headers: {
+      ...(cookie ? { Cookie: cookie } : {}),
+      ...(body ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const asSubscriber = { cookie: `verified_msisdn=${SUBSCRIBER}` };
+
+  before(async () => {
+    app = await startApp(express()
+      .use(cookieParser())
+      .use(express.json())
+      .use('/api', gamesApiRoutes));
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    pool = useFakePool();
+    // Only SUBSCRIBER has an active subscription
+    pool.on(/FROM clients WHERE msisdn/, ([msisdn]) => (msisdn === SUBSCRIBER ? [{ msisdn, subscription_status: 'A' }] : []));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('access', () => {
+    it('asks visitors without a verified MSISDN to verify', async () => {
+      const response = await request('/games');
+      const body = await response.json();
+
+      assert.equal(response.status, 403);
+      assert.equal(body.needsVerify, true);
+      assert.equal(body.error, 'MSISDN verification required');
+    });
+
+    it('turns away MSISDNs without an active subscription', async () => {
+      const response = await request('/games', { cookie: 'verified_msisdn=254799999999' });
+      const body = await response.json();
+
+      assert.equal(response.status, 403);
+      assert.equal(body.error, 'Inactive subscription');
+    });
+
+    it('lets admins in with their dashboard session', async () => {
+      const { sessionId } = authService.createSession({ username: 'operator', isActive: true, isStaff: true });
+      mock.method(gameAnalyticsService, 'getUserFavorites', async () => []);
+
+      const response = await request('/games/favorites/list', { cookie: `sessionId=${sessionId}` });
+
+      assert.equal(response.status, 200);
+      assert.equal(gameAnalyticsService.getUserFavorites.mock.calls[0].arguments[0], 'admin');
+      assert.equal(pool.queries.length, 0);
+    });
+
+    it('answers 500 when the subscription lookup fails', async () => {
+      useFakePool().on(/FROM clients/, () => {
+        throw new Error('Too many connections');
+      });
+
+      const response = await request('/games', asSubscriber);
+
+      assert.equal(response.status, 500);
+      assert.equal((await response.json()).error, 'Authentication error');
+    });
+  });
+
+  describe('catalogue', () => {
+    it('lists the games', async () => {
+      mock.method(gamesService, 'getAllGames', async () => [{ id: 1, slug: 'snake', title: 'Snake' }]);
+
+      const response = await request('/games', asSubscriber);
+      const body = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(body, { success: true, games: [{ id: 1, slug: 'snake', title: 'Snake' }] });
+    });
+
+    it('returns a game with the subscriber favourite flag', async () => {
+      mock.method(gamesService, 'getGameBySlug', async (slug) => (slug === 'snake' ? { id: 1, slug } : null));
+      mock.method(gameAnalyticsService, 'isFavorite', async () => true);
+
+      const found = await request('/games/snake', asSubscriber);
+      const missing = await request('/games/tetris', asSubscriber);
+
+      assert.deepEqual((await found.json()).game, { id: 1, slug: 'snake', isFavorite: true });
+      assert.deepEqual(gameAnalyticsService.isFavorite.mock.calls[0].arguments, [SUBSCRIBER, 1]);
+      assert.equal(missing.status, 404);
+    });
+
+    it('reports service failures as 500', async () => {
+      mock.method(gamesService, 'getAllGames', async () => {
+        throw new Error('Database unavailable');
+      });
+
+      const response = await request('/games', asSubscriber);
+
+      assert.equal(response.status, 500);
+      assert.equal((await response.json()).error, 'Database unavailable');
+    });
+  });
+
+  describe('sessions and favourites', () => {
+    it('starts a play session for the subscriber', async () => {
+      mock.method(gameAnalyticsService, 'startSession', async (msisdn, gameId) => ({ id: 10, msisdn, game_id: gameId }));
+
+      const response = await request('/games/session/start', { ...asSubscriber, method: 'POST', body: { gameId: '3' } });
+
+      assert.equal(response.status, 200);
+      assert.deepEqual((await response.json()).session, { id: 10, msisdn: SUBSCRIBER, game_id: 3 });
+    });
+
+    it('requires a game id to start a session', async () => {
+      const response = await request('/games/session/start', { ...asSubscriber, method: 'POST', body: {} });
+
+      assert.equal(response.status, 400);
+      assert.equal((await response.json()).error, 'Game ID is required');
+    });
+
+    it('requires a session id to end a session', async () => {
+      const response = await request('/games/session/end', { ...asSubscriber, method: 'POST', body: {} });
+
+      assert.equal(response.status, 400);
+    });
+
+    it('reports a duplicate favourite as a bad request', async () => {
+      mock.method(gameAnalyticsService, 'addFavorite', async () => {
+        throw new Error('Game already in favorites');
+      });
+
+      const response = await request('/games/favorites/add', { ...asSubscriber, method: 'POST', body: { gameId: 3 } });
+
+      assert.equal(response.status, 400);
+      assert.equal((await response.json()).error, 'Game already in favorites');
+    });
+
+    it('passes the history limit through', async () => {
+      mock.method(gameAnalyticsService, 'getPlayHistory', async () => []);
+
+      await request('/games/history/list?limit=25', asSubscriber);
+
+      assert.deepEqual(gameAnalyticsService.getPlayHistory.mock.calls[0].arguments, [SUBSCRIBER, 25]);
+    });
+  });
+
+  describe('administration', () => {
+    it('only lets staff delete games', async () => {
+      mock.method(gamesService, 'deleteGame', async (gameId) => ({ game: { id: gameId } }));
+      const user = authService.createSession({ username: 'viewer', isActive: true, isStaff: false });
+      const staff = authService.createSession({ username: 'operator', isActive: true, isStaff: true });
+
+      const asSubscriberResponse = await request('/games/3', { ...asSubscriber, method: 'DELETE' });
+      const asUserResponse = await request('/games/3', { cookie: `sessionId=${user.sessionId}`, method: 'DELETE' });
+      const asStaffResponse = await request('/games/3', { cookie: `sessionId=${staff.sessionId}`, method: 'DELETE' });
+
+      assert.equal(asSubscriberResponse.status, 401);
+      assert.equal(asUserResponse.status, 403);
+      assert.equal(asStaffResponse.status, 200);
+      assert.deepEqual((await asStaffResponse.json()).game, { id: 3 });
+      assert.equal(gamesService.deleteGame.mock.callCount(), 1);
+    });
+  });
+});
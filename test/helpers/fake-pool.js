@@ -0,0 +1,58 @@
+// In-memory stand-in for the mysql2 pool: every statement is recorded and
+// answered by the first handler whose pattern matches the SQL. Unmatched
+// statements succeed with no rows, like DDL and most writes.
+class FakePool {
+  constructor() {
+    this.handlers = [];
+    this.queries = [];
+  }
+
+  // handler(params, sql) returns rows (or an OkPacket-like object) or throws
+  on(pattern, handler) {
+    this.handlers.push({ pattern, handler });
+    return this;
+  }
+
+  async execute(sql, params = []) {
+    this.queries.push({ sql, params });
+
+    const match = this.handlers.find(({ pattern }) => pattern.test(sql));
+    if (!match) {
+      return [/^\s*SELECT/i.test(sql) ? [] : { affectedRows: 1, insertId: 1 }, []];
+    }
+
+    const result = await match.handler(params, sql);
+    return [result === undefined ? [] : result, []];
+  }
+
+  async query(sql, params = []) {
+    return this.execute(sql, params);
+  }
+
+  async getConnection() {
+    return {
+      execute: (sql, params) => this.execute(sql, params),
+      query: (sql, params) => this.execute(sql, params),
+      beginTransaction: async () => {},
+      commit: async () => {},
+      rollback: async () => {},
+      release: () => {}
+    };
+  }
+
+  queriesMatching(pattern) {
+    return this.queries.filter(({ sql }) => pattern.test(sql));
+  }
+}
+
+// Error shaped like the one mysql2 raises for a missing table
+const noSuchTable = (table) => {
+  const error = new Error(`Table '${table}' doesn't exist`);
+  error.code = 'ER_NO_SUCH_TABLE';
+  return error;
+};
+
+module.exports = {
+  FakePool,
+  noSuchTable
+};
@@ -0,0 +1,90 @@
+// Loaded first by every test file: configuration the services read at
+// require time, and a quiet logger
+const path = require('path');
+
+// Nothing may reach the real SDP; startMockSdp points these at the mock
+const UNREACHABLE = 'http://127.0.0.1:9';
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  SDP_BASE_URL: UNREACHABLE,
+  SDP_FALLBACK_BASE_URL: UNREACHABLE,
+  SAFARICOM_CONFIG_URL: `${UNREACHABLE}/api/config/`,
+  SAFARICOM_MSISDN_URL: `${UNREACHABLE}/partner/api/v2/fetchMaskedMsisdn`,
+  SMS_API_USERNAME: 'test-user',
+  SMS_API_PASSWORD: 'test-password',
+  CPID: 'TEST',
+  DEFAULT_OFFER_CODE: '001',
+  CHARGE_AMOUNT: '10',
+  BATCH_DELAY: '1',
+  PAYMENT_RECONCILE_GRACE_MS: '50',
+  WEBHOOK_SECRET: 'test-webhook-secret',
+  BILLING_BLACKOUT_WINDOWS: ''
+});
+
+const logger = require('../../src/utils/logger');
+logger.setLogLevel(process.env.TEST_LOG ? ['info', 'success', 'warn', 'error'] : []);
+
+const { FakePool } = require('./fake-pool');
+
+// Swaps the database pool for a FakePool; returns it for the test to script
+const useFakePool = () => {
+  const databaseService = require('../../src/services/database');
+  const pool = new FakePool();
+  databaseService.pool = pool;
+  return pool;
+};
+
+// Replaces a module before anything requires it, for dependencies that
+// cannot load here (e.g. the generated Prisma client)
+const stubModule = (modulePath, exports) => {
+  const resolved = require.resolve(path.resolve(__dirname, '../..', modulePath));
+  require.cache[resolved] = {
+    id: resolved,
+    filename: resolved,
+    loaded: true,
+    exports
+  };
+};
+
+// Starts the bundled mock SDP on a free port and points the SDP URLs at it
+const startMockSdp = async (options = {}) => {
+  const config = require('../../src/config');
+  const MockSdpServer = require('../../mock-sdp/server');
+
+  const mock = new MockSdpServer({ port: 0, callbackDelayMs: 60 * 60 * 1000, ...options });
+  await mock.start();
+
+  const baseUrl = `http://127.0.0.1:${mock.options.port}`;
+  Object.assign(config.safaricom, {
+    authUrl: `${baseUrl}/api/auth/login`,
+    primaryServer: `${baseUrl}/api/public/SDP/paymentRequest`,
+    fallbackServer: `${baseUrl}/api/public/SDP/paymentRequest`,
+    smsUrl: `${baseUrl}/api/public/SDP/sendSMSRequest`,
+    configUrl: `${baseUrl}/api/config/`,
+    msisdnUrl: `${baseUrl}/partner/api/v2/fetchMaskedMsisdn`
+  });
+
+  return mock;
+};
+
+// Serves an express app on a free port; resolves with its base URL and close()
+const startApp = (app) => new Promise((resolve, reject) => {
+  const server = app.listen(0, '127.0.0.1', () => {
+    resolve({
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(done => {
+        server.close(() => done());
+        server.closeAllConnections();
+      })
+    });
+  });
+  server.on('error', reject);
+});
+
+module.exports = {
+  startApp,
+  startMockSdp,
+  useFakePool,
+  stubModule
+};
@@ -0,0 +1,142 @@
+const { useFakePool } = require('./helpers/setup');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const databaseService = require('../src/services/database');
+const leaderLease = require('../src/services/leader-lease');
+const schedulerService = require('../src/services/scheduler');
+
+const leaseAs = (token) => {
+  leaderLease.token = token;
+  leaderLease.validUntil = Date.now() + 60 * 1000;
+};
+
+describe('DatabaseService.claimSchedulerLease', () => {
+  it('takes over an expired lease with the next fencing token', async () => {
+    const pool = useFakePool();
+    pool.on(/INSERT IGNORE INTO scheduler_leases/, () => ({ affectedRows: 0 }));
+    pool.on(/SELECT holder_id/, () => [{ holder_id: 'node-a', fencing_token: 4, expired: 1 }]);
+
+    const claim = await databaseService.claimSchedulerLease('scheduler', 'node-b', null, 30);
+
+    assert.deepEqual(claim, { token: 5, previousHolder: 'node-a' });
+    const [takeover] = pool.queriesMatching(/SET holder_id = \?, fencing_token = fencing_token \+ 1/);
+    assert.deepEqual(takeover.params, ['node-b', 30, 'scheduler', 4]);
+  });
+
+  it('leaves a live lease to its holder', async () => {
+    const pool = useFakePool();
+    pool.on(/UPDATE scheduler_leases\s+SET renewed_at/, () => ({ affectedRows: 0 }));
+    pool.on(/INSERT IGNORE INTO scheduler_leases/, () => ({ affectedRows: 0 }));
+    pool.on(/SELECT holder_id/, () => [{ holder_id: 'node-a', fencing_token: 4, expired: 0 }]);
+
+    const claim = await databaseService.claimSchedulerLease('scheduler', 'node-b', 3, 30);
+
+    assert.equal(claim, null);
+    assert.equal(pool.queriesMatching(/fencing_token = fencing_token \+ 1/).length, 0);
+  });
+});
+
+describe('LeaderLeaseService', () => {
+  let events;
+
+  beforeEach(() => {
+    leaderLease.token = null;
+    leaderLease.validUntil = 0;
+    events = [];
+    leaderLease.on('acquired', (data) => events.push({ name: 'acquired', data }));
+    leaderLease.on('lost', (data) => events.push({ name: 'lost', data }));
+  });
+
+  afterEach(() => {
+    leaderLease.removeAllListeners();
+    leaderLease.token = null;
+    leaderLease.validUntil = 0;
+    mock.restoreAll();
+  });
+
+  it('announces a takeover once and renews quietly after it', async () => {
+    mock.method(databaseService, 'claimSchedulerLease', async () => ({ token: 7, previousHolder: 'node-a' }));
+
+    await leaderLease.renew();
+    await leaderLease.renew();
+
+    assert.equal(leaderLease.isLeader(), true);
+    assert.equal(leaderLease.holds(7), true);
+    assert.deepEqual(events.map(event => event.name), ['acquired']);
+    assert.equal(events[0].data.previousHolder, 'node-a');
+    assert.deepEqual(databaseService.claimSchedulerLease.mock.calls[1].arguments.slice(1, 3), [leaderLease.nodeId, 7]);
+  });
+
+  it('keeps the lease through a failed renewal until it would have expired', async () => {
+    leaseAs(7);
+    mock.method(databaseService, 'claimSchedulerLease', async () => { throw new Error('connection lost'); });
+
+    await leaderLease.renew();
+    assert.equal(leaderLease.holds(7), true);
+
+    leaderLease.validUntil = Date.now() - 1;
+    await leaderLease.renew();
+
+    assert.equal(leaderLease.isLeader(), false);
+    assert.deepEqual(events.map(event => event.data.reason), ['renewal failed']);
+  });
+
+  it('steps down when another instance holds the lease', async () => {
+    leaseAs(7);
+    mock.method(databaseService, 'claimSchedulerLease', async () => null);
+
+    await leaderLease.renew();
+
+    assert.equal(leaderLease.holds(7), false);
+    assert.deepEqual(events.map(event => event.name), ['lost']);
+  });
+});
+
+describe('SchedulerService under the lease', () => {
+  afterEach(() => {
+    leaderLease.token = null;
+    leaderLease.validUntil = 0;
+    mock.restoreAll();
+  });
+
+  it('halts jobs started under a lease it has since lost, leaving them to be resumed', () => {
+    schedulerService.globalBlackoutWindows = [];
+    leaseAs(7);
+    const shouldHalt = schedulerService.haltCheck();
+
+    assert.equal(shouldHalt(), null);
+
+    leaseAs(8);
+    const reason = shouldHalt();
+    schedulerService.globalBlackoutWindows = null;
+
+    assert.match(reason, /lease lost/);
+    assert.equal(schedulerService.jobEndStatus({ status: 'finished', haltedReason: reason }), 'running');
+  });
+
+  it('resumes only jobs of this instance or the previous lease holder', async () => {
+    schedulerService.globalBlackoutWindows = [];
+    leaseAs(7);
+    mock.method(databaseService, 'getProcessingJobsByStatus', async () => [
+      { job_id: 'own', node_id: leaderLease.nodeId },
+      { job_id: 'previous', node_id: 'node-a' },
+      { job_id: 'legacy', node_id: null },
+      { job_id: 'elsewhere', node_id: 'node-c' }
+    ]);
+    mock.method(schedulerService, 'resumeJob', async () => {});
+
+    await schedulerService.resumeInterruptedJobs('node-a');
+    schedulerService.globalBlackoutWindows = null;
+
+    const resumed = schedulerService.resumeJob.mock.calls.map(call => call.arguments[0].job_id);
+    assert.deepEqual(resumed, ['own', 'previous', 'legacy']);
+  });
+
+  it('leaves jobs of other instances to them', async () => {
+    const result = await schedulerService.cancelJob({ job_id: 'elsewhere', status: 'paused', node_id: 'node-c' });
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /node-c/);
+  });
+});
@@ -0,0 +1,368 @@
+const { startMockSdp, useFakePool } = require('./helpers/setup');
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../src/config');
+const authService = require('../src/services/auth');
+const databaseService = require('../src/services/database');
+const paymentService = require('../src/services/payment');
+const serverHealth = require('../src/services/server-health');
+const sdpStatus = require('../src/utils/sdp-status');
+
+const JOB_ID = 'job-test';
+
+// Payments table kept in memory, keyed by request id
+const useLedger = () => {
+  const payments = new Map();
+
+  mock.method(databaseService, 'getPaymentByRequestId', async (requestId) => payments.get(requestId) || null);
+  mock.method(databaseService, 'recordPaymentAttempt', async (attempt) => {
+    payments.set(attempt.requestId, {
+      request_id: attempt.requestId,
+      msisdn: attempt.msisdn,
+      status: attempt.status,
+      description: attempt.description,
+      timestamp: attempt.timestamp
+    });
+  });
+  mock.method(databaseService, 'expirePendingPayment', async (requestId, description) => {
+    const payment = payments.get(requestId);
+    if (!payment || payment.status !== 'PENDING') return false;
+    Object.assign(payment, { status: 'FAILED', description });
+    return true;
+  });
+  mock.method(databaseService, 'filterChargeableClients', async (clients) => ({ eligible: clients, excluded: [] }));
+  mock.method(databaseService, 'updateProcessingJobClient', async () => {});
+  mock.method(databaseService, 'setClientStatusFromCharge', async () => true);
+  mock.method(databaseService, 'getChargeRetry', async () => null);
+  mock.method(databaseService, 'saveChargeRetry', async () => {});
+
+  return payments;
+};
+
+const clientsFor = (...msisdns) => msisdns.map(msisdn => ({ msisdn, offer_code: '001' }));
+
+describe('PaymentService.processClients', () => {
+  let mockSdp;
+  let payments;
+  const requestTimeout = config.processing.requestTimeout;
+
+  before(async () => {
+    mockSdp = await startMockSdp({ timeoutMs: 500 });
+    config.processing.requestTimeout = 100;
+  });
+
+  after(async () => {
+    config.processing.requestTimeout = requestTimeout;
+    await mockSdp.stop();
+  });
+
+  beforeEach(() => {
+    mockSdp.reset();
+    serverHealth.reset();
+    authService.clearToken();
+    payments = useLedger();
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('charges every client once when the SDP accepts', async () => {
+    const results = await paymentService.processClients(clientsFor('254700000001', '254700000002', '254700000003'), 2, JOB_ID);
+
+    assert.equal(results.length, 3);
+    assert.ok(results.every(result => result.success));
+    assert.equal(mockSdp.paymentCount, 3);
+    assert.deepEqual([...payments.values()].map(payment => payment.status), ['SUCCESS', 'SUCCESS', 'SUCCESS']);
+    assert.equal(paymentService.getStats().permanentFailures, 0);
+  });
+
+  it('retries a rejected charge under a new request id', async () => {
+    mockSdp.setSequence(['unavailable', 'success']);
+
+    const results = await paymentService.processClients(clientsFor('254700000001'), 10, JOB_ID);
+
+    assert.equal(mockSdp.paymentCount, 2);
+    assert.deepEqual(results.map(result => result.success), [false, true]);
+    assert.equal(results[0].willRetry, true);
+    assert.equal(results[1].isRetry, true);
+
+    const recorded = [...payments.values()];
+    assert.deepEqual(recorded.map(payment => payment.status), ['FAILED', 'SUCCESS']);
+    assert.notEqual(recorded[0].request_id, recorded[1].request_id);
+    assert.equal(paymentService.getStats().retried, 1);
+  });
+
+  it('gives up after maxRetries further attempts', async () => {
+    mockSdp.overrides.set('254700000009', 'server_error');
+
+    const results = await paymentService.processClients(clientsFor('254700000009', '254700000001'), 10, JOB_ID);
+    const failing = results.filter(result => result.msisdn === '254700000009');
+
+    assert.equal(failing.length, paymentService.maxRetries + 1);
+    assert.ok(failing.every(result => !result.success));
+    assert.equal(failing[failing.length - 1].willRetry, false);
+    assert.equal(mockSdp.outcomeCounts.server_error, paymentService.maxRetries + 1);
+    assert.equal(mockSdp.outcomeCounts.success, 1);
+  });
+
+  it('counts a 200 carrying a failure code as declined and leaves insufficient funds for a later job', async () => {
+    mockSdp.setSequence(['insufficient_funds_200']);
+
+    const results = await paymentService.processClients(clientsFor('254700000001'), 10, JOB_ID);
+    const stats = paymentService.getStats();
+
+    assert.equal(mockSdp.paymentCount, 1);
+    assert.equal(results.length, 1);
+    assert.equal(results[0].success, false);
+    assert.equal(results[0].outcome, 'insufficient_funds');
+    assert.equal(results[0].willRetry, false);
+    assert.equal([...payments.values()][0].status, 'FAILED');
+    assert.equal(stats.successful, 0);
+    assert.equal(stats.successRate, 0);
+    assert.equal(stats.outcomes.insufficient_funds, 1);
+    assert.equal(databaseService.setClientStatusFromCharge.mock.callCount(), 0);
+  });
+
+  it('leaves an accepted charge with an unlisted code PENDING instead of charging again', async () => {
+    mockSdp.setSequence(['unlisted_200', 'success']);
+
+    const results = await paymentService.processClients(clientsFor('254700000001'), 10, JOB_ID);
+
+    assert.equal(mockSdp.paymentCount, 1);
+    assert.equal(results[0].outcome, 'ambiguous');
+    assert.equal(results[0].willRetry, false);
+    assert.equal([...payments.values()][0].status, 'PENDING');
+    assert.equal(databaseService.saveChargeRetry.mock.callCount(), 0);
+  });
+
+  it('deactivates unsubscribed subscribers without retrying them', async () => {
+    mockSdp.overrides.set('254700000002', 'inactive');
+
+    const results = await paymentService.processClients(clientsFor('254700000001', '254700000002'), 10, JOB_ID);
+    const calls = databaseService.setClientStatusFromCharge.mock.calls;
+
+    assert.equal(mockSdp.paymentCount, 2);
+    assert.equal(results.find(result => result.msisdn === '254700000002').outcome, 'unsubscribe');
+    assert.equal(calls.length, 1);
+    assert.deepEqual(calls[0].arguments.slice(0, 2), ['254700000002', 'I']);
+    assert.match(calls[0].arguments[2], /SVC0007/);
+  });
+
+  it('holds an unanswered charge as PENDING and retries once the grace period expires', async () => {
+    mockSdp.setSequence(['timeout', 'success']);
+
+    const results = await paymentService.processClients(clientsFor('254700000001'), 10, JOB_ID);
+    const recorded = [...payments.values()];
+
+    assert.deepEqual(results.map(result => result.success), [false, true]);
+    assert.equal(recorded[0].status, 'FAILED');
+    assert.match(recorded[0].description, /no callback within/);
+    assert.equal(recorded[1].status, 'SUCCESS');
+    assert.equal(databaseService.expirePendingPayment.mock.callCount(), 1);
+  });
+
+  it('does not re-charge when a callback confirms the unanswered request', async () => {
+    mockSdp.setSequence(['timeout', 'success']);
+
+    // The payment callback lands while the retry is held
+    databaseService.recordPaymentAttempt.mock.mockImplementation(async (attempt) => {
+      payments.set(attempt.requestId, {
+        request_id: attempt.requestId,
+        status: attempt.status === 'PENDING' ? 'SUCCESS' : attempt.status,
+        description: 'PaymentSuccess',
+        timestamp: attempt.timestamp
+      });
+    });
+
+    const results = await paymentService.processClients(clientsFor('254700000001'), 10, JOB_ID);
+
+    assert.equal(mockSdp.paymentCount, 1);
+    assert.equal(results[1].success, true);
+    assert.equal(results[1].reconciled, true);
+    assert.equal(databaseService.expirePendingPayment.mock.callCount(), 0);
+    const stats = paymentService.getStats();
+    assert.equal(stats.successful + stats.failed, stats.totalRequests);
+  });
+
+  it('counts an attempt recorded before a restart without sending it again', async () => {
+    const requestId = paymentService.buildRequestId('254700000001', JOB_ID, 1);
+    payments.set(requestId, { request_id: requestId, status: 'PENDING', description: 'No response', timestamp: new Date() });
+
+    const results = await paymentService.processClients(clientsFor('254700000001', '254700000002'), 10, JOB_ID);
+    const stats = paymentService.getStats();
+
+    assert.equal(results.find(result => result.msisdn === '254700000001').reconciled, true);
+    assert.equal(mockSdp.paymentCount, 1);
+    assert.deepEqual([stats.totalRequests, stats.successful, stats.failed], [2, 1, 1]);
+  });
+
+  it('logs in again after the SDP rejects the token', async () => {
+    mockSdp.setSequence(['token_expired', 'success']);
+
+    const results = await paymentService.processClients(clientsFor('254700000001'), 10, JOB_ID);
+
+    assert.deepEqual(results.map(result => result.success), [false, true]);
+    assert.equal(paymentService.getStats().errors.auth, 1);
+    assert.equal(mockSdp.recentRequests.filter(request => request.type === 'login').length, 2);
+  });
+
+  it('records a login timeout as failed, not as an unanswered charge', async () => {
+    paymentService.resetThrottling();
+    const getValidToken = authService.getValidToken.bind(authService);
+    let logins = 0;
+    mock.method(authService, 'getValidToken', async () => {
+      if (logins++ === 0) throw new Error('Authentication failed: timeout of 100ms exceeded');
+      return getValidToken();
+    });
+
+    const results = await paymentService.processClients(clientsFor('254700000001'), 10, JOB_ID);
+    const recorded = [...payments.values()];
+
+    assert.deepEqual(results.map(result => result.success), [false, true]);
+    assert.deepEqual(recorded.map(payment => payment.status), ['FAILED', 'SUCCESS']);
+    assert.equal(mockSdp.paymentCount, 1);
+    assert.equal(paymentService.concurrency.limit, config.processing.concurrentRequests);
+  });
+
+  it('fails an attempt whose checks hit a database error and retries it', async () => {
+    let lookups = 0;
+    const getPaymentByRequestId = databaseService.getPaymentByRequestId;
+    mock.method(databaseService, 'getPaymentByRequestId', async (requestId) => {
+      if (lookups++ === 0) throw new Error('Connection lost');
+      return getPaymentByRequestId(requestId);
+    });
+
+    const results = await paymentService.processClients(clientsFor('254700000001'), 10, JOB_ID);
+    const stats = paymentService.getStats();
+
+    assert.deepEqual(results.map(result => result.success), [false, true]);
+    assert.equal(results[0].server, 'NONE');
+    assert.deepEqual([stats.totalRequests, stats.successful, stats.failed], [2, 1, 1]);
+    assert.equal(mockSdp.paymentCount, 1);
+  });
+
+  it('stops before the next batch when shouldHalt returns a reason', async () => {
+    let batches = 0;
+    paymentService.once('batchCompleted', () => { batches++; });
+
+    const results = await paymentService.processClients(
+      clientsFor('254700000001', '254700000002', '254700000003', '254700000004'),
+      2,
+      JOB_ID,
+      { shouldHalt: () => (batches > 0 ? 'Billing blackout window' : null) }
+    );
+
+    assert.equal(results.length, 2);
+    assert.equal(mockSdp.paymentCount, 2);
+    assert.equal(paymentService.getStats().haltedReason, 'Billing blackout window');
+  });
+
+  it('never contacts the SDP or records payments in a dry run', async () => {
+    const results = await paymentService.processClients(clientsFor('254700000001', '254700000002'), 10, JOB_ID, {
+      simulation: { successRate: 1, timeoutRate: 0, minLatencyMs: 0, maxLatencyMs: 0 }
+    });
+
+    assert.ok(results.every(result => result.success));
+    assert.equal(mockSdp.paymentCount, 0);
+    assert.equal(databaseService.recordPaymentAttempt.mock.callCount(), 0);
+    assert.deepEqual(databaseService.filterChargeableClients.mock.calls[0].arguments[2], { record: false });
+    assert.equal(paymentService.getStats().simulated, true);
+  });
+
+  it('keeps the stats and events of jobs running side by side apart', async () => {
+    const running = [
+      paymentService.processClients(clientsFor('254700000001', '254700000002'), 1, 'job-a'),
+      paymentService.processClients(clientsFor('254700000003', '254700000004', '254700000005'), 1, 'job-b', {
+        simulation: { successRate: 1, timeoutRate: 0, minLatencyMs: 0, maxLatencyMs: 0 }
+      })
+    ];
+    const batchJobIds = [];
+    paymentService.getJob('job-a').on('batchCompleted', (data) => batchJobIds.push(data.jobId));
+
+    await Promise.all(running);
+
+    const jobA = paymentService.getStats('job-a');
+    const jobB = paymentService.getStats('job-b');
+    assert.deepEqual([jobA.successful, jobA.simulated, jobA.status], [2, false, 'finished']);
+    assert.deepEqual([jobB.successful, jobB.simulated, jobB.status], [3, true, 'finished']);
+    assert.deepEqual(batchJobIds, ['job-a', 'job-a']);
+    assert.equal(mockSdp.paymentCount, 2);
+  });
+
+  it('hands a job only its own batches and lets go of the listener when it ends', async () => {
+    const dryRun = { successRate: 1, timeoutRate: 0, minLatencyMs: 0, maxLatencyMs: 0 };
+    const batchJobIds = [];
+    const onBatchCompleted = (data) => batchJobIds.push(data.jobId);
+
+    await Promise.all([
+      paymentService.processClients(clientsFor('254700000001', '254700000002'), 1, 'job-a', { simulation: dryRun, onBatchCompleted }),
+      paymentService.processClients(clientsFor('254700000003'), 1, 'job-b', { simulation: dryRun })
+    ]);
+
+    assert.deepEqual(batchJobIds, ['job-a', 'job-a']);
+    assert.equal(paymentService.getJob('job-a').listenerCount('batchCompleted'), 0);
+  });
+
+  it('cancels a client in every running job', async () => {
+    const running = [
+      paymentService.processClients(clientsFor('254700000001', '254700000002'), 1, 'job-a'),
+      paymentService.processClients(clientsFor('254700000003', '254700000002'), 1, 'job-b')
+    ];
+    paymentService.cancelClient('254700000002');
+
+    await Promise.all(running);
+
+    assert.equal(paymentService.getStats('job-a').skipped, 1);
+    assert.equal(paymentService.getStats('job-b').skipped, 1);
+    assert.equal(mockSdp.paymentCount, 2);
+  });
+});
+
+describe('sdpStatus.classify', () => {
+  const saved = { ...config.sdpStatusCodes };
+  const response = (status, statusCode) => ({ status, data: { responseParam: { statusCode } } });
+
+  afterEach(() => Object.assign(config.sdpStatusCodes, saved));
+
+  it('classifies by the configured status code whatever the HTTP status', () => {
+    config.sdpStatusCodes.blacklist = 'SVC0280, svc0281';
+
+    assert.equal(sdpStatus.classify(response(200, 'SC0000')).outcome, 'success');
+    assert.equal(sdpStatus.classify(response(200, 'SVC0270')).outcome, 'insufficient_funds');
+    assert.equal(sdpStatus.classify(response(400, 'SVC0007')).clientStatus, 'I');
+    assert.deepEqual(sdpStatus.classify(response(200, 'SVC0281')), {
+      outcome: 'blacklist',
+      statusCode: 'SVC0281',
+      retry: false,
+      clientStatus: 'B'
+    });
+  });
+
+  it('falls back to the HTTP status for unlisted codes', () => {
+    assert.equal(sdpStatus.classify(response(503, 'SVC9999')).outcome, 'retryable');
+    assert.equal(sdpStatus.classify(response(401, null)).outcome, 'retryable');
+
+    assert.equal(sdpStatus.classify(response(200, 'SVC9999')).outcome, 'ambiguous');
+    assert.equal(sdpStatus.classify(response(200, 'SVC9999')).retry, false);
+
+    const unknown = sdpStatus.classify(response(400, 'SVC9999'));
+    assert.equal(unknown.outcome, 'unknown');
+    assert.equal(unknown.retry, true);
+  });
+});
+
+describe('DatabaseService.getRecentChargeActivity', () => {
+  it('counts today\'s attempts from midnight in the billing timezone', async () => {
+    const pool = useFakePool();
+    const timezone = config.processing.timezone;
+    config.processing.timezone = 'Africa/Nairobi';
+
+    await databaseService.getRecentChargeActivity(['254700000001']);
+    config.processing.timezone = timezone;
+
+    const [dayStart] = pool.queriesMatching(/FROM payments/)[0].params;
+    // Nairobi midnight is 21:00 UTC, whatever the server's own timezone
+    assert.deepEqual([dayStart.getUTCHours(), dayStart.getUTCMinutes(), dayStart.getUTCSeconds()], [21, 0, 0]);
+    assert.ok(Date.now() - dayStart.getTime() < 24 * 60 * 60 * 1000);
+  });
+});
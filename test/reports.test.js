@@ -0,0 +1,155 @@
+const { useFakePool } = require('./helpers/setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { noSuchTable } = require('./helpers/fake-pool');
+const reportsService = require('../src/services/reports.service');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('ReportsService', () => {
+  let pool;
+
+  beforeEach(() => {
+    pool = useFakePool();
+    reportsService.cache.clear();
+  });
+
+  describe('getDateFilter', () => {
+    it('looks back further for wider ranges', () => {
+      const lookback = (range) => Math.round((Date.now() - reportsService.getDateFilter(range).getTime()) / DAY);
+
+      assert.equal(lookback('hourly'), 1);
+      assert.equal(lookback('daily'), 7);
+      assert.equal(lookback('weekly'), 30);
+      assert.equal(lookback('monthly'), 90);
+      assert.equal(lookback('unknown'), 7);
+    });
+  });
+
+  describe('getDashboardMetrics', () => {
+    it('summarises payments since the range start', async () => {
+      pool.on(/FROM payments/, () => [{
+        totalTransactions: 8,
+        totalRevenue: '60.00',
+        successfulTransactions: 6,
+        failedTransactions: 2,
+        successfulUsers: 5
+      }]);
+
+      const metrics = await reportsService.getDashboardMetrics('weekly');
+
+      assert.deepEqual(metrics.summary, {
+        totalTransactions: 8,
+        totalRevenue: 60,
+        successfulTransactions: 6,
+        failedTransactions: 2,
+        successfulUsers: 5,
+        successRate: 75
+      });
+
+      const [since] = pool.queriesMatching(/FROM payments/)[0].params;
+      assert.equal(Math.round((Date.now() - since.getTime()) / DAY), 30);
+    });
+
+    it('reports a zero success rate and revenue for an empty range', async () => {
+      pool.on(/FROM payments/, () => [{
+        totalTransactions: 0,
+        totalRevenue: null,
+        successfulTransactions: 0,
+        failedTransactions: 0,
+        successfulUsers: 0
+      }]);
+
+      const { summary } = await reportsService.getDashboardMetrics('daily');
+
+      assert.equal(summary.successRate, 0);
+      assert.equal(summary.totalRevenue, 0);
+    });
+
+    it('serves repeated requests from the cache until it is cleared', async () => {
+      pool.on(/FROM payments/, () => [{ totalTransactions: 1, totalRevenue: 10, successfulTransactions: 1, failedTransactions: 0, successfulUsers: 1 }]);
+
+      await reportsService.getDashboardMetrics('daily');
+      await reportsService.getDashboardMetrics('daily');
+      assert.equal(pool.queries.length, 1);
+
+      await reportsService.getDashboardMetrics('monthly');
+      assert.equal(pool.queries.length, 2);
+
+      reportsService.clearCache();
+      await reportsService.getDashboardMetrics('daily');
+      assert.equal(pool.queries.length, 3);
+    });
+
+    it('passes database errors on and does not cache them', async () => {
+      let calls = 0;
+      pool.on(/FROM payments/, () => {
+        calls++;
+        if (calls === 1) throw new Error('Lock wait timeout exceeded');
+        return [{ totalTransactions: 0, totalRevenue: 0, successfulTransactions: 0, failedTransactions: 0, successfulUsers: 0 }];
+      });
+
+      await assert.rejects(reportsService.getDashboardMetrics('daily'), /Lock wait timeout/);
+      const metrics = await reportsService.getDashboardMetrics('daily');
+      assert.equal(metrics.summary.totalTransactions, 0);
+    });
+  });
+
+  describe('getPaymentAnalytics', () => {
+    it('maps the status, offer and failure breakdowns', async () => {
+      pool
+        .on(/GROUP BY status/, () => [{ status: 'SUCCESS', count: 6 }, { status: 'FAILED', count: 2 }])
+        .on(/GROUP BY offer_code/, () => [{ offerCode: '001', successfulPayments: 6, successfulUsers: 5, totalRevenue: '60.00', avgAmount: '10.0000' }])
+        .on(/GROUP BY description/, () => [{ description: 'Insufficient balance', failureCount: 2, affectedUsers: 2 }]);
+
+      const analytics = await reportsService.getPaymentAnalytics('daily');
+
+      assert.deepEqual(analytics.statusBreakdown, [{ status: 'SUCCESS', count: 6 }, { status: 'FAILED', count: 2 }]);
+      assert.deepEqual(analytics.offerPerformance, [{ offerCode: '001', successfulPayments: 6, successfulUsers: 5, totalRevenue: 60, avgAmount: 10 }]);
+      assert.deepEqual(analytics.failureReasons, [{ description: 'Insufficient balance', failureCount: 2, affectedUsers: 2 }]);
+    });
+  });
+
+  describe('getSmsDeliveryRates', () => {
+    it('computes a delivery rate per day', async () => {
+      pool.on(/FROM sms_delivery_receipts/, () => [
+        { date: '2026-03-01', totalMessages: 4, delivered: 3, failed: 1, expired: 0, pending: 0 },
+        { date: '2026-03-02', totalMessages: 0, delivered: 0, failed: 0, expired: 0, pending: 0 }
+      ]);
+
+      const rates = await reportsService.getSmsDeliveryRates('daily');
+
+      assert.deepEqual(rates.map(row => row.deliveryRate), [75, 0]);
+    });
+
+    it('returns no rows before the receipts table exists', async () => {
+      pool.on(/FROM sms_delivery_receipts/, () => {
+        throw noSuchTable('sms_delivery_receipts');
+      });
+
+      assert.deepEqual(await reportsService.getSmsDeliveryRates('daily'), []);
+    });
+  });
+
+  describe('exportSuccessfulPayments', () => {
+    it('writes a CSV row per payment and quotes descriptions', async () => {
+      pool.on(/FROM payments/, () => [{
+        id: 1,
+        msisdn: '254700000001',
+        request_id: 'req-1',
+        offer_code: '001',
+        amount: 10,
+        timestamp: '2026-03-01 10:00:00',
+        status: 'SUCCESS',
+        description: 'Accepted "ok"'
+      }]);
+
+      const csv = await reportsService.exportSuccessfulPayments('daily');
+      const lines = csv.split('\n');
+
+      assert.equal(lines[0], 'ID,MSISDN,Request ID,Offer Code,Amount,Timestamp,Status,Description');
+      assert.equal(lines[1], '1,254700000001,req-1,001,10,2026-03-01 10:00:00,SUCCESS,"Accepted ""ok"""');
+    });
+  });
+});
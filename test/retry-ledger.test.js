@@ -0,0 +1,237 @@
+const { startMockSdp, useFakePool } = require('./helpers/setup');
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../src/config');
+const authService = require('../src/services/auth');
+const databaseService = require('../src/services/database');
+const paymentService = require('../src/services/payment');
+const retryLedger = require('../src/services/retry-ledger');
+const serverHealth = require('../src/services/server-health');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// charge_retries kept in memory, in the shape the table returns
+const useRetryTable = () => {
+  const rows = new Map();
+
+  mock.method(databaseService, 'getChargeRetry', async (msisdn) => rows.get(msisdn) || null);
+  mock.method(databaseService, 'saveChargeRetry', async (retry) => {
+    rows.set(retry.msisdn, {
+      msisdn: retry.msisdn,
+      offer_code: retry.offerCode,
+      error_class: retry.errorClass,
+      attempts: retry.attempts,
+      status: retry.status,
+      first_failed_at: retry.firstFailedAt,
+      next_retry_at: retry.nextRetryAt,
+      last_job_id: retry.jobId
+    });
+  });
+  mock.method(databaseService, 'resolveChargeRetry', async (msisdn, status) => {
+    const row = rows.get(msisdn);
+    if (!row || row.status !== 'scheduled') return false;
+    Object.assign(row, { status, next_retry_at: null });
+    return true;
+  });
+
+  return rows;
+};
+
+const hoursUntil = (date) => Math.round((date.getTime() - Date.now()) / HOUR_MS * 10) / 10;
+
+describe('RetryLedgerService', () => {
+  const saved = { ...config.retryLedger, policies: { ...config.retryLedger.policies } };
+  let rows;
+
+  beforeEach(() => {
+    rows = useRetryTable();
+  });
+
+  afterEach(() => {
+    Object.assign(config.retryLedger, saved, { policies: { ...saved.policies } });
+    mock.restoreAll();
+  });
+
+  it('doubles the backoff per retry up to the class maximum', async () => {
+    config.retryLedger.policies.insufficient_funds = '4,10,6';
+
+    const waits = [];
+    for (let i = 0; i < 3; i++) {
+      const entry = await retryLedger.schedule({ msisdn: '254700000001', offerCode: '001', errorClass: 'insufficient_funds' });
+      waits.push(hoursUntil(entry.nextRetryAt));
+    }
+
+    assert.deepEqual(waits, [4, 8, 10]);
+    assert.equal(rows.get('254700000001').attempts, 3);
+  });
+
+  it('keeps a separate policy per error class', async () => {
+    const auth = await retryLedger.schedule({ msisdn: '254700000001', errorClass: 'auth' });
+    const timeout = await retryLedger.schedule({ msisdn: '254700000002', errorClass: 'timeout' });
+
+    assert.equal(hoursUntil(auth.nextRetryAt), 0.5);
+    assert.equal(hoursUntil(timeout.nextRetryAt), 1);
+  });
+
+  it('expires once the class has used up its attempts', async () => {
+    config.retryLedger.policies.timeout = '1,8,2';
+
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      statuses.push((await retryLedger.schedule({ msisdn: '254700000001', errorClass: 'timeout' })).status);
+    }
+
+    assert.deepEqual(statuses, ['scheduled', 'scheduled', 'expired']);
+    assert.equal(rows.get('254700000001').next_retry_at, null);
+  });
+
+  it('expires when the next retry would fall past the maximum retry age', async () => {
+    config.retryLedger.maxAgeHours = 24;
+    rows.set('254700000001', {
+      msisdn: '254700000001',
+      error_class: 'insufficient_funds',
+      attempts: 2,
+      status: 'scheduled',
+      first_failed_at: new Date(Date.now() - 20 * HOUR_MS)
+    });
+
+    const entry = await retryLedger.schedule({ msisdn: '254700000001', errorClass: 'insufficient_funds' });
+
+    assert.equal(entry.status, 'expired');
+  });
+
+  it('starts a new cycle after a resolved one', async () => {
+    rows.set('254700000001', { msisdn: '254700000001', attempts: 4, status: 'succeeded', first_failed_at: new Date(0) });
+
+    const entry = await retryLedger.schedule({ msisdn: '254700000001', errorClass: 'server' });
+
+    assert.equal(entry.attempts, 1);
+    assert.equal(entry.status, 'scheduled');
+  });
+
+  it('maps failures to error classes', () => {
+    const response = (status, outcome, clientStatus = null) => [
+      { response: { status } },
+      { outcome, retry: outcome !== 'insufficient_funds', clientStatus }
+    ];
+
+    assert.equal(retryLedger.errorClassFor(new Error('timeout'), null), 'timeout');
+    assert.equal(retryLedger.errorClassFor(...response(200, 'insufficient_funds')), 'insufficient_funds');
+    assert.equal(retryLedger.errorClassFor(...response(401, 'retryable')), 'auth');
+    assert.equal(retryLedger.errorClassFor(...response(504, 'retryable')), 'timeout');
+    assert.equal(retryLedger.errorClassFor(...response(503, 'retryable')), 'server');
+    assert.equal(retryLedger.errorClassFor(...response(200, 'unknown')), 'unknown');
+    assert.equal(retryLedger.errorClassFor(...response(400, 'unsubscribe', 'I')), null);
+  });
+
+  it('adds due retries to a job and tags clients it already has', async () => {
+    mock.method(databaseService, 'sweepChargeRetries', async () => ({ succeeded: 0, cancelled: 0, expired: 0 }));
+    mock.method(databaseService, 'getDueRetryClients', async () => [
+      { msisdn: '254700000001', offer_code: '001', subscription_status: 'A', retry_attempts: 1, retry_error_class: 'timeout' },
+      { msisdn: '254700000009', offer_code: '002', subscription_status: 'A', retry_attempts: 2, retry_error_class: 'insufficient_funds' }
+    ]);
+
+    const clients = await retryLedger.withDueRetries(
+      [{ msisdn: '254700000001', offer_code: '001' }, { msisdn: '254700000002', offer_code: '001' }],
+      { offerCodes: ['001', '002'] }
+    );
+
+    assert.deepEqual(clients.map(client => client.msisdn), ['254700000001', '254700000002', '254700000009']);
+    assert.deepEqual(clients[0].ledgerRetry, { attempts: 1, errorClass: 'timeout' });
+    assert.equal(clients[1].ledgerRetry, undefined);
+    assert.deepEqual(databaseService.getDueRetryClients.mock.calls[0].arguments[0], { offerCodes: ['001', '002'] });
+  });
+});
+
+describe('DatabaseService.filterChargeableClients with the retry ledger', () => {
+  it('holds back clients whose retry is not due yet', async () => {
+    const pool = useFakePool();
+    const nextRetryAt = new Date(Date.now() + 2 * HOUR_MS);
+    pool.on(/FROM charge_retries/, () => [
+      { msisdn: '254700000002', error_class: 'insufficient_funds', attempts: 1, next_retry_at: nextRetryAt }
+    ]);
+
+    const { eligible, excluded } = await databaseService.filterChargeableClients(
+      [{ msisdn: '254700000001' }, { msisdn: '254700000002' }],
+      null,
+      { record: false }
+    );
+
+    assert.deepEqual(eligible.map(client => client.msisdn), ['254700000001']);
+    assert.equal(excluded[0].reason, 'retry_backoff');
+    assert.match(excluded[0].detail, new RegExp(nextRetryAt.toISOString()));
+  });
+});
+
+describe('PaymentService with the retry ledger', () => {
+  let mockSdp;
+  let rows;
+
+  before(async () => {
+    mockSdp = await startMockSdp();
+  });
+
+  after(async () => {
+    await mockSdp.stop();
+  });
+
+  beforeEach(() => {
+    mockSdp.reset();
+    serverHealth.reset();
+    authService.clearToken();
+    rows = useRetryTable();
+    mock.method(databaseService, 'getPaymentByRequestId', async () => null);
+    mock.method(databaseService, 'recordPaymentAttempt', async () => {});
+    mock.method(databaseService, 'filterChargeableClients', async (clients) => ({ eligible: clients, excluded: [] }));
+    mock.method(databaseService, 'updateProcessingJobClient', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('hands insufficient funds to the ledger for a later job', async () => {
+    mockSdp.setSequence(['insufficient_funds_200']);
+
+    const results = await paymentService.processClients([{ msisdn: '254700000001', offer_code: '001' }], 10, 'job-test');
+
+    assert.equal(mockSdp.paymentCount, 1);
+    assert.equal(rows.get('254700000001').error_class, 'insufficient_funds');
+    assert.equal(rows.get('254700000001').last_job_id, 'job-test');
+    assert.equal(hoursUntil(results[0].nextRetryAt), 4);
+    assert.equal(paymentService.getStats().retriesScheduled, 1);
+  });
+
+  it('hands over queued retries when the job is halted', async () => {
+    mockSdp.setSequence(['unavailable']);
+    let batches = 0;
+    paymentService.once('batchCompleted', () => { batches++; });
+
+    await paymentService.processClients([{ msisdn: '254700000001', offer_code: '001' }], 10, 'job-test', {
+      shouldHalt: () => (batches > 0 ? 'Billing blackout window' : null)
+    });
+
+    assert.equal(mockSdp.paymentCount, 1);
+    assert.equal(rows.get('254700000001').error_class, 'server');
+    assert.equal(rows.get('254700000001').status, 'scheduled');
+  });
+
+  it('settles the ledger entry when a picked-up retry succeeds', async () => {
+    rows.set('254700000001', { msisdn: '254700000001', attempts: 1, status: 'scheduled' });
+
+    await paymentService.processClients([
+      { msisdn: '254700000001', offer_code: '001', ledgerRetry: { attempts: 1, errorClass: 'timeout' } },
+      { msisdn: '254700000002', offer_code: '001' }
+    ], 10, 'job-test');
+
+    assert.equal(rows.get('254700000001').status, 'succeeded');
+    assert.equal(databaseService.resolveChargeRetry.mock.callCount(), 1);
+  });
+
+  it('keeps no ledger in a dry run', async () => {
+    await paymentService.processClients([{ msisdn: '254700000001', offer_code: '001' }], 10, 'job-test', {
+      simulation: { successRate: 0, timeoutRate: 0, minLatencyMs: 0, maxLatencyMs: 0 }
+    });
+
+    assert.equal(databaseService.saveChargeRetry.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,536 @@
+const { useFakePool } = require('./helpers/setup');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../src/config');
+const databaseService = require('../src/services/database');
+const leaderLease = require('../src/services/leader-lease');
+const paymentService = require('../src/services/payment');
+const retryLedger = require('../src/services/retry-ledger');
+const schedulerService = require('../src/services/scheduler');
+const clientFilter = require('../src/utils/client-filter');
+const scheduleCalendar = require('../src/utils/schedule-calendar');
+
+// Schedules table kept in memory; rows come back as formatSchedule would build them
+const useScheduleStore = () => {
+  const rows = new Map();
+  let nextId = 1;
+
+  const format = (schedule) => ({
+    startOffsetMinutes: 0,
+    offerCodes: [],
+    blackoutWindows: [],
+    allowedDays: [],
+    statusFilter: 'active',
+    ...schedule,
+    filter: { ...clientFilter.defaults(), statusFilter: schedule.statusFilter || 'active' },
+    enabled: Boolean(schedule.enabled)
+  });
+
+  const store = {
+    rows,
+    insert(schedule) {
+      const id = nextId++;
+      rows.set(id, format({ ...schedule, id }));
+      return { ...rows.get(id) };
+    },
+    update(id, updates) {
+      const existing = rows.get(parseInt(id));
+      if (!existing) return null;
+      const defined = Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== undefined));
+      rows.set(existing.id, format({ ...existing, ...defined }));
+      return { ...rows.get(existing.id) };
+    }
+  };
+
+  mock.method(databaseService, 'getSchedules', async () => [...rows.values()].map(row => ({ ...row })));
+  mock.method(databaseService, 'getSchedule', async (id) => (rows.has(parseInt(id)) ? { ...rows.get(parseInt(id)) } : null));
+  mock.method(databaseService, 'getScheduleByName', async (name) => {
+    const row = [...rows.values()].find(schedule => schedule.name === name);
+    return row ? { ...row } : null;
+  });
+  mock.method(databaseService, 'createSchedule', async (schedule) => store.insert(schedule));
+  mock.method(databaseService, 'updateSchedule', async (id, updates) => store.update(id, updates));
+  mock.method(databaseService, 'deleteSchedule', async (id) => rows.delete(parseInt(id)));
+
+  return store;
+};
+
+// Collects the events the dashboard listens for
+const recordEvents = (...names) => {
+  const events = [];
+  const listeners = names.map(name => {
+    const listener = (data) => events.push({ name, data });
+    schedulerService.on(name, listener);
+    return [name, listener];
+  });
+  events.stop = () => listeners.forEach(([name, listener]) => schedulerService.removeListener(name, listener));
+  return events;
+};
+
+describe('SchedulerService', () => {
+  let store;
+
+  beforeEach(() => {
+    store = useScheduleStore();
+    schedulerService.schedules.clear();
+    schedulerService.globalBlackoutWindows = [];
+  });
+
+  afterEach(() => {
+    schedulerService.stopAllScheduleTasks();
+    schedulerService.schedules.clear();
+    schedulerService.globalBlackoutWindows = null;
+    mock.restoreAll();
+  });
+
+  describe('syncSchedules', () => {
+    it('starts a cron task for each enabled schedule', async () => {
+      store.insert({ name: 'morning', cronExpression: '0 8 * * *', batchSize: 50, enabled: true });
+      store.insert({ name: 'spare', cronExpression: '0 9 * * *', batchSize: 50, enabled: false });
+      const events = recordEvents('schedulerStarted');
+
+      await schedulerService.syncSchedules();
+      events.stop();
+
+      const enabled = schedulerService.getEnabledSchedules();
+      assert.deepEqual(enabled.map(entry => entry.name), ['morning']);
+      assert.equal(events.length, 1);
+      assert.equal(events[0].data.name, 'morning');
+      assert.ok(events[0].data.nextRun instanceof Date);
+      assert.equal(schedulerService.getSchedules().find(schedule => schedule.name === 'spare').isActive, false);
+    });
+
+    it('leaves unchanged schedules running', async () => {
+      store.insert({ name: 'morning', cronExpression: '0 8 * * *', batchSize: 50, enabled: true });
+      await schedulerService.syncSchedules();
+      const task = schedulerService.getEnabledSchedules()[0].task;
+      const events = recordEvents('schedulerStarted', 'schedulesUpdated');
+
+      await schedulerService.syncSchedules();
+      events.stop();
+
+      assert.equal(events.length, 0);
+      assert.equal(schedulerService.getEnabledSchedules()[0].task, task);
+    });
+
+    it('stops tasks disabled or deleted by another instance', async () => {
+      const morning = store.insert({ name: 'morning', cronExpression: '0 8 * * *', batchSize: 50, enabled: true });
+      const evening = store.insert({ name: 'evening', cronExpression: '0 18 * * *', batchSize: 50, enabled: true });
+      await schedulerService.syncSchedules();
+
+      store.update(morning.id, { enabled: false });
+      store.rows.delete(evening.id);
+      const events = recordEvents('schedulerStopped');
+
+      await schedulerService.syncSchedules();
+      events.stop();
+
+      assert.deepEqual(events.map(event => event.data.name).sort(), ['evening', 'morning']);
+      assert.equal(schedulerService.getEnabledSchedules().length, 0);
+      assert.deepEqual(schedulerService.getSchedules().map(schedule => schedule.name), ['morning']);
+    });
+
+    it('restarts a schedule whose cron expression changed', async () => {
+      const morning = store.insert({ name: 'morning', cronExpression: '0 8 * * *', batchSize: 50, enabled: true });
+      await schedulerService.syncSchedules();
+
+      store.update(morning.id, { cronExpression: '30 7 * * *' });
+      const events = recordEvents('schedulerStarted');
+
+      await schedulerService.syncSchedules();
+      events.stop();
+
+      assert.equal(events.length, 1);
+      assert.equal(events[0].data.cronExpression, '30 7 * * *');
+    });
+  });
+
+  describe('startScheduler / stopScheduler', () => {
+    it('creates and enables the default schedule', async () => {
+      const result = await schedulerService.startScheduler({ intervalHours: 6, batchSize: 25 });
+
+      assert.equal(result.success, true);
+      assert.equal(result.upcomingSchedules.length, 5);
+
+      const stored = await databaseService.getScheduleByName('default');
+      assert.equal(stored.enabled, true);
+      assert.equal(stored.batchSize, 25);
+      assert.equal(stored.cronExpression, '0 0,6,12,18 * * *');
+
+      const status = await schedulerService.getStatus();
+      assert.equal(status.isRunning, true);
+      assert.equal(status.enabled, true);
+    });
+
+    it('disables the default schedule and keeps its settings', async () => {
+      await schedulerService.startScheduler({ intervalHours: 6, batchSize: 25 });
+      await schedulerService.stopScheduler();
+
+      const stored = await databaseService.getScheduleByName('default');
+      assert.equal(stored.enabled, false);
+      assert.equal(stored.batchSize, 25);
+
+      const status = await schedulerService.getStatus();
+      assert.equal(status.isRunning, false);
+      assert.equal(status.nextRun, null);
+    });
+  });
+
+  describe('scheduleCalendar.getNextRuns', () => {
+    it('follows node-cron\'s ranges, steps and names in the billing timezone', () => {
+      const runs = scheduleCalendar.getNextRuns('30 8-12/2 * * mon-fri', {
+        timezone: 'Africa/Nairobi',
+        count: 4,
+        from: new Date('2026-03-06T06:00:00Z')
+      });
+
+      // 2026-03-06 is a Friday; Nairobi is UTC+3
+      assert.deepEqual(runs.map(run => run.toISOString()), [
+        '2026-03-06T07:30:00.000Z',
+        '2026-03-06T09:30:00.000Z',
+        '2026-03-09T05:30:00.000Z',
+        '2026-03-09T07:30:00.000Z'
+      ]);
+    });
+
+    it('requires both the day of month and the day of week, like node-cron', () => {
+      const runs = scheduleCalendar.getNextRuns('0 9 */10 * 7', {
+        timezone: 'Africa/Nairobi',
+        count: 2,
+        from: new Date('2026-01-01T00:00:00Z')
+      });
+
+      // Sundays on the 10th, 20th or 30th; node-cron's steps keep multiples
+      assert.deepEqual(runs.map(run => run.toISOString()), [
+        '2026-05-10T06:00:00.000Z',
+        '2026-08-30T06:00:00.000Z'
+      ]);
+    });
+  });
+
+  describe('getBillingRestriction', () => {
+    // 2026-03-04 is a Wednesday; Nairobi is UTC+3
+    const wednesdayNoon = new Date('2026-03-04T09:00:00Z');
+    const wednesdayNight = new Date('2026-03-04T20:30:00Z');
+
+    it('applies the global blackout windows', () => {
+      schedulerService.globalBlackoutWindows = [{ start: '22:00', end: '06:00' }];
+
+      assert.equal(schedulerService.getBillingRestriction(null, wednesdayNoon), null);
+      assert.match(schedulerService.getBillingRestriction(null, wednesdayNight), /blackout window 22:00-06:00/);
+    });
+
+    it('adds the schedule blackout windows and allowed days', () => {
+      const schedule = { blackoutWindows: [{ start: '11:00', end: '13:00' }], allowedDays: [] };
+      assert.match(schedulerService.getBillingRestriction(schedule, wednesdayNoon), /blackout window 11:00-13:00/);
+
+      const weekends = { blackoutWindows: [], allowedDays: [0, 6] };
+      assert.match(schedulerService.getBillingRestriction(weekends, wednesdayNoon), /not an allowed billing day/);
+    });
+  });
+
+  describe('executeManualJob', () => {
+    beforeEach(() => {
+      mock.method(databaseService, 'createProcessingJob', async () => {});
+      mock.method(databaseService, 'addProcessingJobClients', async () => {});
+      mock.method(databaseService, 'updateProcessingJob', async () => {});
+    });
+
+    it('refuses to run inside a blackout window', async () => {
+      schedulerService.globalBlackoutWindows = [{ start: '00:00', end: '23:59' }];
+      mock.method(databaseService, 'getClients', async () => []);
+
+      const result = await schedulerService.executeManualJob();
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /Billing not allowed now/);
+      assert.equal(databaseService.getClients.mock.callCount(), 0);
+    });
+
+    it('runs a dry run inside a blackout window', async () => {
+      schedulerService.globalBlackoutWindows = [{ start: '00:00', end: '23:59' }];
+      mock.method(databaseService, 'getClients', async () => [{ msisdn: '254700000001' }]);
+      mock.method(paymentService, 'processClients', async () => []);
+
+      const result = await schedulerService.executeManualJob({ batchSize: 5, simulation: { successRate: 1 } });
+
+      assert.equal(result.success, true);
+      const { shouldHalt } = paymentService.processClients.mock.calls[0].arguments[3];
+      assert.equal(shouldHalt(), null);
+    });
+
+    it('processes the filtered clients and marks the job completed', async () => {
+      const clients = [{ msisdn: '254700000001' }, { msisdn: '254700000002' }];
+      mock.method(databaseService, 'getClients', async () => clients);
+      mock.method(paymentService, 'processClients', async () => []);
+
+      const result = await schedulerService.executeManualJob({ batchSize: 5, filter: { ...clientFilter.defaults(), statusFilter: 'all' } });
+
+      assert.equal(result.success, true);
+      assert.equal(databaseService.getClients.mock.calls[0].arguments[0].statusFilter, 'all');
+      assert.deepEqual(paymentService.processClients.mock.calls[0].arguments.slice(0, 3), [clients, 5, result.jobId]);
+
+      const finalUpdate = databaseService.updateProcessingJob.mock.calls.at(-1).arguments;
+      assert.equal(finalUpdate[0], result.jobId);
+      assert.equal(finalUpdate[1].status, 'completed');
+      assert.equal(schedulerService.runningJobs.size, 0);
+    });
+
+    it('follows batch progress through its own job, not the payment service', async () => {
+      mock.method(databaseService, 'getClients', async () => [{ msisdn: '254700000001' }]);
+      mock.method(paymentService, 'processClients', async () => { throw new Error('Connection lost'); });
+      const listeners = paymentService.listenerCount('batchCompleted');
+
+      const result = await schedulerService.executeManualJob({ batchSize: 5 });
+
+      assert.equal(result.success, false);
+      assert.equal(typeof paymentService.processClients.mock.calls[0].arguments[3].onBatchCompleted, 'function');
+      assert.equal(paymentService.listenerCount('batchCompleted'), listeners);
+    });
+
+    it('keeps a scheduled job tracked while a manual job starts and finishes beside it', async () => {
+      mock.method(databaseService, 'getClients', async () => [{ msisdn: '254700000001' }]);
+      mock.method(retryLedger, 'withDueRetries', async (clients) => clients);
+      let finishScheduled;
+      const scheduledRunning = new Promise(resolve => { finishScheduled = resolve; });
+      mock.method(paymentService, 'processClients', async (clients, batchSize, jobId) => {
+        if (jobId === scheduledJobId) await scheduledRunning;
+        return [];
+      });
+      const events = recordEvents('jobStarted', 'jobCompleted', 'jobFailed');
+      let scheduledJobId = null;
+      schedulerService.once('jobStarted', ({ jobId }) => { scheduledJobId = jobId; });
+
+      const scheduled = schedulerService.executeScheduledJob({ id: 1, name: 'hourly', batchSize: 10 });
+      await new Promise(resolve => setImmediate(resolve));
+      const manual = await schedulerService.executeManualJob({ batchSize: 5 });
+
+      assert.equal(manual.success, true);
+      assert.equal(schedulerService.runningJobs.get(scheduledJobId).status, 'running');
+      assert.equal(schedulerService.latestRunningJob().jobId, scheduledJobId);
+      assert.equal(schedulerService.busyReason(), 'Previous job still running');
+
+      finishScheduled();
+      await scheduled;
+      events.stop();
+
+      assert.deepEqual(events.filter(event => event.name !== 'jobStarted').map(event => event.data.jobId), [manual.jobId, scheduledJobId]);
+      assert.ok(events.every(event => event.name !== 'jobFailed'));
+      assert.equal(schedulerService.busyReason(), null);
+    });
+
+    it('does not hold a scheduled job back for a dry run', () => {
+      schedulerService.runningJobs.set('dry-run', { jobId: 'dry-run', status: 'running', simulated: true });
+
+      try {
+        assert.equal(schedulerService.busyReason(), null);
+        schedulerService.runningJobs.set('manual', { jobId: 'manual', status: 'paused', simulated: false });
+        assert.equal(schedulerService.busyReason(), 'Previous job still paused');
+      } finally {
+        schedulerService.runningJobs.clear();
+      }
+    });
+  });
+
+  describe('job control', () => {
+    const DRY_RUN = { successRate: 1, timeoutRate: 0, minLatencyMs: 0, maxLatencyMs: 0 };
+    const nextEvent = (name) => new Promise(resolve => schedulerService.once(name, resolve));
+    const statusUpdates = () => databaseService.updateProcessingJob.mock.calls
+      .map(call => call.arguments[1])
+      .filter(updates => updates.status);
+
+    beforeEach(() => {
+      useFakePool();
+      mock.method(databaseService, 'getClients', async () => [
+        { msisdn: '254700000001' }, { msisdn: '254700000002' }, { msisdn: '254700000003' }
+      ]);
+      mock.method(databaseService, 'createProcessingJob', async () => {});
+      mock.method(databaseService, 'addProcessingJobClients', async () => {});
+      mock.method(databaseService, 'updateProcessingJob', async () => {});
+      mock.method(databaseService, 'updateProcessingJobClient', async () => {});
+      mock.method(databaseService, 'filterChargeableClients', async (clients) => ({ eligible: clients, excluded: [] }));
+      mock.method(databaseService, 'getProcessingJobClientSummary', async () => ({ total: 3, pending: 2 }));
+      mock.method(databaseService, 'getProcessingJobsByStatus', async () => []);
+    });
+
+    it('holds a paused job between batches until it is resumed', async () => {
+      const events = recordEvents('batchCompleted', 'jobPaused', 'jobResumed');
+      const firstBatch = nextEvent('batchCompleted');
+      const running = schedulerService.executeManualJob({ batchSize: 1, simulation: DRY_RUN });
+
+      const { jobId } = await firstBatch;
+      assert.equal((await schedulerService.pauseJob({ job_id: jobId, status: 'running' })).success, true);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const batchesWhilePaused = events.filter(event => event.name === 'batchCompleted').length;
+
+      await schedulerService.resumePausedJob({ job_id: jobId, status: 'paused' });
+      const result = await running;
+      events.stop();
+
+      assert.equal(batchesWhilePaused, 1);
+      assert.equal(result.success, true);
+      assert.equal(result.stats.successful, 3);
+      assert.deepEqual(statusUpdates().map(updates => updates.status), ['running', 'paused', 'running', 'completed']);
+      assert.deepEqual(events.filter(event => event.name !== 'batchCompleted').map(event => event.name), ['jobPaused', 'jobResumed']);
+    });
+
+    it('stops a cancelled job after its current batch', async () => {
+      const events = recordEvents('jobCompleted', 'jobCancelled');
+      const firstBatch = nextEvent('batchCompleted');
+      const running = schedulerService.executeManualJob({ batchSize: 1, simulation: DRY_RUN });
+
+      const { jobId } = await firstBatch;
+      await schedulerService.cancelJob({ job_id: jobId, status: 'running' });
+      const result = await running;
+      events.stop();
+
+      const finalUpdate = statusUpdates().at(-1);
+      assert.equal(result.stats.successful, 1);
+      assert.equal(finalUpdate.status, 'cancelled');
+      assert.equal(finalUpdate.processed_clients, 1);
+      assert.equal(finalUpdate.error_message, 'Cancelled by user');
+      assert.deepEqual(events.map(event => event.name), ['jobCancelled']);
+    });
+
+    it('cancels running jobs and jobs paused before a restart on stop-all', async () => {
+      databaseService.getProcessingJobsByStatus.mock.mockImplementation(async () => [
+        { job_id: 'paused-before-restart', status: 'paused', total_clients: 4 }
+      ]);
+      const firstBatch = nextEvent('batchCompleted');
+      const running = schedulerService.executeManualJob({ batchSize: 1, simulation: DRY_RUN });
+
+      await firstBatch;
+      await schedulerService.stopAllJobs();
+      const result = await running;
+
+      const cancelled = databaseService.updateProcessingJob.mock.calls
+        .filter(call => call.arguments[1].status === 'cancelled')
+        .map(call => call.arguments[0]);
+      assert.equal(result.stats.successful, 1);
+      assert.deepEqual(cancelled.sort(), ['paused-before-restart', result.jobId].sort());
+    });
+
+    it('refuses actions the job state does not allow', async () => {
+      const finished = { job_id: 'finished-job', status: 'completed' };
+
+      assert.equal((await schedulerService.pauseJob(finished)).success, false);
+      assert.equal((await schedulerService.resumePausedJob(finished)).success, false);
+      assert.match((await schedulerService.cancelJob(finished)).error, /Job is completed/);
+    });
+  });
+
+  describe('run history', () => {
+    const savedRuns = { ...config.scheduleRuns };
+    let runs;
+
+    beforeEach(() => {
+      runs = [];
+      mock.method(databaseService, 'recordScheduleRun', async (run) => {
+        if (runs.some(existing => existing.scheduleId === run.scheduleId && existing.scheduledFor.getTime() === run.scheduledFor.getTime())) {
+          return null;
+        }
+        runs.push({ ...run, id: runs.length + 1 });
+        return runs.length;
+      });
+      mock.method(databaseService, 'updateScheduleRun', async (id, updates) => {
+        Object.assign(runs[id - 1], updates);
+      });
+    });
+
+    afterEach(() => {
+      Object.assign(config.scheduleRuns, savedRuns);
+      leaderLease.token = null;
+      leaderLease.validUntil = 0;
+    });
+
+    it('records a skipped run with its reason', async () => {
+      schedulerService.globalBlackoutWindows = [{ start: '00:00', end: '23:59' }];
+      mock.method(schedulerService, 'executeScheduledJob', async () => {});
+      const events = recordEvents('jobSkipped');
+
+      await schedulerService.fireScheduledRun({ id: 1, name: 'hourly' }, new Date('2026-03-02T10:00:00Z'));
+      events.stop();
+
+      assert.equal(runs[0].status, 'skipped');
+      assert.match(runs[0].reason, /blackout window 00:00-23:59/);
+      assert.equal(events[0].data.reason, runs[0].reason);
+      assert.equal(schedulerService.executeScheduledJob.mock.callCount(), 0);
+    });
+
+    it('runs a slot only once', async () => {
+      mock.method(schedulerService, 'executeScheduledJob', async () => {});
+      const schedule = { id: 1, name: 'hourly' };
+
+      await schedulerService.fireScheduledRun(schedule, new Date('2026-03-02T10:00:00Z'));
+      await schedulerService.fireScheduledRun(schedule, new Date('2026-03-02T10:00:00Z'));
+
+      assert.equal(runs.length, 1);
+      assert.deepEqual(schedulerService.executeScheduledJob.mock.calls[0].arguments.slice(1), [1]);
+      assert.equal(schedulerService.executeScheduledJob.mock.callCount(), 1);
+    });
+
+    it('links an executed run to its job', async () => {
+      mock.method(databaseService, 'getClients', async () => [{ msisdn: '254700000001' }]);
+      mock.method(retryLedger, 'withDueRetries', async (clients) => clients);
+      mock.method(databaseService, 'createProcessingJob', async () => {});
+      mock.method(databaseService, 'addProcessingJobClients', async () => {});
+      mock.method(databaseService, 'updateProcessingJob', async () => {});
+      mock.method(paymentService, 'processClients', async () => []);
+
+      await schedulerService.fireScheduledRun({ id: 1, name: 'hourly', batchSize: 10 }, new Date('2026-03-02T10:00:00Z'));
+
+      const [jobId] = databaseService.createProcessingJob.mock.calls[0].arguments.map(job => job.jobId);
+      assert.equal(runs[0].status, 'executed');
+      assert.equal(runs[0].job_id, jobId);
+    });
+
+    it('records runs due while no instance was scheduling as missed', async () => {
+      store.insert({ name: 'hourly', cronExpression: '0 * * * *', batchSize: 10, enabled: true, updatedAt: new Date('2026-01-01T00:00:00Z') });
+      await schedulerService.syncSchedules();
+      mock.method(databaseService, 'getScheduleRunsCreatedAt', async () => new Date('2026-02-01T00:00:00Z'));
+      mock.method(databaseService, 'getLastScheduleRunTime', async () => new Date('2026-03-02T06:00:00Z'));
+
+      const missed = await schedulerService.detectMissedRuns(new Date('2026-03-02T10:30:00Z'));
+
+      assert.deepEqual(runs.map(run => run.scheduledFor.toISOString()), [
+        '2026-03-02T07:00:00.000Z',
+        '2026-03-02T08:00:00.000Z',
+        '2026-03-02T09:00:00.000Z',
+        '2026-03-02T10:00:00.000Z'
+      ]);
+      assert.ok(runs.every(run => run.status === 'missed'));
+      assert.equal(missed.length, 4);
+    });
+
+    it('counts nothing before the run history began as missed', async () => {
+      store.insert({ name: 'hourly', cronExpression: '0 * * * *', batchSize: 10, enabled: true, updatedAt: new Date('2026-01-01T00:00:00Z') });
+      await schedulerService.syncSchedules();
+      mock.method(databaseService, 'getScheduleRunsCreatedAt', async () => new Date('2026-03-02T09:30:00Z'));
+      mock.method(databaseService, 'getLastScheduleRunTime', async () => null);
+
+      const missed = await schedulerService.detectMissedRuns(new Date('2026-03-02T10:30:00Z'));
+
+      assert.deepEqual(missed.map(run => run.runAt.toISOString()), ['2026-03-02T10:00:00.000Z']);
+    });
+
+    it('catches up only the latest missed run of each schedule', async () => {
+      config.scheduleRuns.catchUp = 'latest';
+      leaderLease.token = 7;
+      leaderLease.validUntil = Date.now() + 60 * 1000;
+      mock.method(schedulerService, 'executeScheduledJob', async () => {});
+      const schedule = { id: 1, name: 'hourly' };
+      const now = new Date();
+      const missed = [2, 1].map(hours => ({
+        schedule,
+        runAt: new Date(now.getTime() - hours * 60 * 60 * 1000),
+        runId: hours,
+        reason: 'No instance was running the scheduler'
+      }));
+
+      await schedulerService.catchUpMissedRuns(missed, now);
+
+      assert.deepEqual(schedulerService.executeScheduledJob.mock.calls.map(call => call.arguments), [[schedule, 1, 'caught_up']]);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const { startMockSdp } = require('./helpers/setup');
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../src/config');
+const authService = require('../src/services/auth');
+const databaseService = require('../src/services/database');
+const paymentService = require('../src/services/payment');
+const serverHealth = require('../src/services/server-health');
+
+const fail = (type, error = 'timeout of 10000ms exceeded') => serverHealth.record(type, { ok: false, latencyMs: 10000, error });
+const succeed = (type, latencyMs = 100) => serverHealth.record(type, { ok: true, latencyMs });
+const stateOf = (type) => serverHealth.getStatus().find(server => server.server === type).state;
+
+describe('ServerHealthService', () => {
+  const saved = { ...config.circuitBreaker };
+
+  beforeEach(() => {
+    serverHealth.reset();
+    Object.assign(config.circuitBreaker, { windowSize: 20, minRequests: 10, failureRateThreshold: 0.5, consecutiveFailures: 5, openMs: 50 });
+  });
+
+  afterEach(() => {
+    Object.assign(config.circuitBreaker, saved);
+    serverHealth.removeAllListeners('breakerStateChanged');
+  });
+
+  it('opens after consecutive failures and announces it', () => {
+    const changes = [];
+    serverHealth.on('breakerStateChanged', change => changes.push(change));
+
+    for (let i = 0; i < 4; i++) fail('FALLBACK');
+    assert.equal(stateOf('FALLBACK'), 'closed');
+
+    fail('FALLBACK');
+    assert.equal(stateOf('FALLBACK'), 'open');
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].server, 'FALLBACK');
+    assert.equal(changes[0].previous, 'closed');
+    assert.match(changes[0].reason, /5 consecutive failures/);
+  });
+
+  it('opens when the rolling failure rate crosses the threshold', () => {
+    for (let i = 0; i < 5; i++) {
+      succeed('PRIMARY');
+      fail('PRIMARY');
+    }
+
+    assert.equal(stateOf('PRIMARY'), 'open');
+    assert.match(serverHealth.servers.PRIMARY.lastFailure.message, /timeout/);
+  });
+
+  it('sends all traffic to the healthy server while a breaker is open', () => {
+    for (let i = 0; i < 5; i++) fail('FALLBACK');
+
+    const chosen = Array.from({ length: 50 }, () => serverHealth.choose());
+
+    assert.ok(chosen.every(type => type === 'PRIMARY'));
+    assert.deepEqual(serverHealth.getStatus().map(server => server.trafficShare), [100, 0]);
+  });
+
+  it('lets a single probe through once the cool-down has passed', async () => {
+    for (let i = 0; i < 5; i++) fail('FALLBACK');
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    assert.equal(serverHealth.choose(), 'FALLBACK');
+    assert.equal(stateOf('FALLBACK'), 'half_open');
+    assert.equal(serverHealth.canSend('FALLBACK'), false);
+
+    succeed('FALLBACK');
+    assert.equal(stateOf('FALLBACK'), 'closed');
+    assert.equal(serverHealth.servers.FALLBACK.outcomes.length, 1);
+  });
+
+  it('reopens when the probe fails', async () => {
+    for (let i = 0; i < 5; i++) fail('FALLBACK');
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    serverHealth.choose();
+    fail('FALLBACK', 'connect ECONNREFUSED');
+
+    assert.equal(stateOf('FALLBACK'), 'open');
+    assert.ok(serverHealth.msUntilAvailable() > 0);
+  });
+
+  it('frees the probe slot when no request was sent', async () => {
+    for (let i = 0; i < 5; i++) fail('FALLBACK');
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    serverHealth.choose();
+    serverHealth.abandon('FALLBACK');
+
+    assert.equal(serverHealth.canSend('FALLBACK'), true);
+  });
+
+  it('returns null while both breakers are open', () => {
+    for (let i = 0; i < 5; i++) {
+      fail('PRIMARY');
+      fail('FALLBACK');
+    }
+
+    assert.equal(serverHealth.choose(), null);
+  });
+
+  it('favours the server with the better success rate and latency', () => {
+    for (let i = 0; i < 10; i++) succeed('PRIMARY', 100);
+    for (let i = 0; i < 10; i++) succeed('FALLBACK', config.processing.latencyTargetMs * 4);
+
+    const [primary, fallback] = serverHealth.getStatus();
+    assert.equal(primary.trafficShare, 80);
+    assert.equal(fallback.trafficShare, 20);
+  });
+});
+
+describe('PaymentService routing with a dead fallback server', () => {
+  let mockSdp;
+  const savedUrl = config.safaricom.fallbackServer;
+  const savedBreaker = { ...config.circuitBreaker };
+
+  before(async () => {
+    mockSdp = await startMockSdp();
+    // Nothing listens on the discard port, so every request is refused
+    config.safaricom.fallbackServer = 'http://127.0.0.1:9/api/public/SDP/paymentRequest';
+    Object.assign(config.circuitBreaker, { consecutiveFailures: 2, openMs: 60000 });
+  });
+
+  after(async () => {
+    config.safaricom.fallbackServer = savedUrl;
+    Object.assign(config.circuitBreaker, savedBreaker);
+    await mockSdp.stop();
+  });
+
+  beforeEach(() => {
+    serverHealth.reset();
+    authService.clearToken();
+    mock.method(databaseService, 'getPaymentByRequestId', async () => null);
+    mock.method(databaseService, 'recordPaymentAttempt', async () => {});
+    mock.method(databaseService, 'filterChargeableClients', async (clients) => ({ eligible: clients, excluded: [] }));
+    mock.method(databaseService, 'updateProcessingJobClient', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('stops routing to the fallback once its breaker opens', async () => {
+    const clients = Array.from({ length: 20 }, (_, i) => ({ msisdn: `2547000000${String(i).padStart(2, '0')}` }));
+
+    const results = await paymentService.processClients(clients, 5, 'job-test');
+    const stats = paymentService.getStats();
+
+    assert.equal(stateOf('FALLBACK'), 'open');
+    assert.ok(stats.fallbackServerRequests <= 2 + config.processing.concurrentRequests);
+    assert.equal(mockSdp.paymentCount, 20);
+    assert.equal(new Set(results.filter(result => result.success).map(result => result.msisdn)).size, 20);
+  });
+});
@@ -0,0 +1,177 @@
+require('./helpers/setup');
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../src/config');
+const paymentService = require('../src/services/payment');
+const PaymentJob = require('../src/services/payment-job');
+const TokenBucket = require('../src/utils/token-bucket');
+const AdaptiveConcurrency = require('../src/utils/adaptive-concurrency');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('TokenBucket', () => {
+  it('allows a burst and then paces to the rate', async () => {
+    const bucket = new TokenBucket({ ratePerSecond: 20, burst: 5 });
+    const startedAt = Date.now();
+
+    for (let i = 0; i < 5; i++) await bucket.take();
+    assert.ok(Date.now() - startedAt < 30);
+
+    for (let i = 0; i < 4; i++) await bucket.take();
+    // Four more tokens at 20/s take ~200ms
+    assert.ok(Date.now() - startedAt >= 180);
+  });
+
+  it('serves waiters in arrival order', async () => {
+    const bucket = new TokenBucket({ ratePerSecond: 50, burst: 1 });
+    const order = [];
+
+    await Promise.all([1, 2, 3, 4].map(n => bucket.take().then(() => order.push(n))));
+
+    assert.deepEqual(order, [1, 2, 3, 4]);
+  });
+
+  it('never waits when the rate is 0', () => {
+    const bucket = new TokenBucket({ ratePerSecond: 0 });
+
+    for (let i = 0; i < 1000; i++) assert.equal(bucket.tryTake(), true);
+  });
+});
+
+describe('AdaptiveConcurrency', () => {
+  const controller = (overrides = {}) => new AdaptiveConcurrency({
+    initial: 4,
+    min: 1,
+    max: 8,
+    latencyTargetMs: 100,
+    cooldownMs: 1000,
+    ...overrides
+  });
+
+  it('queues acquirers beyond the limit until a slot is released', async () => {
+    const limiter = controller({ initial: 2 });
+    let third = false;
+
+    await limiter.acquire();
+    await limiter.acquire();
+    const waiting = limiter.acquire().then(() => { third = true; });
+
+    await sleep(5);
+    assert.equal(third, false);
+    assert.equal(limiter.getState().queued, 1);
+
+    limiter.release();
+    await waiting;
+    assert.equal(limiter.getState().inFlight, 2);
+  });
+
+  it('halves the limit on overload, once per cooldown', () => {
+    const limiter = controller({ initial: 8 });
+
+    limiter.recordOverload();
+    limiter.recordOverload();
+    limiter.recordOverload();
+
+    assert.equal(limiter.limit, 4);
+    assert.equal(limiter.getState().decreases, 1);
+  });
+
+  it('does not go below the minimum', () => {
+    const limiter = controller({ initial: 1, cooldownMs: 0 });
+
+    limiter.recordOverload();
+
+    assert.equal(limiter.limit, 1);
+  });
+
+  it('raises the limit after a window of fast responses, up to the maximum', () => {
+    const limiter = controller({ initial: 2, max: 3 });
+
+    limiter.recordResponse(20);
+    limiter.recordResponse(20);
+    assert.equal(limiter.limit, 3);
+
+    for (let i = 0; i < 10; i++) limiter.recordResponse(20);
+    assert.equal(limiter.limit, 3);
+  });
+
+  it('holds the limit while responses are slower than the target', () => {
+    const limiter = controller({ initial: 2 });
+
+    limiter.recordResponse(20);
+    limiter.recordResponse(500);
+    limiter.recordResponse(20);
+
+    assert.equal(limiter.limit, 2);
+  });
+});
+
+describe('PaymentService throttling', () => {
+  const saved = { ...config.processing };
+
+  afterEach(() => {
+    Object.assign(config.processing, saved);
+    mock.restoreAll();
+  });
+
+  it('keeps no more requests in flight than the concurrency limit', async () => {
+    config.processing.concurrentRequests = 2;
+    paymentService.resetThrottling();
+
+    let active = 0;
+    let peak = 0;
+    mock.method(paymentService, 'processSinglePayment', async (client) => {
+      active++;
+      peak = Math.max(peak, active);
+      await sleep(10);
+      active--;
+      return { success: true, msisdn: client.msisdn };
+    });
+
+    const batch = Array.from({ length: 6 }, (_, i) => ({ msisdn: `25470000000${i}` }));
+    const results = await paymentService.processBatchParallel(batch, new PaymentJob('job-test'));
+
+    assert.equal(results.length, 6);
+    assert.equal(peak, 2);
+  });
+
+  it('treats timeouts, 5xx and 429 as overload but not business rejections', () => {
+    const timeout = Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' });
+    const status = (code) => Object.assign(new Error(`Request failed with status code ${code}`), { response: { status: code } });
+
+    assert.equal(paymentService.isOverloadFailure(timeout), true);
+    assert.equal(paymentService.isOverloadFailure(status(503)), true);
+    assert.equal(paymentService.isOverloadFailure(status(429)), true);
+    assert.equal(paymentService.isOverloadFailure(status(400)), false);
+    assert.equal(paymentService.isOverloadFailure(status(401)), false);
+  });
+
+  it('reports live TPS and the throttling state in getStats', () => {
+    paymentService.resetThrottling();
+    paymentService.throttlingStartedAt = Date.now() - 10000;
+
+    for (let i = 0; i < 10; i++) paymentService.recordSent(i < 6 ? 'PRIMARY' : 'FALLBACK');
+
+    const stats = paymentService.getStats();
+    assert.deepEqual(stats.liveTps, { total: 2, primary: 1.2, fallback: 0.8 });
+    assert.equal(stats.throttling.maxTpsPerServer, config.processing.maxTpsPerServer);
+    assert.equal(stats.throttling.concurrency.limit, config.processing.concurrentRequests);
+  });
+
+  it('leaves the shared throttling to live jobs in a dry run', async () => {
+    config.processing.requestTimeout = 1;
+    paymentService.resetThrottling();
+    const job = new PaymentJob(null, { simulation: { successRate: 0, timeoutRate: 1, minLatencyMs: 0, maxLatencyMs: 0 } });
+    mock.method(paymentService.serverBuckets.PRIMARY, 'take', async () => {});
+
+    for (let i = 0; i < 3; i++) {
+      await paymentService.processSinglePayment({ msisdn: `25470000000${i}` }, false, job);
+    }
+
+    assert.equal(job.stats.errors.timeout, 3);
+    assert.equal(paymentService.serverBuckets.PRIMARY.take.mock.callCount(), 0);
+    assert.equal(paymentService.sentRequests.length, 0);
+    assert.equal(paymentService.concurrency.limit, config.processing.concurrentRequests);
+  });
+});
@@ -0,0 +1,491 @@
+const { startApp, startMockSdp, useFakePool } = require('./helpers/setup');
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const crypto = require('crypto');
+const express = require('express');
+
+const config = require('../src/config');
+const authService = require('../src/services/auth');
+const databaseService = require('../src/services/database');
+const callbackService = require('../src/services/callback.service');
+const subscriptionService = require('../src/services/subscription.service');
+const postbackService = require('../src/services/postback.service');
+const smsDeliveryService = require('../src/services/sms-delivery.service');
+const smsService = require('../src/services/sms');
+const webhookInboxService = require('../src/services/webhook-inbox.service');
+const webhookRoutes = require('../src/routes/webhooks');
+const { signPayload } = require('../src/middleware/webhook-auth.middleware');
+
+// A POST callback in the shape the forwarder relays it
+const forwarded = (operation, data, extra = {}) => ({
+  body: {
+    operation,
+    requestId: 'req-1',
+    requestParam: {
+      data: Object.entries(data).map(([name, value]) => ({ name, value }))
+    },
+    ...extra
+  }
+});
+
+describe('CallbackService.processForwardedCallback', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('confirms the pending payment, pays the marketer and notifies on PaymentSuccess', async () => {
+    mock.method(databaseService, 'confirmPendingPayment', async () => true);
+    mock.method(postbackService, 'triggerPayout', async () => {});
+    mock.method(smsService, 'sendChargeConfirmation', async () => {});
+
+    const result = await callbackService.processForwardedCallback(
+      forwarded('CP_NOTIFICATION', { Msisdn: '254700000001', Command: 'PaymentSuccess' }),
+      'POST'
+    );
+
+    assert.deepEqual(result, { msisdn: '254700000001', operation: 'CP_NOTIFICATION', status: null });
+    assert.deepEqual(databaseService.confirmPendingPayment.mock.calls[0].arguments.slice(0, 2), ['254700000001', 'req-1']);
+    assert.equal(postbackService.triggerPayout.mock.calls[0].arguments[0], '254700000001');
+    assert.equal(smsService.sendChargeConfirmation.mock.callCount(), 1);
+    assert.equal(smsService.sendChargeConfirmation.mock.calls[0].arguments[2], 'req-1');
+  });
+
+  it('queues the SMS for a transaction only once', async () => {
+    const pool = useFakePool();
+    let queued = 0;
+    pool.on(/INSERT IGNORE INTO sms_outbound_queue/, () => ({ affectedRows: queued++ === 0 ? 1 : 0 }));
+
+    const first = await smsService.enqueue('254700000001', 'charge_confirmation', {}, 'charge_confirmation:req-1');
+    const replayed = await smsService.enqueue('254700000001', 'charge_confirmation', {}, 'charge_confirmation:req-1');
+
+    assert.ok(first);
+    assert.equal(replayed, null);
+    assert.equal(pool.queriesMatching(/INSERT IGNORE INTO sms_outbound_queue/)[1].params[4], 'charge_confirmation:req-1');
+  });
+
+  it('treats an SMS the SDP rejects with HTTP 200 as failed', async () => {
+    const pool = useFakePool();
+    mock.method(authService, 'getValidToken', async () => 'token');
+    mock.method(smsDeliveryService, 'recordReceipt', async () => {});
+    mock.method(axios, 'post', async () => ({
+      status: 200,
+      data: { responseParam: { statusCode: 'SVC0007', description: 'Subscriber not subscribed' } }
+    }));
+
+    const sent = await smsService.sendSingle({ id: 7, message_id: 'msg-1', msisdn: '254700000001', attempts: 1 });
+
+    assert.equal(sent, false);
+    const [update] = pool.queriesMatching(/UPDATE sms_outbound_queue SET status = \?/);
+    assert.deepEqual(update.params.slice(0, 2), ['failed', 'SMS rejected with status code SVC0007']);
+    assert.equal(smsDeliveryService.recordReceipt.mock.callCount(), 0);
+  });
+
+  it('does not queue a sent SMS again when recording it fails', async () => {
+    const pool = useFakePool();
+    pool.on(/SET status = 'sent'/, () => { throw new Error('Lock wait timeout exceeded'); });
+    mock.method(authService, 'getValidToken', async () => 'token');
+    mock.method(smsDeliveryService, 'recordReceipt', async () => {});
+    mock.method(axios, 'post', async () => ({
+      status: 200,
+      data: { responseParam: { statusCode: 'SC0000', description: 'Success' } }
+    }));
+
+    const sent = await smsService.sendSingle({ id: 7, message_id: 'msg-1', msisdn: '254700000001', attempts: 1 });
+
+    assert.equal(sent, true);
+    assert.equal(pool.queriesMatching(/UPDATE sms_outbound_queue SET status = \?/).length, 0);
+  });
+
+  it('ignores other CP_NOTIFICATION commands', async () => {
+    mock.method(databaseService, 'confirmPendingPayment', async () => true);
+
+    await callbackService.processForwardedCallback(
+      forwarded('CP_NOTIFICATION', { Msisdn: '254700000001', Command: 'PaymentFailed' }),
+      'POST'
+    );
+
+    assert.equal(databaseService.confirmPendingPayment.mock.callCount(), 0);
+  });
+
+  it('hands activations to the subscription service and sends a renewal notice', async () => {
+    mock.method(subscriptionService, 'handleActivation', async () => ({ renewed: true }));
+    mock.method(smsService, 'sendRenewalNotice', async () => {});
+
+    await callbackService.processForwardedCallback(
+      forwarded('ACTIVATE', { Msisdn: '254700000001', OfferCode: '001', ClickId: 'click-9' }, { responseParam: { statusCode: 'SC0000' } }),
+      'POST'
+    );
+
+    const activation = subscriptionService.handleActivation.mock.calls[0].arguments[0];
+    assert.equal(activation.msisdn, '254700000001');
+    assert.equal(activation.offerCode, '001');
+    assert.equal(activation.clickId, 'click-9');
+    assert.equal(activation.transactionId, 'req-1');
+    assert.equal(smsService.sendRenewalNotice.mock.callCount(), 1);
+  });
+
+  it('hands deactivations to the subscription service', async () => {
+    mock.method(subscriptionService, 'handleDeactivation', async () => ({}));
+
+    await callbackService.processForwardedCallback(
+      forwarded('UNSUBSCRIPTION', { Msisdn: '254700000001', Reason: 'USER_REQUEST' }),
+      'POST'
+    );
+
+    const deactivation = subscriptionService.handleDeactivation.mock.calls[0].arguments[0];
+    assert.equal(deactivation.operation, 'UNSUBSCRIPTION');
+    assert.equal(deactivation.reason, 'USER_REQUEST');
+  });
+
+  it('records SMS delivery receipts with a normalised status', async () => {
+    mock.method(smsDeliveryService, 'recordReceipt', async () => {});
+
+    await callbackService.processForwardedCallback(
+      forwarded('SendSMS', { Msisdn: '254700000001', MessageId: 'msg-1', DeliveryStatus: 'DeliveredToTerminal' }),
+      'POST'
+    );
+
+    const receipt = smsDeliveryService.recordReceipt.mock.calls[0].arguments[0];
+    assert.equal(receipt.messageId, 'msg-1');
+    assert.equal(receipt.status, 'delivered');
+    assert.equal(receipt.statusDetail, 'DeliveredToTerminal');
+  });
+
+  it('ignores a delivery receipt without a message id', async () => {
+    mock.method(smsDeliveryService, 'recordReceipt', async () => {});
+
+    await callbackService.processForwardedCallback(
+      { query_params: { msisdn: '254700000001', operation: 'SendSMS', status: 'DeliveredToTerminal' } },
+      'GET',
+      42
+    );
+
+    assert.equal(smsDeliveryService.recordReceipt.mock.callCount(), 0);
+  });
+
+  it('reads GET callbacks from the query parameters', async () => {
+    mock.method(subscriptionService, 'handleActivation', async () => ({ renewed: false }));
+
+    const result = await callbackService.processForwardedCallback(
+      { query_params: { msisdn: '254700000002', operation: 'SUBSCRIPTION', status: 'SC0000', offer_code: '002' } },
+      'GET',
+      42
+    );
+
+    assert.equal(result.operation, 'SUBSCRIPTION');
+    const activation = subscriptionService.handleActivation.mock.calls[0].arguments[0];
+    assert.equal(activation.offerCode, '002');
+    assert.equal(activation.transactionId, 'inbox-42');
+  });
+
+  it('lets handler errors propagate so the inbox retries', async () => {
+    mock.method(subscriptionService, 'handleDeactivation', async () => {
+      throw new Error('Deadlock found');
+    });
+
+    await assert.rejects(
+      callbackService.processForwardedCallback(forwarded('DEACTIVATE', { Msisdn: '254700000001' }), 'POST'),
+      /Deadlock found/
+    );
+  });
+});
+
+describe('SmsDeliveryService.recordReceipt', () => {
+  it('records a receipt in one upsert that never moves a message back to submitted', async () => {
+    const pool = useFakePool();
+
+    await smsDeliveryService.recordReceipt({ messageId: 'msg-1', msisdn: '254700000001', status: 'delivered', statusDetail: 'DeliveredToTerminal' });
+
+    const writes = pool.queriesMatching(/sms_delivery_receipts/).filter(({ sql }) => !/CREATE TABLE/.test(sql));
+    assert.equal(writes.length, 1);
+    const { sql, params } = writes[0];
+    assert.match(sql, /INSERT INTO sms_delivery_receipts[\s\S]*ON DUPLICATE KEY UPDATE/);
+    assert.match(sql, /delivered_at = IF\(\(status = 'submitted' OR VALUES\(status\) <> 'submitted'\)/);
+    assert.match(sql, /status = IF\([^\n]*\), VALUES\(status\), status\)\s*$/);
+    assert.deepEqual(params.slice(0, 4), ['msg-1', '254700000001', 'delivered', 'DeliveredToTerminal']);
+  });
+});
+
+describe('DatabaseService.confirmPendingPayment', () => {
+  it('confirms the attempt the callback names, even once its grace period expired', async () => {
+    const pool = useFakePool();
+    pool.on(/WHERE request_id = \? AND msisdn = \? AND status IN \('PENDING', 'FAILED'\)/, () => ({ affectedRows: 1 }));
+
+    const confirmed = await databaseService.confirmPendingPayment('254700000001', 'req-1', 'Confirmed by PaymentSuccess callback');
+
+    assert.equal(confirmed, true);
+    assert.deepEqual(pool.queries[0].params.slice(1), ['req-1', '254700000001']);
+    assert.equal(pool.queriesMatching(/ORDER BY timestamp DESC/).length, 0);
+  });
+
+  it('leaves other attempts alone when the named one was already settled', async () => {
+    const pool = useFakePool();
+    pool.on(/status IN \('PENDING', 'FAILED'\)/, () => ({ affectedRows: 0 }));
+    pool.on(/SELECT \* FROM payments WHERE request_id/, () => [{ request_id: 'req-1', status: 'SUCCESS' }]);
+
+    const confirmed = await databaseService.confirmPendingPayment('254700000001', 'req-1', 'Confirmed by PaymentSuccess callback');
+
+    assert.equal(confirmed, false);
+    assert.equal(pool.queriesMatching(/ORDER BY timestamp DESC/).length, 0);
+  });
+
+  it('confirms the latest pending attempt when the callback names none of ours', async () => {
+    const pool = useFakePool();
+    pool.on(/status IN \('PENDING', 'FAILED'\)/, () => ({ affectedRows: 0 }));
+
+    const confirmed = await databaseService.confirmPendingPayment('254700000001', 'inbox-7', 'Confirmed by PaymentSuccess callback');
+
+    assert.equal(confirmed, true);
+    assert.equal(pool.queriesMatching(/ORDER BY timestamp DESC/).length, 1);
+  });
+});
+
+describe('SubscriptionService.recordTransaction', () => {
+  it('fits long provider transaction ids into the column without merging them', async () => {
+    const stored = [];
+    const connection = {
+      execute: async (sql, params) => {
+        stored.push(params[0]);
+        return [{ affectedRows: 1 }];
+      }
+    };
+    const prefix = 'TX'.padEnd(60, '0');
+
+    for (const transactionId of ['TX-1', `${prefix}-a`, `${prefix}-b`]) {
+      await subscriptionService.recordTransaction(connection, { transactionId, type: 'ACTIVATE', rawData: {} });
+    }
+
+    assert.equal(stored[0], 'TX-1');
+    assert.ok(stored.every(id => id.length <= 50));
+    assert.notEqual(stored[1], stored[2]);
+  });
+});
+
+describe('SubscriptionService.handleActivation', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('rolls the activation back when the campaign attribution fails', async () => {
+    const pool = useFakePool();
+    const connection = await pool.getConnection();
+    mock.method(connection, 'commit');
+    mock.method(connection, 'rollback');
+    pool.getConnection = async () => connection;
+    pool.on(/FROM campaign_clicks/, () => { throw new Error('Lock wait timeout exceeded'); });
+
+    await assert.rejects(
+      subscriptionService.handleActivation({ msisdn: '254700000001', offerCode: '001', transactionId: 'TX-1', clickId: 'click-9', operation: 'ACTIVATE', rawData: {} }),
+      /Lock wait timeout exceeded/
+    );
+
+    assert.equal(connection.commit.mock.callCount(), 0);
+    assert.equal(connection.rollback.mock.callCount(), 1);
+  });
+});
+
+describe('SubscriptionService.handleDeactivation', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('stores the same transaction id on the deactivation as on the transaction', async () => {
+    const pool = useFakePool();
+    mock.method(subscriptionService, 'cancelPendingCharges', async () => {});
+    const transactionId = 'TX'.padEnd(60, '0');
+
+    await subscriptionService.handleDeactivation({ msisdn: '254700000001', offerCode: '001', transactionId, operation: 'DEACTIVATE', rawData: {} });
+
+    const [transaction] = pool.queriesMatching(/INSERT IGNORE INTO transactions/);
+    const [deactivation] = pool.queriesMatching(/INSERT INTO deactivations/);
+    assert.equal(deactivation.params[5], transaction.params[0]);
+    assert.equal(deactivation.params[5].length, 50);
+  });
+});
+
+describe('PostbackService.triggerPayout', () => {
+  const saved = { ...config.postback };
+
+  afterEach(() => {
+    Object.assign(config.postback, saved);
+    mock.restoreAll();
+  });
+
+  it('fails the callback once every attempt failed, releasing the claim', async () => {
+    Object.assign(config.postback, { maxAttempts: 2, retryBaseDelay: 1 });
+    const pool = useFakePool();
+    pool.on(/FROM campaign_subscriptions cs/, () => [{
+      id: 3, msisdn: '254700000001', campaign_id: 1, postback_sent: 0, postback_halted: 0,
+      postback_url: 'http://marketer.test/pb?click={click_id}', postback_send_percentage: 100, is_active: 1
+    }]);
+    mock.method(axios, 'get', async () => { throw new Error('connect ECONNREFUSED'); });
+
+    await assert.rejects(postbackService.triggerPayout('254700000001'), /Postback failed after 2 attempts/);
+
+    assert.equal(axios.get.mock.callCount(), 2);
+    assert.equal(pool.queriesMatching(/SET postback_sent = 0/).length, 1);
+  });
+
+  it('does not send the postback again when recording its response fails', async () => {
+    Object.assign(config.postback, { maxAttempts: 3, retryBaseDelay: 1 });
+    const pool = useFakePool();
+    pool.on(/FROM campaign_subscriptions cs/, () => [{
+      id: 3, msisdn: '254700000001', campaign_id: 1, postback_sent: 0, postback_halted: 0,
+      postback_url: 'http://marketer.test/pb?click={click_id}', postback_send_percentage: 100, is_active: 1
+    }]);
+    pool.on(/SET postback_response = \?, postback_sent_at = \?/, () => { throw new Error('Lock wait timeout exceeded'); });
+    mock.method(axios, 'get', async () => ({ status: 200, data: 'OK' }));
+
+    const result = await postbackService.triggerPayout('254700000001');
+
+    assert.deepEqual(result, { sent: true, attempts: 1 });
+    assert.equal(axios.get.mock.callCount(), 1);
+    assert.equal(pool.queriesMatching(/SET postback_sent = 0/).length, 0);
+  });
+});
+
+describe('WebhookInboxService.replay', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('leaves deliveries that were already processed alone', async () => {
+    const pool = useFakePool();
+    pool.on(/UPDATE webhook_inbox SET status = 'failed', attempts = 0/, () => ({ affectedRows: 0 }));
+    mock.method(webhookInboxService, 'processEntry', async () => 'processed');
+
+    const outcome = await webhookInboxService.replay(5);
+
+    assert.equal(outcome, null);
+    assert.equal(webhookInboxService.processEntry.mock.callCount(), 0);
+    assert.match(pool.queriesMatching(/UPDATE webhook_inbox/)[0].sql, /status IN \('failed', 'dead'\)/);
+  });
+});
+
+describe('POST /api/safaricom/webhook', () => {
+  let app;
+
+  const deliver = (body, { secret = config.webhook.secret, timestamp, nonce } = {}) => {
+    const rawBody = JSON.stringify(body);
+    const sentAt = timestamp || String(Math.floor(Date.now() / 1000));
+    const sentNonce = nonce || crypto.randomBytes(12).toString('hex');
+
+    return fetch(`${app.baseUrl}/api/safaricom/webhook`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Timestamp': sentAt,
+        'X-Webhook-Nonce': sentNonce,
+        'X-Webhook-Signature': signPayload(secret, sentAt, sentNonce, Buffer.from(rawBody))
+      },
+      body: rawBody
+    });
+  };
+
+  const delivery = { method: 'POST', source: 'test', timestamp: Date.now(), data: forwarded('SendSMS', { Msisdn: '254700000001' }) };
+
+  before(async () => {
+    app = await startApp(express().use(webhookRoutes));
+  });
+
+  after(() => app.close());
+
+  afterEach(() => mock.restoreAll());
+
+  // webhook_nonces kept in memory
+  const useNonces = () => {
+    const nonces = new Set();
+    mock.method(webhookInboxService, 'recordNonce', async (nonce) => {
+      if (nonces.has(nonce)) return false;
+      nonces.add(nonce);
+      return true;
+    });
+  };
+
+  const useInbox = () => {
+    let nextId = 1;
+    useNonces();
+    mock.method(webhookInboxService, 'store', async () => nextId++);
+    mock.method(webhookInboxService, 'processEntry', async () => {});
+  };
+
+  it('stores a correctly signed delivery and acknowledges it', async () => {
+    useInbox();
+
+    const response = await deliver(delivery);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.status, 'received');
+    assert.equal(body.id, 1);
+    assert.equal(webhookInboxService.store.mock.calls[0].arguments[0].source, 'test');
+  });
+
+  it('rejects a delivery signed with another secret', async () => {
+    useInbox();
+
+    const response = await deliver(delivery, { secret: 'not-the-secret' });
+
+    assert.equal(response.status, 401);
+    assert.equal(webhookInboxService.store.mock.callCount(), 0);
+  });
+
+  it('rejects a replayed nonce', async () => {
+    useInbox();
+    const nonce = crypto.randomBytes(12).toString('hex');
+
+    assert.equal((await deliver(delivery, { nonce })).status, 200);
+    assert.equal((await deliver(delivery, { nonce })).status, 401);
+    assert.equal(webhookInboxService.store.mock.callCount(), 1);
+  });
+
+  it('rejects a nonce another instance already recorded', async () => {
+    useInbox();
+    const pool = useFakePool();
+    pool.on(/INSERT IGNORE INTO webhook_nonces/, () => ({ affectedRows: 0 }));
+    webhookInboxService.recordNonce.mock.restore();
+
+    const response = await deliver(delivery);
+
+    assert.equal(response.status, 401);
+    assert.equal(webhookInboxService.store.mock.callCount(), 0);
+  });
+
+  it('rejects a timestamp outside the tolerance', async () => {
+    useInbox();
+    const stale = String(Math.floor(Date.now() / 1000) - config.webhook.toleranceSeconds - 60);
+
+    const response = await deliver(delivery, { timestamp: stale });
+
+    assert.equal(response.status, 401);
+  });
+
+  it('asks the forwarder to redeliver when the inbox cannot store it', async () => {
+    useNonces();
+    mock.method(webhookInboxService, 'store', async () => {
+      throw new Error('Connection lost');
+    });
+
+    const response = await deliver(delivery);
+
+    assert.equal(response.status, 500);
+  });
+
+  it('accepts the callbacks the mock SDP sends', async () => {
+    useInbox();
+    const mockSdp = await startMockSdp({
+      webhookUrl: `${app.baseUrl}/api/safaricom/webhook`,
+      webhookSecret: config.webhook.secret
+    });
+
+    try {
+      const response = await fetch(`http://127.0.0.1:${mockSdp.options.port}/mock/callbacks`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ operation: 'CP_NOTIFICATION', msisdn: '254700000001', Command: 'PaymentSuccess' })
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(mockSdp.callbacksSent, 1);
+
+      const stored = webhookInboxService.store.mock.calls[0].arguments[0];
+      assert.equal(stored.source, 'mock-sdp');
+      assert.equal(stored.data.body.operation, 'CP_NOTIFICATION');
+    } finally {
+      await mockSdp.stop();
+    }
+  });
+});